@@ -0,0 +1,34 @@
+/**
+ * Record F1 MCP tool responses into the fixture store for offline fixture mode
+ *
+ * Usage: node scripts/recordFixtures.js 2023 2024 [--no-details]
+ */
+
+import 'dotenv/config';
+import SimpleF1MCPClient from '../src/adapters/simpleMcpClient.js';
+import logger from '../src/utils/logger.js';
+
+const args = process.argv.slice(2);
+const years = args.filter(arg => /^\d{4}$/.test(arg)).map(Number);
+const includeDetails = !args.includes('--no-details');
+
+if (years.length === 0) {
+  logger.error('Usage: node scripts/recordFixtures.js <year> [year...] [--no-details]');
+  process.exit(1);
+}
+
+const client = new SimpleF1MCPClient({ dataMode: 'strict' });
+
+try {
+  await client.initialize();
+
+  for (const year of years) {
+    const summary = await client.recordSeasonFixtures(year, { includeDetails });
+    logger.info('Fixture recording summary', summary);
+  }
+} catch (error) {
+  logger.error('Fixture recording failed', { error: error.message });
+  process.exitCode = 1;
+} finally {
+  await client.disconnect();
+}
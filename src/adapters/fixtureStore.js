@@ -0,0 +1,104 @@
+/**
+ * F1 Fixture Store
+ * Recorded F1 MCP tool responses on disk, one JSON file per tool call,
+ * used to serve every F1 tool faithfully when running offline
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * File-safe key for a set of tool parameters ({ year: 2024, round: 3 } -> "round-3_year-2024")
+ */
+export function fixtureKey(parameters = {}) {
+  const entries = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}-${String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_')}`);
+
+  return entries.length > 0 ? entries.join('_') : 'default';
+}
+
+export class F1FixtureStore {
+  constructor(options = {}) {
+    this.options = {
+      fixturesDir: options.fixturesDir || process.env.F1_FIXTURES_DIR || './fixtures/f1',
+      ...options
+    };
+  }
+
+  /**
+   * Path of the fixture file for a tool call
+   */
+  fixturePath(toolName, parameters) {
+    return path.join(this.options.fixturesDir, toolName, `${fixtureKey(parameters)}.json`);
+  }
+
+  /**
+   * Load a recorded response (null when it was never recorded)
+   */
+  async load(toolName, parameters = {}) {
+    try {
+      const content = await fs.readFile(this.fixturePath(toolName, parameters), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a response
+   */
+  async save(toolName, parameters = {}, data) {
+    const filePath = this.fixturePath(toolName, parameters);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const fixture = {
+      toolName,
+      parameters,
+      recordedAt: new Date().toISOString(),
+      data
+    };
+
+    await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+    logger.debug('F1 fixture recorded', { toolName, file: filePath });
+
+    return fixture;
+  }
+
+  /**
+   * Recorded fixture counts per tool
+   */
+  async getStats() {
+    try {
+      const tools = await fs.readdir(this.options.fixturesDir, { withFileTypes: true });
+      const counts = {};
+
+      for (const entry of tools.filter(item => item.isDirectory())) {
+        const files = await fs.readdir(path.join(this.options.fixturesDir, entry.name));
+        counts[entry.name] = files.filter(file => file.endsWith('.json')).length;
+      }
+
+      return {
+        fixturesDir: this.options.fixturesDir,
+        toolCount: Object.keys(counts).length,
+        fixtureCount: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        tools: counts
+      };
+    } catch (error) {
+      return {
+        fixturesDir: this.options.fixturesDir,
+        toolCount: 0,
+        fixtureCount: 0,
+        tools: {},
+        error: error.code === 'ENOENT' ? 'Fixture directory not found' : error.message
+      };
+    }
+  }
+}
+
+export default F1FixtureStore;
@@ -6,26 +6,89 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {
+  ErrorCode,
+  ResourceUpdatedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  PromptListChangedNotificationSchema,
+  ToolListChangedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { EventEmitter } from 'events';
+import { F1Error, throwIfCancelled } from '../utils/errorHandler.js';
 import logger from '../utils/logger.js';
 
-export class ModernF1MCPClient {
+export const MCP_TRANSPORTS = ['auto', 'streamable-http', 'sse', 'stdio'];
+
+// Errors that mean the connection went away rather than the tool failing
+// (HTTP 404 on a Streamable HTTP POST means the server dropped our session)
+const CONNECTION_ERROR_PATTERN = /fetch failed|\(HTTP 404\)|ECONNREFUSED|ECONNRESET|EPIPE|socket hang up|terminated|other side closed|Connection closed|Not connected|SSE error/i;
+
+/**
+ * Whether an error was caused by a lost or refused connection
+ */
+export function isConnectionError(error) {
+  if (!error) return false;
+  if (error.code === ErrorCode.ConnectionClosed) return true;
+  if (['ECONNREFUSED', 'ECONNRESET', 'EPIPE'].includes(error.code || error.cause?.code)) return true;
+  return CONNECTION_ERROR_PATTERN.test(error.message || '') || CONNECTION_ERROR_PATTERN.test(error.cause?.message || '');
+}
+
+export class ModernF1MCPClient extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.options = {
       serverUrl: options.serverUrl || process.env.F1_MCP_SERVER_URL || 'http://localhost:3001',
       mode: options.mode || 'http', // 'stdio' or 'http'
+      // 'auto' negotiates Streamable HTTP and falls back to the legacy SSE transport
+      transport: options.transport || process.env.F1_MCP_TRANSPORT || (options.mode === 'stdio' ? 'stdio' : 'auto'),
+      streamablePath: options.streamablePath || '/mcp',
+      ssePath: options.ssePath || '/sse',
       timeout: options.timeout || 150000,
       maxRetries: options.maxRetries || 3,
+      reconnectAttempts: options.reconnectAttempts || 5,
+      reconnectBaseDelay: options.reconnectBaseDelay || 500,
+      reconnectMaxDelay: options.reconnectMaxDelay || 30000,
+      // Unannotated tools matching this are treated as read-only and safe to replay
+      replaySafePattern: options.replaySafePattern || /^(get|list|search|fetch)_/,
+      // Resources without a live subscription are re-read after this long
+      resourceCacheTtl: options.resourceCacheTtl || 10 * 60 * 1000,
       ...options
     };
 
+    if (!MCP_TRANSPORTS.includes(this.options.transport)) {
+      throw new F1Error(`Unknown MCP transport: ${this.options.transport}`, 'INVALID_MCP_TRANSPORT', {
+        supported: MCP_TRANSPORTS
+      });
+    }
+
     this.client = null;
     this.transport = null;
+    this.transportType = null;
     this.isConnected = false;
+    this.closing = false;
+    this.reconnecting = null;
     this.availableTools = new Map();
+    this.serverCapabilities = {};
+
+    // Resource cache, kept fresh by resources/updated notifications where the server supports them
+    this.resourceCache = new Map();
+    this.resourceList = null;
+    this.subscriptions = new Set();
+
+    this.connectionStats = {
+      connects: 0,
+      reconnects: 0,
+      failedReconnects: 0,
+      replayedCalls: 0,
+      lastDisconnectAt: null,
+      lastError: null
+    };
     
     logger.info('ModernF1MCPClient initialized', { 
       serverUrl: this.options.serverUrl,
-      mode: this.options.mode 
+      transport: this.options.transport
     });
   }
 
@@ -36,38 +99,14 @@ export class ModernF1MCPClient {
     try {
       logger.info('Initializing MCP client connection...');
 
-      // Create transport based on mode
-      if (this.options.mode === 'stdio') {
-        this.transport = new StdioClientTransport({
-          command: 'node',
-          args: [process.env.F1_MCP_SERVER_PATH || '../f1-mcp-server/src/server.js']
-        });
-      } else {
-        // HTTP/SSE transport for remote servers
-        this.transport = new SSEClientTransport(
-          new URL('/sse', this.options.serverUrl)
-        );
-      }
-
-      // Create client
-      this.client = new Client({
-        name: 'f1-langgraph-agents',
-        version: '1.0.0'
-      }, {
-        capabilities: {
-          tools: {},
-          resources: {}
-        }
-      });
-
-      // Connect to server
-      await this.client.connect(this.transport);
-      this.isConnected = true;
+      await this.connect();
 
       // Load available tools
       await this.loadAvailableTools();
+      await this.restoreSubscriptions();
 
       logger.info('MCP client connection established successfully', {
+        transport: this.transportType,
         toolCount: this.availableTools.size
       });
 
@@ -81,6 +120,213 @@ export class ModernF1MCPClient {
     }
   }
 
+  /**
+   * Connect using the configured transport, negotiating Streamable HTTP first in auto mode
+   */
+  async connect() {
+    await this.closeConnection();
+
+    const candidates = this.options.transport === 'auto'
+      ? ['streamable-http', 'sse']
+      : [this.options.transport];
+
+    let lastError = null;
+
+    for (const transportType of candidates) {
+      try {
+        await this.connectWith(transportType);
+        return transportType;
+      } catch (error) {
+        lastError = error;
+        logger.warn(`MCP ${transportType} transport unavailable`, {
+          serverUrl: this.options.serverUrl,
+          error: error.message
+        });
+        await this.closeConnection();
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Open a client over one transport
+   */
+  async connectWith(transportType) {
+    this.transport = this.createTransport(transportType);
+
+    // Create client
+    this.client = new Client({
+      name: 'f1-langgraph-agents',
+      version: '1.0.0'
+    }, {
+      capabilities: {
+        tools: {},
+        resources: {}
+      }
+    });
+
+    const client = this.client;
+    client.onerror = (error) => this.handleTransportError(client, error);
+    client.onclose = () => this.handleClose(client);
+    this.registerNotificationHandlers(client);
+
+    // Connect to server
+    await client.connect(this.transport);
+
+    this.serverCapabilities = client.getServerCapabilities() || {};
+    this.transportType = transportType;
+    this.isConnected = true;
+    this.connectionStats.connects++;
+  }
+
+  /**
+   * Keep cached resources and prompts in step with server notifications
+   */
+  registerNotificationHandlers(client) {
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      const { uri } = notification.params;
+      this.resourceCache.delete(uri);
+      logger.debug('MCP resource updated', { uri });
+      this.emit('resourceUpdated', { uri });
+    });
+
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      this.resourceList = null;
+      this.emit('resourceListChanged');
+    });
+
+    client.setNotificationHandler(PromptListChangedNotificationSchema, () => {
+      this.emit('promptListChanged');
+    });
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      // Failures are logged by loadAvailableTools; the previous list stays
+      this.loadAvailableTools().catch(() => {});
+    });
+  }
+
+  /**
+   * Create transport based on type
+   */
+  createTransport(transportType) {
+    switch (transportType) {
+      case 'stdio':
+        return new StdioClientTransport({
+          command: 'node',
+          args: [process.env.F1_MCP_SERVER_PATH || '../f1-mcp-server/src/server.js']
+        });
+      case 'streamable-http':
+        return new StreamableHTTPClientTransport(new URL(this.options.streamablePath, this.options.serverUrl));
+      case 'sse':
+        // Legacy HTTP+SSE transport for older remote servers
+        return new SSEClientTransport(new URL(this.options.ssePath, this.options.serverUrl));
+      default:
+        throw new F1Error(`Unknown MCP transport: ${transportType}`, 'INVALID_MCP_TRANSPORT');
+    }
+  }
+
+  /**
+   * Close the current client without triggering a reconnect
+   */
+  async closeConnection() {
+    const client = this.client;
+    this.client = null;
+    this.transport = null;
+    this.isConnected = false;
+
+    if (client) {
+      this.closing = true;
+      try {
+        await client.close();
+      } catch (error) {
+        logger.debug('Error closing MCP client', { error: error.message });
+      } finally {
+        this.closing = false;
+      }
+    }
+  }
+
+  /**
+   * A response stream that drops cannot be resumed here, so the connection is
+   * treated as lost: closing the client rejects its in-flight requests, which
+   * can then be replayed over a new connection
+   */
+  handleTransportError(client, error) {
+    this.connectionStats.lastError = error.message;
+
+    const streamLost = this.transportType === 'sse' || /SSE stream disconnected/.test(error.message);
+    if (client !== this.client || !this.isConnected || !streamLost) {
+      logger.debug('MCP transport error', { transport: this.transportType, error: error.message });
+      return;
+    }
+
+    logger.warn('MCP response stream lost', { transport: this.transportType, error: error.message });
+    client.close().catch(() => {});
+  }
+
+  /**
+   * Connection closed by the server or the transport
+   */
+  handleClose(client) {
+    // Failed connection attempts close their client too; only an established connection is reconnected
+    if (this.closing || client !== this.client || !this.isConnected) {
+      return;
+    }
+
+    this.isConnected = false;
+    this.connectionStats.lastDisconnectAt = new Date().toISOString();
+    logger.warn('MCP connection closed, reconnecting', { transport: this.transportType });
+
+    this.reconnect().catch(() => {});
+  }
+
+  /**
+   * Reconnect with exponential backoff; concurrent callers share one attempt
+   */
+  reconnect() {
+    if (!this.reconnecting) {
+      this.reconnecting = this.reconnectWithBackoff().finally(() => {
+        this.reconnecting = null;
+      });
+    }
+    return this.reconnecting;
+  }
+
+  async reconnectWithBackoff() {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.options.reconnectAttempts; attempt++) {
+      try {
+        await this.connect();
+        await this.loadAvailableTools();
+        await this.restoreSubscriptions();
+        this.connectionStats.reconnects++;
+
+        logger.info('MCP client reconnected', { transport: this.transportType, attempt });
+        return true;
+      } catch (error) {
+        lastError = error;
+        const delay = Math.min(this.options.reconnectBaseDelay * Math.pow(2, attempt - 1), this.options.reconnectMaxDelay);
+
+        logger.warn(`MCP reconnect failed (${attempt}/${this.options.reconnectAttempts})`, {
+          error: error.message,
+          retryInMs: attempt < this.options.reconnectAttempts ? delay : null
+        });
+
+        if (attempt < this.options.reconnectAttempts) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    this.connectionStats.failedReconnects++;
+    throw new F1Error(`Could not reconnect to MCP server: ${lastError?.message}`, 'MCP_RECONNECT_FAILED', {
+      serverUrl: this.options.serverUrl,
+      attempts: this.options.reconnectAttempts
+    });
+  }
+
   /**
    * Load available tools from the MCP server
    */
@@ -99,6 +345,9 @@ export class ModernF1MCPClient {
         toolCount: this.availableTools.size,
         tools: Array.from(this.availableTools.keys())
       });
+
+      // On connect, reconnect and tool list changes
+      this.emit('toolsLoaded', { toolCount: this.availableTools.size });
     } catch (error) {
       logger.error('Failed to load available tools', { error: error.message });
       throw error;
@@ -109,35 +358,78 @@ export class ModernF1MCPClient {
    * Health check - verify connection and server status
    */
   async healthCheck() {
+    if (this.reconnecting) {
+      return { status: 'unhealthy', connected: false, reconnecting: true, ...this.getConnectionInfo() };
+    }
+
+    // Reconnecting can take the whole backoff; probes get an answer now
+    if (!this.isConnected) {
+      this.reconnect().catch(() => {});
+      return { status: 'unhealthy', connected: false, reconnecting: true, ...this.getConnectionInfo() };
+    }
+
     try {
-      if (!this.isConnected) {
-        await this.initialize();
-      }
+      await this.client.ping({ timeout: this.options.timeout });
 
-      // Test with a simple tool call
-      const tools = await this.client.listTools();
-      
       return {
         status: 'healthy',
         connected: this.isConnected,
-        toolCount: tools.tools?.length || 0,
-        serverUrl: this.options.serverUrl
+        toolCount: this.availableTools.size,
+        ...this.getConnectionInfo()
       };
     } catch (error) {
       logger.error('Health check failed', { error: error.message });
+
+      if (isConnectionError(error) && this.isConnected) {
+        this.isConnected = false;
+        this.reconnect().catch(() => {});
+      }
+
       return {
         status: 'unhealthy',
         connected: false,
-        error: error.message
+        error: error.message,
+        ...this.getConnectionInfo()
       };
     }
   }
 
   /**
-   * Invoke a tool with proper MCP protocol
+   * Transport and reconnection details for health reports
    */
-  async invokeTool(toolName, parameters = {}) {
-    if (!this.isConnected) {
+  getConnectionInfo() {
+    return {
+      transport: this.transportType,
+      serverUrl: this.options.serverUrl,
+      stats: { ...this.connectionStats }
+    };
+  }
+
+  /**
+   * Whether a tool call can be sent again after a dropped connection.
+   * MCP tool annotations decide when present; otherwise read-style names are safe.
+   */
+  isReplaySafe(toolName) {
+    const annotations = this.availableTools.get(toolName)?.annotations;
+
+    if (annotations?.readOnlyHint === true || annotations?.idempotentHint === true) {
+      return true;
+    }
+    if (annotations?.readOnlyHint === false) {
+      return false;
+    }
+
+    return this.options.replaySafePattern.test(toolName);
+  }
+
+  /**
+   * Invoke a tool with proper MCP protocol; aborting `signal` cancels the
+   * request on the server as well
+   */
+  async invokeTool(toolName, parameters = {}, { signal = null, replay = 0 } = {}) {
+    if (this.reconnecting) {
+      await this.reconnecting;
+    } else if (!this.isConnected) {
       await this.initialize();
     }
 
@@ -152,7 +444,7 @@ export class ModernF1MCPClient {
       const result = await this.client.callTool({
         name: toolName,
         arguments: parameters
-      });
+      }, undefined, { timeout: this.options.timeout, signal: signal || undefined });
 
       logger.info(`MCP tool invocation successful: ${toolName}`, {
         hasContent: !!result.content,
@@ -161,6 +453,12 @@ export class ModernF1MCPClient {
 
       return result;
     } catch (error) {
+      throwIfCancelled(signal);
+
+      if (isConnectionError(error)) {
+        return this.recoverToolCall(toolName, parameters, { signal, replay }, error);
+      }
+
       logger.error(`MCP tool invocation failed: ${toolName}`, {
         error: error.message,
         parameters
@@ -169,6 +467,149 @@ export class ModernF1MCPClient {
     }
   }
 
+  /**
+   * Reconnect after a call lost its connection and replay it when that is safe
+   */
+  async recoverToolCall(toolName, parameters, { signal, replay }, error) {
+    this.isConnected = false;
+    this.connectionStats.lastDisconnectAt = new Date().toISOString();
+
+    const replaySafe = this.isReplaySafe(toolName);
+    const reconnected = this.reconnect();
+
+    if (!replaySafe || replay >= this.options.maxRetries) {
+      reconnected.catch(() => {});
+      logger.error(`MCP connection lost during ${toolName}`, { replaySafe, replay, error: error.message });
+      throw new F1Error(`MCP connection lost during ${toolName}: ${error.message}`, 'MCP_CONNECTION_LOST', {
+        toolName,
+        replayed: false,
+        replaySafe
+      });
+    }
+
+    await reconnected;
+    this.connectionStats.replayedCalls++;
+    logger.warn(`Replaying MCP tool call after reconnect: ${toolName}`, { replay: replay + 1 });
+
+    throwIfCancelled(signal);
+    return this.invokeTool(toolName, parameters, { signal, replay: replay + 1 });
+  }
+
+  /**
+   * List the server's resources (empty when it does not offer any)
+   */
+  async listResources() {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.resources) {
+      return [];
+    }
+
+    if (!this.resourceList || Date.now() - this.resourceList.fetchedAt > this.options.resourceCacheTtl) {
+      const resources = [];
+      let cursor;
+
+      do {
+        const page = await this.client.listResources(cursor ? { cursor } : undefined, { timeout: this.options.timeout });
+        resources.push(...(page.resources || []));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      this.resourceList = { resources, fetchedAt: Date.now() };
+    }
+
+    return this.resourceList.resources;
+  }
+
+  /**
+   * Read a resource, served from cache while subscribed or within the cache TTL
+   */
+  async readResource(uri) {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    const cached = this.resourceCache.get(uri);
+    if (cached && (this.subscriptions.has(uri) || Date.now() - cached.fetchedAt < this.options.resourceCacheTtl)) {
+      return cached.contents;
+    }
+
+    const result = await this.client.readResource({ uri }, { timeout: this.options.timeout });
+    this.resourceCache.set(uri, { contents: result.contents, fetchedAt: Date.now() });
+
+    await this.subscribeResource(uri);
+
+    return result.contents;
+  }
+
+  /**
+   * Subscribe to change notifications for a resource when the server supports it
+   */
+  async subscribeResource(uri) {
+    if (!this.serverCapabilities.resources?.subscribe || this.subscriptions.has(uri)) {
+      return false;
+    }
+
+    try {
+      await this.client.subscribeResource({ uri });
+      this.subscriptions.add(uri);
+      return true;
+    } catch (error) {
+      logger.warn('MCP resource subscription failed', { uri, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Cached contents may be stale after a reconnect; drop them and subscribe again
+   */
+  async restoreSubscriptions() {
+    const uris = [...this.subscriptions];
+
+    this.resourceCache.clear();
+    this.resourceList = null;
+    this.subscriptions.clear();
+
+    await Promise.all(uris.map(uri => this.subscribeResource(uri)));
+  }
+
+  /**
+   * List the server's prompt templates (empty when it does not offer any)
+   */
+  async listPrompts() {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.prompts) {
+      return [];
+    }
+
+    const prompts = [];
+    let cursor;
+
+    do {
+      const page = await this.client.listPrompts(cursor ? { cursor } : undefined, { timeout: this.options.timeout });
+      prompts.push(...(page.prompts || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return prompts;
+  }
+
+  /**
+   * Render a server prompt template
+   */
+  async getPrompt(name, args = {}) {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    // MCP prompt arguments are always strings
+    const stringArgs = Object.fromEntries(Object.entries(args).map(([key, value]) => [key, String(value)]));
+    return this.client.getPrompt({ name, arguments: stringArgs }, { timeout: this.options.timeout });
+  }
+
   /**
    * Get available tools information
    */
@@ -181,9 +622,11 @@ export class ModernF1MCPClient {
    */
   async disconnect() {
     try {
-      if (this.client && this.isConnected) {
-        await this.client.close();
-        this.isConnected = false;
+      // Let a reconnect in progress settle so it cannot reopen the connection afterwards
+      await this.reconnecting?.catch(() => {});
+
+      if (this.client) {
+        await this.closeConnection();
         logger.info('MCP client disconnected successfully');
       }
     } catch (error) {
@@ -0,0 +1,479 @@
+/**
+ * Federated MCP Server Registry
+ * Connects to several MCP servers from a config file and exposes their tools
+ * as one namespaced tool list, presenting the same interface as a single client
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { SimpleF1MCPClient } from './simpleMcpClient.js';
+import { ModernF1MCPClient } from './mcpClient.js';
+import { F1Error } from '../utils/errorHandler.js';
+import { NAMESPACE_SEPARATOR } from '../utils/namespace.js';
+import logger from '../utils/logger.js';
+
+export const COLLISION_POLICIES = ['prefix', 'skip', 'error'];
+
+/**
+ * Replace ${VAR} and ${VAR:-default} with environment values
+ */
+export function interpolateEnv(value, env = process.env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (match, name, fallback) => env[name] ?? fallback ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env)]));
+  }
+  return value;
+}
+
+/**
+ * Validate a registry config and fill in defaults
+ */
+export function normaliseRegistryConfig(config = {}) {
+  const servers = (config.servers || []).filter(server => server.enabled !== false);
+
+  if (servers.length === 0) {
+    throw new F1Error('MCP server registry config has no enabled servers', 'INVALID_MCP_REGISTRY_CONFIG');
+  }
+
+  const onCollision = config.onCollision || 'prefix';
+  if (!COLLISION_POLICIES.includes(onCollision)) {
+    throw new F1Error(`Unknown tool collision policy: ${onCollision}`, 'INVALID_MCP_REGISTRY_CONFIG', {
+      supported: COLLISION_POLICIES
+    });
+  }
+
+  const names = new Set();
+  const primaryName = (servers.find(server => server.primary) || servers[0]).name;
+
+  return {
+    onCollision,
+    servers: servers.map(server => {
+      if (!server.name || !server.url) {
+        throw new F1Error('Each MCP server needs a name and url', 'INVALID_MCP_REGISTRY_CONFIG', { server });
+      }
+      if (names.has(server.name)) {
+        throw new F1Error(`Duplicate MCP server name: ${server.name}`, 'INVALID_MCP_REGISTRY_CONFIG');
+      }
+      names.add(server.name);
+
+      const primary = server.name === primaryName;
+
+      return {
+        client: 'sdk',
+        ...server,
+        primary,
+        // The primary server keeps bare tool names so existing F1 tool calls still resolve
+        namespace: server.namespace ?? (primary ? '' : server.name),
+        optional: server.optional ?? !primary
+      };
+    })
+  };
+}
+
+export class McpServerRegistry extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+
+    this.config = normaliseRegistryConfig(config);
+    this.options = options;
+
+    this.servers = new Map(this.config.servers.map(server => [server.name, {
+      config: server,
+      client: this.createClient(server),
+      status: 'disconnected',
+      error: null,
+      retrying: null
+    }]));
+
+    this.availableTools = new Map();
+    this.collisions = [];
+    this.resultOwners = new WeakMap();
+    this.resourceOwners = new Map();
+    this.promptOwners = new Map();
+
+    // Forward resource and prompt change notifications from every server
+    for (const [name, server] of this.servers) {
+      if (typeof server.client.on !== 'function') continue;
+      server.client.on('resourceUpdated', event => this.emit('resourceUpdated', { ...event, server: name }));
+      server.client.on('resourceListChanged', () => this.emit('resourceListChanged', { server: name }));
+      server.client.on('promptListChanged', () => this.emit('promptListChanged', { server: name }));
+      // SDK clients reload their tools after reconnecting and on tools/list_changed
+      server.client.on('toolsLoaded', () => {
+        if (server.status === 'connected') this.refreshTools(name);
+      });
+    }
+
+    logger.info('McpServerRegistry initialized', {
+      servers: this.config.servers.map(server => server.name),
+      onCollision: this.config.onCollision
+    });
+  }
+
+  /**
+   * Registry from a config file path (read once at startup)
+   */
+  static fromFile(configPath, options = {}) {
+    const content = fs.readFileSync(configPath, 'utf8');
+    return new McpServerRegistry(interpolateEnv(JSON.parse(content)), options);
+  }
+
+  createClient(server) {
+    const clientOptions = {
+      ...this.options,
+      ...server.options,
+      serverUrl: server.url,
+      ...(server.transport ? { transport: server.transport } : {})
+    };
+
+    return server.client === 'simple'
+      ? new SimpleF1MCPClient(clientOptions)
+      : new ModernF1MCPClient(clientOptions);
+  }
+
+  get primaryServer() {
+    return [...this.servers.values()].find(server => server.config.primary);
+  }
+
+  /**
+   * Connect to every server; only the primary server is required
+   */
+  async initialize() {
+    const results = await Promise.allSettled(
+      [...this.servers.values()].map(async server => {
+        try {
+          await this.connectServer(server);
+        } catch (error) {
+          if (!server.config.optional) {
+            throw error;
+          }
+        }
+      })
+    );
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+
+    this.registerTools();
+    return true;
+  }
+
+  /**
+   * Connect one server, recording whether it is available
+   */
+  async connectServer(server) {
+    try {
+      await server.client.initialize();
+      server.status = 'connected';
+      server.error = null;
+    } catch (error) {
+      server.status = 'unavailable';
+      server.error = error.message;
+
+      logger.warn(`MCP server ${server.config.name} unavailable`, {
+        url: server.config.url,
+        optional: server.config.optional,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Retry a server that was down; its tools are registered once it connects.
+   * One attempt at a time per server, in the background of health checks.
+   */
+  retryServer(server) {
+    if (!server.retrying) {
+      server.retrying = this.connectServer(server)
+        .then(() => {
+          logger.info(`MCP server ${server.config.name} reconnected`);
+          this.refreshTools(server.config.name);
+        })
+        .catch(() => {})
+        .finally(() => {
+          server.retrying = null;
+        });
+    }
+    return server.retrying;
+  }
+
+  /**
+   * Rebuild the tool list after a server's tools changed
+   */
+  refreshTools(serverName) {
+    try {
+      this.registerTools();
+      this.emit('toolListChanged', { server: serverName });
+    } catch (error) {
+      // Only the error collision policy throws; the tools registered so far stay
+      logger.error('MCP registry tool refresh failed', { server: serverName, error: error.message });
+    }
+  }
+
+  /**
+   * Build the namespaced tool list, resolving name collisions by policy
+   */
+  registerTools() {
+    this.availableTools.clear();
+    this.collisions = [];
+
+    for (const server of this.servers.values()) {
+      if (server.status !== 'connected') continue;
+
+      for (const tool of server.client.getAvailableTools()) {
+        const { namespace, name: serverName } = server.config;
+        let exposedName = namespace ? `${namespace}${NAMESPACE_SEPARATOR}${tool.name}` : tool.name;
+
+        if (this.availableTools.has(exposedName)) {
+          const existing = this.availableTools.get(exposedName);
+          const collision = { name: exposedName, servers: [existing.server, serverName], resolution: this.config.onCollision };
+
+          if (this.config.onCollision === 'error') {
+            throw new F1Error(`MCP tool name collision: ${exposedName}`, 'MCP_TOOL_COLLISION', collision);
+          }
+
+          const prefixed = `${serverName}${NAMESPACE_SEPARATOR}${tool.name}`;
+          if (this.config.onCollision === 'skip' || this.availableTools.has(prefixed)) {
+            this.collisions.push({ ...collision, resolution: 'skip' });
+            logger.warn('MCP tool name collision, keeping first registration', collision);
+            continue;
+          }
+
+          exposedName = prefixed;
+          this.collisions.push({ ...collision, renamedTo: exposedName });
+          logger.warn('MCP tool name collision, registering under server name', { ...collision, renamedTo: exposedName });
+        }
+
+        this.availableTools.set(exposedName, {
+          ...tool,
+          name: exposedName,
+          description: namespace || exposedName !== tool.name
+            ? `[${serverName}] ${tool.description || ''}`.trim()
+            : tool.description,
+          server: serverName,
+          serverToolName: tool.name
+        });
+      }
+    }
+
+    logger.info('MCP registry tools registered', {
+      toolCount: this.availableTools.size,
+      collisions: this.collisions.length
+    });
+  }
+
+  /**
+   * Get available tools information
+   */
+  getAvailableTools() {
+    return Array.from(this.availableTools.values());
+  }
+
+  /**
+   * Server that owns a namespaced tool
+   */
+  getToolServer(toolName) {
+    return this.availableTools.get(toolName)?.server || null;
+  }
+
+  /**
+   * Concurrency limit configured for a server, if any
+   */
+  getServerConcurrency(serverName) {
+    return this.servers.get(serverName)?.config.maxConcurrency || null;
+  }
+
+  /**
+   * Whether a namespaced tool call may be repeated or shared, per its own server
+   */
+  isReplaySafe(toolName) {
+    const tool = this.availableTools.get(toolName);
+    const client = tool && this.servers.get(tool.server).client;
+    return client?.isReplaySafe?.(tool.serverToolName) ?? true;
+  }
+
+  /**
+   * Route a namespaced tool call to the server that owns it
+   */
+  async invokeTool(toolName, parameters = {}, options = {}) {
+    const tool = this.availableTools.get(toolName);
+    if (!tool) {
+      throw new F1Error(`Tool '${toolName}' not available in MCP registry`, 'TOOL_NOT_FOUND', {
+        availableTools: Array.from(this.availableTools.keys())
+      });
+    }
+
+    const server = this.servers.get(tool.server);
+    const result = await server.client.invokeTool(tool.serverToolName, parameters, options);
+
+    if (result && typeof result === 'object') {
+      this.resultOwners.set(result, server.client);
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract content with the parser of the client that produced the result
+   */
+  extractContent(result) {
+    const client = (result && typeof result === 'object' && this.resultOwners.get(result)) || this.primaryServer.client;
+    return client.extractContent(result);
+  }
+
+  /**
+   * Servers that are connected and can serve resources and prompts
+   */
+  contextServers() {
+    return [...this.servers.values()].filter(server =>
+      server.status === 'connected' && typeof server.client.listResources === 'function');
+  }
+
+  /**
+   * Resources from every server, tagged with the server that owns them
+   */
+  async listResources() {
+    const lists = await Promise.all(this.contextServers().map(async server => {
+      try {
+        const resources = await server.client.listResources();
+        return resources.map(resource => ({ ...resource, server: server.config.name }));
+      } catch (error) {
+        logger.warn(`Failed to list resources from ${server.config.name}`, { error: error.message });
+        return [];
+      }
+    }));
+
+    const resources = lists.flat();
+    resources.forEach(resource => {
+      if (!this.resourceOwners.has(resource.uri)) {
+        this.resourceOwners.set(resource.uri, resource.server);
+      }
+    });
+
+    return resources;
+  }
+
+  /**
+   * Read a resource from the server that listed it
+   */
+  async readResource(uri) {
+    if (!this.resourceOwners.has(uri)) {
+      await this.listResources();
+    }
+
+    const owner = this.servers.get(this.resourceOwners.get(uri));
+    if (!owner) {
+      throw new F1Error(`Resource '${uri}' not available in MCP registry`, 'RESOURCE_NOT_FOUND');
+    }
+
+    return owner.client.readResource(uri);
+  }
+
+  /**
+   * Prompt templates from every server, namespaced like tools
+   */
+  async listPrompts() {
+    const lists = await Promise.all(this.contextServers().map(async server => {
+      try {
+        const prompts = await server.client.listPrompts();
+        const { namespace, name: serverName } = server.config;
+
+        return prompts.map(prompt => ({
+          ...prompt,
+          name: namespace ? `${namespace}${NAMESPACE_SEPARATOR}${prompt.name}` : prompt.name,
+          server: serverName,
+          serverPromptName: prompt.name
+        }));
+      } catch (error) {
+        logger.warn(`Failed to list prompts from ${server.config.name}`, { error: error.message });
+        return [];
+      }
+    }));
+
+    this.promptOwners.clear();
+    const prompts = [];
+
+    for (const prompt of lists.flat()) {
+      // First registration wins, matching the primary-first tool ordering
+      if (this.promptOwners.has(prompt.name)) continue;
+      this.promptOwners.set(prompt.name, prompt);
+      prompts.push(prompt);
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Render a namespaced prompt on the server that owns it
+   */
+  async getPrompt(name, args = {}) {
+    if (!this.promptOwners.has(name)) {
+      await this.listPrompts();
+    }
+
+    const prompt = this.promptOwners.get(name);
+    if (!prompt) {
+      throw new F1Error(`Prompt '${name}' not available in MCP registry`, 'PROMPT_NOT_FOUND');
+    }
+
+    return this.servers.get(prompt.server).client.getPrompt(prompt.serverPromptName, args);
+  }
+
+  /**
+   * Per-server health; optional servers being down degrades rather than fails the registry.
+   * Servers that are down are retried in the background, so a probe answers now.
+   */
+  async healthCheck() {
+    const entries = await Promise.all(
+      [...this.servers.values()].map(async server => {
+        if (server.status === 'unavailable') {
+          this.retryServer(server);
+        }
+
+        const health = server.status === 'unavailable'
+          ? { status: 'unhealthy', error: server.error, retrying: true }
+          : await server.client.healthCheck().catch(error => ({ status: 'unhealthy', error: error.message }));
+
+        return [server.config.name, {
+          ...health,
+          url: server.config.url,
+          primary: server.config.primary,
+          optional: server.config.optional,
+          namespace: server.config.namespace,
+          toolCount: this.getAvailableTools().filter(tool => tool.server === server.config.name).length
+        }];
+      })
+    );
+
+    const servers = Object.fromEntries(entries);
+    const primaryStatus = servers[this.primaryServer.config.name].status;
+    const othersHealthy = entries.every(([, health]) => health.primary || health.status === 'healthy');
+
+    return {
+      status: primaryStatus === 'healthy' && !othersHealthy ? 'degraded' : primaryStatus,
+      toolCount: this.availableTools.size,
+      collisions: this.collisions,
+      servers
+    };
+  }
+
+  /**
+   * Disconnect from every server
+   */
+  async disconnect() {
+    await Promise.all([...this.servers.values()].map(async server => {
+      await server.retrying;
+      await server.client.disconnect();
+    }));
+  }
+}
+
+export default McpServerRegistry;
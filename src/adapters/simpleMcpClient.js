@@ -5,6 +5,14 @@
 
 import axios from 'axios';
 import logger from '../utils/logger.js';
+import { F1Error, throwIfCancelled } from '../utils/errorHandler.js';
+import F1FixtureStore from './fixtureStore.js';
+import { normaliseRaces, normaliseDrivers, normaliseConstructors } from '../utils/f1Data.js';
+
+// live: upstream server, flagged fallback to fixtures/mock data when it fails
+// strict: upstream server only, failures are surfaced
+// fixture: recorded dataset on disk only
+export const DATA_MODES = ['live', 'strict', 'fixture'];
 
 export class SimpleF1MCPClient {
   constructor(options = {}) {
@@ -12,9 +20,20 @@ export class SimpleF1MCPClient {
       serverUrl: options.serverUrl || process.env.F1_MCP_SERVER_URL || 'http://localhost:3001',
       timeout: options.timeout || 150000,
       maxRetries: options.maxRetries || 3,
+      dataMode: options.dataMode || process.env.F1_DATA_MODE || 'live',
+      recordFixtures: options.recordFixtures ?? process.env.F1_RECORD_FIXTURES === 'true',
       ...options
     };
 
+    if (!DATA_MODES.includes(this.options.dataMode)) {
+      throw new F1Error(
+        `Unknown F1 data mode: ${this.options.dataMode}. Use one of: ${DATA_MODES.join(', ')}`,
+        'INVALID_DATA_MODE'
+      );
+    }
+
+    this.fixtureStore = new F1FixtureStore(this.options);
+
     this.httpClient = axios.create({
       baseURL: this.options.serverUrl,
       timeout: this.options.timeout,
@@ -26,9 +45,11 @@ export class SimpleF1MCPClient {
 
     this.isConnected = false;
     this.availableTools = new Map();
+    this.provenanceCounts = { live: 0, fixture: 0, mock: 0 };
     
     logger.info('SimpleF1MCPClient initialized', { 
-      serverUrl: this.options.serverUrl
+      serverUrl: this.options.serverUrl,
+      dataMode: this.options.dataMode
     });
   }
 
@@ -40,7 +61,16 @@ export class SimpleF1MCPClient {
       logger.info('Initializing simple MCP client connection...');
 
       // Test connection with health check
-      await this.healthCheck();
+      const health = await this.healthCheck();
+
+      // Strict and fixture modes refuse to start without their data source
+      if (this.options.dataMode !== 'live' && health.status !== 'healthy') {
+        throw new F1Error(
+          `F1 data source unavailable in ${this.options.dataMode} mode: ${health.error}`,
+          'DATA_SOURCE_UNAVAILABLE',
+          { dataMode: this.options.dataMode }
+        );
+      }
       
       // Load available tools (mock for now since we know the F1 tools)
       this.loadF1Tools();
@@ -90,23 +120,45 @@ export class SimpleF1MCPClient {
    * Health check - verify connection and server status
    */
   async healthCheck() {
+    if (this.options.dataMode === 'fixture') {
+      const fixtures = await this.fixtureStore.getStats();
+
+      return {
+        status: fixtures.fixtureCount > 0 ? 'healthy' : 'unhealthy',
+        connected: false,
+        dataMode: 'fixture',
+        dataSource: 'fixture',
+        fixtures,
+        provenance: { ...this.provenanceCounts },
+        ...(fixtures.fixtureCount > 0 ? {} : { error: fixtures.error || 'No recorded fixtures found' })
+      };
+    }
+
     try {
       const response = await this.httpClient.get('/health');
       
       return {
         status: 'healthy',
         connected: true,
-        serverResponse: response.data
+        dataMode: this.options.dataMode,
+        dataSource: 'live',
+        serverResponse: response.data,
+        provenance: { ...this.provenanceCounts }
       };
     } catch (error) {
       logger.error('Health check failed', { error: error.message });
-      
-      // Return mock healthy status for development
+
+      // Live mode keeps answering from fixtures/mock data, but never reports that as healthy
       return {
-        status: 'mock_healthy',
+        status: this.options.dataMode === 'live' ? 'degraded' : 'unhealthy',
         connected: false,
+        dataMode: this.options.dataMode,
+        dataSource: this.options.dataMode === 'live' ? 'fallback' : 'none',
         error: error.message,
-        note: 'Using mock mode - F1 MCP server may be unavailable'
+        provenance: { ...this.provenanceCounts },
+        note: this.options.dataMode === 'live'
+          ? 'F1 MCP server unavailable - responses fall back to recorded fixtures or mock data and are flagged'
+          : 'F1 MCP server unavailable - requests will fail'
       };
     }
   }
@@ -114,34 +166,120 @@ export class SimpleF1MCPClient {
   /**
    * Invoke a tool using the F1 MCP server API
    */
-  async invokeTool(toolName, parameters = {}) {
-    try {
-      logger.info(`Invoking F1 tool: ${toolName}`, { parameters });
+  async invokeTool(toolName, parameters = {}, { signal = null } = {}) {
+    logger.info(`Invoking F1 tool: ${toolName}`, { parameters, dataMode: this.options.dataMode });
 
-      // Verify tool exists
-      if (!this.availableTools.has(toolName)) {
-        throw new Error(`Tool '${toolName}' not available`);
-      }
+    // Verify tool exists
+    if (!this.availableTools.has(toolName)) {
+      throw new Error(`Tool '${toolName}' not available`);
+    }
 
-      // Try to invoke the tool on the F1 MCP server
+    if (this.options.dataMode === 'fixture') {
+      return this.getFixtureData(toolName, parameters);
+    }
+
+    try {
+      // Invoke the tool on the F1 MCP server
       const response = await this.httpClient.post('/tools/invoke', {
         tool: toolName,
         parameters: parameters
-      });
+      }, { signal: signal || undefined });
 
       logger.info(`F1 tool invocation successful: ${toolName}`);
-      return response.data;
+
+      if (this.options.recordFixtures) {
+        await this.fixtureStore.save(toolName, parameters, this.extractContent(response.data)).catch(error => {
+          logger.warn('Failed to record F1 fixture', { toolName, error: error.message });
+        });
+      }
+
+      return this.withProvenance(response.data, { source: 'live', fallback: false });
 
     } catch (error) {
+      // A cancelled call has no one waiting for fallback data
+      throwIfCancelled(signal);
+
+      if (this.options.dataMode === 'strict') {
+        logger.error(`F1 tool invocation failed: ${toolName}`, { error: error.message });
+        throw new F1Error(
+          `F1 data unavailable for ${toolName}: ${error.message}`,
+          'UPSTREAM_UNAVAILABLE',
+          { toolName, parameters, dataMode: 'strict' }
+        );
+      }
+
+      // Recorded data is preferred over the small mock dataset
+      const fixture = await this.fixtureStore.load(toolName, parameters).catch(() => null);
+      if (fixture) {
+        logger.warn(`F1 tool invocation failed: ${toolName}, using recorded fixture`, {
+          error: error.message,
+          recordedAt: fixture.recordedAt
+        });
+        return this.withProvenance(
+          { success: true, data: fixture.data, toolName },
+          this.fixtureProvenance(fixture, { fallback: true })
+        );
+      }
+
       logger.warn(`F1 tool invocation failed: ${toolName}, using mock data`, {
         error: error.message
       });
 
-      // Return mock data for development
       return this.getMockData(toolName, parameters);
     }
   }
 
+  /**
+   * Serve a tool call from the recorded fixture dataset
+   */
+  async getFixtureData(toolName, parameters) {
+    const fixture = await this.fixtureStore.load(toolName, parameters);
+
+    if (!fixture) {
+      throw new F1Error(
+        `No recorded fixture for ${toolName} with parameters ${JSON.stringify(parameters)}`,
+        'FIXTURE_NOT_FOUND',
+        { toolName, parameters, dataMode: 'fixture' }
+      );
+    }
+
+    return this.withProvenance(
+      { success: true, data: fixture.data, toolName },
+      this.fixtureProvenance(fixture, { fallback: false })
+    );
+  }
+
+  /**
+   * Provenance of a fixture; hand-written sample fixtures are flagged synthetic
+   */
+  fixtureProvenance(fixture, { fallback }) {
+    return {
+      source: 'fixture',
+      fallback,
+      recordedAt: fixture.recordedAt || null,
+      ...(fixture.synthetic ? { synthetic: true } : {})
+    };
+  }
+
+  /**
+   * Attach a provenance flag to a tool response envelope
+   */
+  withProvenance(response, provenance) {
+    this.provenanceCounts[provenance.source]++;
+
+    const envelope = response && typeof response === 'object' && !Array.isArray(response)
+      ? response
+      : { data: response };
+
+    return {
+      ...envelope,
+      provenance: {
+        ...provenance,
+        dataMode: this.options.dataMode
+      }
+    };
+  }
+
   /**
    * Get mock data for development when server is unavailable
    */
@@ -198,12 +336,12 @@ export class SimpleF1MCPClient {
       parameters 
     };
 
-    return {
+    return this.withProvenance({
       success: true,
       data: result,
       mock: true,
       toolName
-    };
+    }, { source: 'mock', fallback: true });
   }
 
   /**
@@ -218,6 +356,14 @@ export class SimpleF1MCPClient {
    */
   extractContent(result) {
     if (result && result.data) {
+      const provenance = result.provenance;
+
+      // Flag non-live payloads inline so agents can caveat answers built on them
+      if (provenance && provenance.source !== 'live' &&
+          typeof result.data === 'object' && !Array.isArray(result.data)) {
+        return { ...result.data, _provenance: provenance };
+      }
+
       return result.data;
     }
     return result;
@@ -263,6 +409,11 @@ export class SimpleF1MCPClient {
     return this.extractContent(result);
   }
 
+  async getF1QualifyingResults(year, round) {
+    const result = await this.invokeTool('get_f1_qualifying_results', { year, round });
+    return this.extractContent(result);
+  }
+
   async getF1DriverStandings(year, round = null) {
     const params = round ? { year, round } : { year };
     const result = await this.invokeTool('get_f1_driver_standings', params);
@@ -274,6 +425,65 @@ export class SimpleF1MCPClient {
     const result = await this.invokeTool('get_f1_constructor_standings', params);
     return this.extractContent(result);
   }
+
+  /**
+   * Record every tool response for a season into the fixture store
+   */
+  async recordSeasonFixtures(year, { includeDetails = true } = {}) {
+    const recorded = [];
+    const failed = [];
+
+    const record = async (toolName, parameters = {}) => {
+      try {
+        const response = await this.httpClient.post('/tools/invoke', { tool: toolName, parameters });
+        const data = this.extractContent(response.data);
+        await this.fixtureStore.save(toolName, parameters, data);
+        recorded.push(toolName);
+        return data;
+      } catch (error) {
+        failed.push({ toolName, parameters, error: error.message });
+        return null;
+      }
+    };
+
+    await record('get_f1_seasons');
+    await record('get_current_f1_season');
+    await record('get_current_f1_race');
+    await record('get_next_f1_race');
+
+    const races = await record('get_f1_races', { year });
+    const drivers = await record('get_f1_drivers', { year });
+    const constructors = await record('get_f1_constructors', { year });
+    await record('get_f1_driver_standings', { year });
+    await record('get_f1_constructor_standings', { year });
+
+    for (const race of normaliseRaces(races)) {
+      await record('get_f1_race_details', { year, round: race.round });
+      await record('get_f1_race_results', { year, round: race.round });
+      await record('get_f1_qualifying_results', { year, round: race.round });
+      await record('get_f1_driver_standings', { year, round: race.round });
+      await record('get_f1_constructor_standings', { year, round: race.round });
+    }
+
+    if (includeDetails) {
+      for (const driver of normaliseDrivers(drivers)) {
+        await record('get_f1_driver_details', { driverId: driver.id });
+        await record('get_f1_driver_details', { driverId: driver.id, year });
+      }
+      for (const team of normaliseConstructors(constructors)) {
+        await record('get_f1_constructor_details', { constructorId: team.id });
+        await record('get_f1_constructor_details', { constructorId: team.id, year });
+      }
+    }
+
+    logger.info('Season fixtures recorded', {
+      year,
+      recorded: recorded.length,
+      failed: failed.length
+    });
+
+    return { year, recorded: recorded.length, failed };
+  }
 }
 
 export default SimpleF1MCPClient;
\ No newline at end of file
@@ -8,8 +8,9 @@ import { ChatOpenAI } from '@langchain/openai';
 import { ChatAnthropic } from '@langchain/anthropic';
 import { MemorySaver } from '@langchain/langgraph';
 import { HumanMessage, AIMessage, SystemMessage } from '@langchain/core/messages';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
 import logger from '../utils/logger.js';
-import { F1Error } from '../utils/errorHandler.js';
+import { F1Error, globalErrorHandler, cancellationError } from '../utils/errorHandler.js';
 
 export class ModernBaseAgent {
   constructor(agentType, options = {}) {
@@ -26,8 +27,11 @@ export class ModernBaseAgent {
       ...options
     };
 
+    // Circuit breaker per LLM provider, shared by every agent
+    this.errorHandler = globalErrorHandler;
+
     // Initialize LLM
-    this.llm = this.initializeLLM();
+    this.llm = this.withCircuitBreaker(this.initializeLLM());
     
     // Initialize memory saver for checkpointing
     this.memorySaver = new MemorySaver();
@@ -39,6 +43,9 @@ export class ModernBaseAgent {
     
     // State management
     this.activeThreads = new Map();
+
+    // Set by the app when streaming is on; agent events go to /stream/agents/:agentType
+    this.streamingHandler = null;
     
     logger.info(`ModernBaseAgent (${agentType}) initialized`, {
       llmProvider: this.options.llmProvider,
@@ -66,6 +73,22 @@ export class ModernBaseAgent {
     }
   }
 
+  /**
+   * Route every model call (agent graph, orchestrator, health check) through the
+   * provider's circuit breaker. The provider SDK already retries, so no retries here.
+   */
+  withCircuitBreaker(llm) {
+    const invoke = llm.invoke.bind(llm);
+    const operation = `llm:${this.options.llmProvider}`;
+
+    llm.invoke = (input, config) => this.errorHandler.executeWithResilience(
+      () => invoke(input, config),
+      { operation, useCircuitBreaker: true, retries: 0, timeout: this.options.timeout, signal: config?.signal }
+    );
+
+    return llm;
+  }
+
   /**
    * Initialize the agent with tools and configuration
    */
@@ -79,7 +102,10 @@ export class ModernBaseAgent {
         llm: this.llm,
         tools: this.tools,
         checkpointSaver: this.options.enableCheckpointing ? this.memorySaver : undefined,
-        messageModifier: this.systemPrompt ? new SystemMessage(this.systemPrompt) : undefined
+        // Built per call so a refreshed season range reaches the model
+        messageModifier: this.systemPrompt
+          ? (messages) => [new SystemMessage(this.getSystemPrompt()), ...messages]
+          : undefined
       });
 
       logger.info(`Agent ${this.agentType} initialized successfully`, {
@@ -102,9 +128,19 @@ export class ModernBaseAgent {
   }
 
   /**
-   * Process a query with modern streaming and checkpointing support
+   * System prompt with the F1 data source's valid season range appended
    */
-  async processQuery(query, threadId, userContext = {}) {
+  getSystemPrompt(prompt = this.systemPrompt) {
+    const seasons = this.f1Adapter?.describeSeasonBounds?.();
+    return seasons ? `${prompt}\n\n${seasons}` : prompt;
+  }
+
+  /**
+   * Process a query with modern streaming and checkpointing support;
+   * aborting `signal` stops the agent's LLM and tool calls, and `callbacks`
+   * from the calling graph node receive the agent's token and tool events
+   */
+  async processQuery(query, threadId, userContext = {}, { signal = null, callbacks = null } = {}) {
     if (!this.agent) {
       throw new F1Error(
         'Agent not initialized. Call initialize() first.',
@@ -125,7 +161,10 @@ export class ModernBaseAgent {
       const config = {
         configurable: { thread_id: threadId },
         streamMode: this.options.enableStreaming ? "values" : undefined,
-        callbacks: this.createCallbacks(threadId)
+        callbacks: this.combineCallbacks(callbacks, this.createCallbacks(threadId)),
+        // Inherited by the agent's LLM and tool runs, so streamed events name their agent
+        metadata: { agentType: this.agentType },
+        signal: signal || undefined
       };
 
       // Add user context to the query if provided
@@ -145,6 +184,11 @@ export class ModernBaseAgent {
 
     } catch (error) {
       const duration = Date.now() - startTime;
+
+      if (signal?.aborted) {
+        logger.info(`Query processing cancelled for ${this.agentType}`, { threadId, duration });
+        throw cancellationError(signal);
+      }
       
       logger.error(`Query processing failed for ${this.agentType}`, {
         threadId,
@@ -181,11 +225,6 @@ export class ModernBaseAgent {
           timestamp: Date.now(),
           data: chunk
         });
-
-        // Emit streaming event if callback is available
-        if (config.callbacks?.handleLLMNewToken) {
-          await config.callbacks.handleLLMNewToken(chunk);
-        }
       }
 
       // Get final state
@@ -241,23 +280,109 @@ export class ModernBaseAgent {
     return `${query}\n\nUser Context: ${contextString}`;
   }
 
+  /**
+   * Collect all messages produced while processing a query
+   */
+  collectMessages(result) {
+    const messages = [];
+
+    // Streaming results carry messages per chunk, non-streaming results carry them directly
+    if (result.chunks) {
+      result.chunks.forEach(chunk => {
+        if (chunk.data && chunk.data.messages) {
+          messages.push(...chunk.data.messages);
+        }
+      });
+    }
+
+    if (result.messages) {
+      messages.push(...result.messages);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Identify the F1 tools called while producing a result
+   */
+  identifyDataSources(result) {
+    const dataSources = [];
+
+    this.collectMessages(result).forEach(message => {
+      if (message.tool_calls) {
+        message.tool_calls.forEach(toolCall => {
+          if (toolCall.name && !dataSources.includes(toolCall.name)) {
+            dataSources.push(toolCall.name);
+          }
+        });
+      }
+    });
+
+    return dataSources;
+  }
+
+  /**
+   * Extract the (parsed) outputs of a specific tool from a result
+   */
+  extractToolOutputs(result, toolName) {
+    const outputs = [];
+    const seenCalls = new Set();
+
+    this.collectMessages(result).forEach(message => {
+      if (message.name !== toolName || !message.tool_call_id || seenCalls.has(message.tool_call_id)) {
+        return;
+      }
+      seenCalls.add(message.tool_call_id);
+
+      try {
+        outputs.push(typeof message.content === 'string' ? JSON.parse(message.content) : message.content);
+      } catch {
+        outputs.push(message.content);
+      }
+    });
+
+    return outputs;
+  }
+
+  /**
+   * Add the agent's own handler to the caller's callbacks (a handler list or
+   * a run's CallbackManager), so parent runs still see the agent's events
+   */
+  combineCallbacks(parent, handler) {
+    if (!parent) {
+      return [handler];
+    }
+    if (Array.isArray(parent)) {
+      return [...parent, handler];
+    }
+    return parent.copy([handler]);
+  }
+
   /**
    * Create callbacks for streaming and monitoring
    */
   createCallbacks(threadId) {
-    return {
+    const toolRuns = new Map();
+    const publish = (eventType, data) => {
+      this.streamingHandler?.streamAgentEvent(this.agentType, eventType, { threadId, ...data });
+    };
+
+    return BaseCallbackHandler.fromMethods({
       handleLLMStart: async (llm, prompts) => {
         logger.debug(`LLM started for ${this.agentType}`, {
           threadId,
           promptCount: prompts.length
         });
+        publish('llm_start', {});
       },
 
       handleLLMEnd: async (output) => {
+        const outputLength = output.generations?.[0]?.[0]?.text?.length || 0;
         logger.debug(`LLM completed for ${this.agentType}`, {
           threadId,
-          outputLength: output.generations?.[0]?.[0]?.text?.length || 0
+          outputLength
         });
+        publish('llm_end', { outputLength });
       },
 
       handleLLMError: async (error) => {
@@ -265,32 +390,41 @@ export class ModernBaseAgent {
           threadId,
           error: error.message
         });
+        publish('llm_error', { error: error.message });
       },
 
-      handleToolStart: async (tool, input) => {
-        logger.debug(`Tool started: ${tool.name}`, {
+      handleToolStart: async (tool, input, runId, parentRunId, tags, metadata, runName) => {
+        const toolName = runName || tool.name;
+        toolRuns.set(runId, toolName);
+        logger.debug(`Tool started: ${toolName}`, {
           threadId,
           agentType: this.agentType,
           input: JSON.stringify(input).substring(0, 200)
         });
+        publish('tool_start', { toolName, input });
       },
 
-      handleToolEnd: async (output) => {
+      handleToolEnd: async (output, runId) => {
+        const outputLength = JSON.stringify(output).length;
         logger.debug(`Tool completed`, {
           threadId,
           agentType: this.agentType,
-          outputLength: JSON.stringify(output).length
+          outputLength
         });
+        publish('tool_end', { toolName: toolRuns.get(runId), outputLength });
+        toolRuns.delete(runId);
       },
 
-      handleToolError: async (error) => {
+      handleToolError: async (error, runId) => {
         logger.error(`Tool error`, {
           threadId,
           agentType: this.agentType,
           error: error.message
         });
+        publish('tool_error', { toolName: toolRuns.get(runId), error: error.message });
+        toolRuns.delete(runId);
       }
-    };
+    });
   }
 
   /**
@@ -0,0 +1,360 @@
+/**
+ * Modern Driver Performance Agent
+ * Uses LangGraph.js v0.2 patterns for career, teammate and circuit-level driver analysis
+ */
+
+import ModernBaseAgent from './baseAgent.js';
+import logger from '../utils/logger.js';
+import { promptLoader } from '../prompts/index.js';
+
+// Career metric units as they appear in analysis text, mapped to metric keys
+const CAREER_METRIC_UNITS = {
+  win: 'wins',
+  wins: 'wins',
+  victory: 'wins',
+  victories: 'wins',
+  podium: 'podiums',
+  podiums: 'podiums',
+  pole: 'poles',
+  poles: 'poles',
+  'pole position': 'poles',
+  'pole positions': 'poles',
+  championship: 'championships',
+  championships: 'championships',
+  title: 'championships',
+  titles: 'championships',
+  point: 'points',
+  points: 'points',
+  race: 'races',
+  races: 'races',
+  start: 'races',
+  starts: 'races',
+  'fastest lap': 'fastestLaps',
+  'fastest laps': 'fastestLaps'
+};
+
+const KNOWN_CIRCUITS = [
+  'Monaco', 'Silverstone', 'Monza', 'Spa', 'Suzuka', 'Interlagos', 'Bahrain',
+  'Jeddah', 'Albert Park', 'Melbourne', 'Imola', 'Barcelona', 'Baku', 'Montreal',
+  'Zandvoort', 'Hungaroring', 'Marina Bay', 'Singapore', 'Austin', 'COTA',
+  'Mexico City', 'Las Vegas', 'Yas Marina', 'Abu Dhabi', 'Red Bull Ring',
+  'Shanghai', 'Miami', 'Lusail', 'Qatar', 'Sepang', 'Istanbul', 'Nurburgring',
+  'Hockenheim', 'Portimao', 'Paul Ricard', 'Sochi'
+];
+
+export class ModernDriverPerformanceAgent extends ModernBaseAgent {
+  constructor(options = {}) {
+    super('driverPerformance', {
+      enableStreaming: true,
+      enableCheckpointing: true,
+      temperature: 0.1,
+      ...options
+    });
+
+    this.analysisCapabilities = [
+      'career_trajectory_analysis',
+      'teammate_head_to_head',
+      'circuit_performance_profiling',
+      'qualifying_vs_race_pace',
+      'statistical_achievement_tracking'
+    ];
+  }
+
+  /**
+   * Initialize the Driver Performance Agent
+   */
+  async initialize(f1Adapter) {
+    try {
+      this.f1Adapter = f1Adapter;
+
+      // Get F1 tools from the adapter
+      const f1Tools = f1Adapter.getTools();
+
+      // Load system prompt (performanceAnalyst is the main analysis role)
+      const systemPrompt = await promptLoader.getSystemPrompt('driverPerformance', 'performanceAnalyst');
+
+      // Initialize base agent
+      await super.initialize(f1Tools, systemPrompt);
+
+      logger.info('ModernDriverPerformanceAgent initialized successfully', {
+        toolCount: f1Tools.length,
+        capabilities: this.analysisCapabilities
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize ModernDriverPerformanceAgent', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze driver performance with career, teammate and circuit focus
+   */
+  async analyzeDriver(query, threadId, userContext = {}, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      logger.info('Starting driver performance analysis', {
+        threadId,
+        queryPreview: query.substring(0, 100) + '...'
+      });
+
+      // Enhance query with driver performance context
+      const enhancedQuery = this.enhanceQueryForDriverAnalysis(query, userContext);
+
+      // Process with modern base agent
+      const result = await this.processQuery(enhancedQuery, threadId, userContext, options);
+
+      // Post-process the result into structured driver metrics
+      const processedResult = await this.postProcessDriverAnalysis(result, query);
+
+      const duration = Date.now() - startTime;
+
+      logger.info('Driver performance analysis completed', {
+        threadId,
+        duration,
+        streaming: result.streaming,
+        success: result.success
+      });
+
+      return {
+        ...processedResult,
+        metadata: {
+          ...processedResult.metadata,
+          analysisType: 'driver_performance',
+          capabilities: this.analysisCapabilities,
+          duration
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      logger.error('Driver performance analysis failed', {
+        threadId,
+        error: error.message,
+        duration
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Enhance query with the driver performance analysis template
+   */
+  enhanceQueryForDriverAnalysis(query, userContext = {}) {
+    const analysisPrompt = promptLoader.getFormattedAnalysisPrompt('driverPerformance', 'performanceInsights', {
+      driverData: 'Retrieve with get_f1_driver_details, get_f1_race_results and get_f1_qualifying_results',
+      performanceMetrics: userContext.metrics || 'wins, podiums, poles, points, teammate head-to-head, circuit results',
+      analysisContext: query
+    });
+
+    return `${analysisPrompt}
+
+Available Analysis Capabilities:
+${this.analysisCapabilities.map(cap => `- ${cap.replace(/_/g, ' ')}`).join('\n')}
+
+User Query: ${query}
+`;
+  }
+
+  /**
+   * Post-process driver analysis results
+   */
+  async postProcessDriverAnalysis(result, originalQuery) {
+    try {
+      const analysisText = typeof result.result === 'string' ? result.result : '';
+
+      const metrics = {
+        career: this.extractCareerMetrics(analysisText),
+        teammate: this.extractTeammateComparison(analysisText),
+        circuits: this.extractCircuitPerformance(analysisText)
+      };
+
+      const dataSources = this.identifyDataSources(result);
+
+      return {
+        ...result,
+        analysis: {
+          originalQuery,
+          metrics,
+          dataSources,
+          summary: this.generateDriverSummary(analysisText, metrics),
+          analysisType: 'driver_performance',
+          confidence: this.calculateConfidence(result, metrics)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to post-process driver analysis', {
+        error: error.message
+      });
+
+      // Return original result if post-processing fails
+      return result;
+    }
+  }
+
+  /**
+   * Extract career totals (wins, podiums, poles, ...) from analysis text
+   */
+  extractCareerMetrics(text) {
+    const career = {};
+    const unitPattern = Object.keys(CAREER_METRIC_UNITS)
+      .sort((a, b) => b.length - a.length)
+      .join('|');
+    const metricPattern = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(?:career\\s+|grand prix\\s+|race\\s+)?(${unitPattern})\\b`, 'gi');
+
+    for (const match of text.matchAll(metricPattern)) {
+      const key = CAREER_METRIC_UNITS[match[2].toLowerCase()];
+      const value = parseFloat(match[1]);
+
+      if (!career[key]) {
+        career[key] = { value, mentions: 0 };
+      }
+
+      // The largest figure quoted is taken as the career total
+      career[key].value = Math.max(career[key].value, value);
+      career[key].mentions++;
+    }
+
+    return career;
+  }
+
+  /**
+   * Extract teammate head-to-head comparisons from analysis text
+   */
+  extractTeammateComparison(text) {
+    const comparisons = [];
+
+    this.splitSentences(text)
+      .filter(sentence => /team[\s-]?mate/i.test(sentence))
+      .forEach(sentence => {
+        const score = sentence.match(/(\d+)\s*[-–:]\s*(\d+)/);
+        const lower = sentence.toLowerCase();
+
+        comparisons.push({
+          session: lower.includes('qualifying') ? 'qualifying' : lower.includes('race') ? 'race' : 'overall',
+          headToHead: score ? { for: parseInt(score[1]), against: parseInt(score[2]) } : null,
+          context: sentence
+        });
+      });
+
+    const scored = comparisons.filter(c => c.headToHead);
+    const totals = scored.reduce((acc, c) => ({
+      for: acc.for + c.headToHead.for,
+      against: acc.against + c.headToHead.against
+    }), { for: 0, against: 0 });
+
+    return {
+      comparisons,
+      headToHeadTotals: scored.length > 0 ? totals : null,
+      beatRate: scored.length > 0 && totals.for + totals.against > 0
+        ? totals.for / (totals.for + totals.against)
+        : null
+    };
+  }
+
+  /**
+   * Extract circuit-specific performance from analysis text
+   */
+  extractCircuitPerformance(text) {
+    const circuits = new Map();
+
+    this.splitSentences(text).forEach(sentence => {
+      const names = KNOWN_CIRCUITS.filter(circuit =>
+        new RegExp(`\\b${circuit}\\b`, 'i').test(sentence)
+      );
+      const grandPrix = [...sentence.matchAll(/([A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)?) Grand Prix/g)]
+        .map(match => `${match[1]} Grand Prix`);
+
+      [...names, ...grandPrix].forEach(name => {
+        if (!circuits.has(name)) {
+          circuits.set(name, { circuit: name, mentions: 0, metrics: {}, context: [] });
+        }
+
+        const entry = circuits.get(name);
+        entry.mentions++;
+        entry.context.push(sentence);
+
+        Object.entries(this.extractCareerMetrics(sentence)).forEach(([key, metric]) => {
+          entry.metrics[key] = Math.max(entry.metrics[key] || 0, metric.value);
+        });
+      });
+    });
+
+    return Array.from(circuits.values())
+      .sort((a, b) => b.mentions - a.mentions);
+  }
+
+  /**
+   * Split analysis text into trimmed sentences
+   */
+  splitSentences(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  /**
+   * Generate driver analysis summary
+   */
+  generateDriverSummary(analysisText, metrics) {
+    return {
+      careerMetricsFound: Object.keys(metrics.career).length,
+      teammateComparisons: metrics.teammate.comparisons.length,
+      circuitsAnalyzed: metrics.circuits.length,
+      strongestCircuits: metrics.circuits.slice(0, 3).map(c => c.circuit),
+      textLength: analysisText.length
+    };
+  }
+
+  /**
+   * Calculate confidence score for the analysis
+   */
+  calculateConfidence(result, metrics) {
+    let confidence = 0.5; // Base confidence
+
+    // Increase confidence for each structured metric family found
+    confidence += Object.keys(metrics.career).length * 0.03;
+    if (metrics.teammate.headToHeadTotals) {
+      confidence += 0.1;
+    }
+    confidence += Math.min(metrics.circuits.length, 5) * 0.02;
+
+    // Increase confidence if multiple data sources were used
+    confidence += this.identifyDataSources(result).length * 0.05;
+
+    // Cap confidence at 0.95
+    return Math.min(0.95, confidence);
+  }
+
+  /**
+   * Get specialized capabilities
+   */
+  getCapabilities() {
+    return {
+      agentType: 'driverPerformance',
+      capabilities: this.analysisCapabilities,
+      supportedOperations: [
+        'career_analysis',
+        'teammate_comparison',
+        'circuit_performance_analysis',
+        'qualifying_analysis',
+        'head_to_head_comparison'
+      ],
+      dataSourcesSupported: [
+        'driver_details',
+        'race_results',
+        'qualifying_results',
+        'driver_standings'
+      ]
+    };
+  }
+}
+
+export default ModernDriverPerformanceAgent;
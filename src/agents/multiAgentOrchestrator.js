@@ -0,0 +1,363 @@
+/**
+ * Modern Multi-Agent Orchestrator
+ * Plans which specialist agents should handle a query and synthesizes their parallel results
+ */
+
+import { z } from 'zod';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import ModernBaseAgent from './baseAgent.js';
+import logger from '../utils/logger.js';
+import { throwIfCancelled } from '../utils/errorHandler.js';
+import { promptLoader } from '../prompts/index.js';
+
+// Specialist agent keys, in the order they are offered to the LLM
+export const SPECIALIST_AGENTS = [
+  'seasonAnalysis',
+  'driverPerformance',
+  'raceStrategy',
+  'championshipPredictor',
+  'historicalComparison'
+];
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const routingPlanSchema = z.object({
+  agents: z.array(z.object({
+    name: z.string(),
+    should_use: z.boolean().optional().default(true),
+    priority: z.enum(['high', 'medium', 'low']).optional().default('medium'),
+    analysis_focus: z.string().optional().default(''),
+    data_requirements: z.array(z.string()).optional().default([])
+  })).default([]),
+  reasoning: z.string().optional().default(''),
+  coordination_strategy: z.string().optional().default('')
+});
+
+const entityList = z.array(z.union([z.string(), z.number()]))
+  .optional()
+  .default([])
+  .transform(values => values.map(value => String(value).trim()).filter(Boolean));
+
+const queryAnalysisSchema = z.object({
+  primaryAgent: z.string(),
+  secondaryAgents: z.array(z.string()).optional().default([]),
+  queryType: z.string().optional().default(''),
+  complexity: z.enum(['simple', 'moderate', 'complex']).catch('moderate'),
+  requiresMultipleAgents: z.boolean().optional().default(false),
+  extractedEntities: z.object({
+    drivers: entityList,
+    teams: entityList,
+    seasons: entityList,
+    races: entityList
+  }).optional().default({})
+});
+
+const consensusSchema = z.object({
+  agreements: z.array(z.object({
+    topic: z.string(),
+    agents: z.array(z.string()).default([])
+  })).default([]),
+  conflicts: z.array(z.object({
+    topic: z.string(),
+    agents: z.array(z.string()).default([]),
+    detail: z.string().optional().default('')
+  })).default([]),
+  confidence: z.number().min(0).max(1).optional()
+});
+
+/**
+ * Map an agent name as written by the LLM ("Driver Performance Agent", "driver") to an agent key
+ */
+export function resolveAgentType(name) {
+  const normalised = String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+  if (SPECIALIST_AGENTS.map(agent => agent.toLowerCase()).includes(normalised)) {
+    return SPECIALIST_AGENTS.find(agent => agent.toLowerCase() === normalised);
+  }
+  if (normalised.includes('historical') || normalised.includes('history')) return 'historicalComparison';
+  if (normalised.includes('championship') || normalised.includes('predict')) return 'championshipPredictor';
+  if (normalised.includes('strategy') || normalised.startsWith('race')) return 'raceStrategy';
+  if (normalised.includes('driver')) return 'driverPerformance';
+  if (normalised.includes('season')) return 'seasonAnalysis';
+
+  return null;
+}
+
+/**
+ * Extract a JSON object from an LLM response (fenced block or bare object)
+ */
+export function parseJsonResponse(text) {
+  const content = String(text || '');
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+
+  if (!candidate || !candidate.trim()) {
+    throw new Error('No JSON object found in response');
+  }
+
+  return JSON.parse(candidate);
+}
+
+/**
+ * Plain text content of an LLM message
+ */
+export function messageText(message) {
+  const content = message?.content ?? message;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return typeof content === 'string' ? content : '';
+}
+
+export class ModernMultiAgentOrchestrator extends ModernBaseAgent {
+  constructor(options = {}) {
+    super('multiAgentOrchestrator', {
+      enableStreaming: false,
+      enableCheckpointing: false,
+      temperature: 0.1,
+      ...options
+    });
+
+    this.orchestratorOptions = {
+      maxAgents: options.maxAgents || 3,
+      maxResultLength: options.maxResultLength || 6000
+    };
+
+    this.synthesizerPrompt = '';
+  }
+
+  /**
+   * Initialize the orchestrator (no tools: it only plans and synthesizes).
+   * The F1 adapter is optional and only supplies the valid season range.
+   */
+  async initialize(f1Adapter = null) {
+    try {
+      this.f1Adapter = f1Adapter;
+
+      const systemPrompt = await promptLoader.getSystemPrompt('multiAgentOrchestrator', 'queryAnalyzer');
+      this.synthesizerPrompt = await promptLoader.getSystemPrompt('multiAgentOrchestrator', 'resultSynthesizer');
+
+      await super.initialize([], systemPrompt);
+
+      logger.info('ModernMultiAgentOrchestrator initialized successfully', {
+        maxAgents: this.orchestratorOptions.maxAgents
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize ModernMultiAgentOrchestrator', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Classify a query with the queryAnalysis prompt
+   *
+   * Throws when the LLM is unavailable or its output fails validation so callers can fall back
+   */
+  async classifyQuery(query, availableAgents = SPECIALIST_AGENTS, { signal = null } = {}) {
+    const analysisPrompt = promptLoader.getFormattedAnalysisPrompt('multiAgentOrchestrator', 'queryAnalysis', { query });
+
+    // Routing JSON, not answer text: tagged so token streams skip it
+    const response = await this.llm.invoke([
+      new SystemMessage(this.getSystemPrompt()),
+      new HumanMessage(analysisPrompt)
+    ], { signal: signal || undefined, tags: ['nostream'] });
+
+    const analysis = queryAnalysisSchema.parse(parseJsonResponse(messageText(response)));
+
+    const primaryAgent = resolveAgentType(analysis.primaryAgent);
+    if (!primaryAgent || !availableAgents.includes(primaryAgent)) {
+      throw new Error(`Classifier selected an unavailable agent: ${analysis.primaryAgent}`);
+    }
+
+    const secondaryAgents = [...new Set(analysis.secondaryAgents.map(resolveAgentType))]
+      .filter(agentType => agentType && agentType !== primaryAgent && availableAgents.includes(agentType));
+
+    return {
+      source: 'llm',
+      primaryAgent,
+      secondaryAgents,
+      queryType: analysis.queryType,
+      complexity: analysis.complexity,
+      requiresMultipleAgents: analysis.requiresMultipleAgents && secondaryAgents.length > 0,
+      entities: {
+        drivers: analysis.extractedEntities.drivers,
+        teams: analysis.extractedEntities.teams,
+        seasons: analysis.extractedEntities.seasons.map(Number).filter(Number.isInteger),
+        races: analysis.extractedEntities.races
+      }
+    };
+  }
+
+  /**
+   * Ask the LLM which specialist agents to run and with what focus
+   *
+   * Falls back to the given agent keys when the LLM is unavailable or selects nothing usable
+   */
+  async planAgents(query, availableAgents = SPECIALIST_AGENTS, fallbackAgents = [], { signal = null } = {}) {
+    try {
+      const routingPrompt = promptLoader.getFormattedAnalysisPrompt('multiAgentOrchestrator', 'queryRouting', { query });
+
+      const response = await this.llm.invoke([
+        new SystemMessage(this.getSystemPrompt()),
+        new HumanMessage(routingPrompt)
+      ], { signal: signal || undefined, tags: ['nostream'] });
+
+      const plan = routingPlanSchema.parse(parseJsonResponse(messageText(response)));
+      const selected = new Map();
+
+      plan.agents
+        .filter(agent => agent.should_use)
+        .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+        .forEach(agent => {
+          const agentType = resolveAgentType(agent.name);
+          if (agentType && availableAgents.includes(agentType) && !selected.has(agentType)) {
+            selected.set(agentType, {
+              agentType,
+              priority: agent.priority,
+              focus: agent.analysis_focus,
+              dataRequirements: agent.data_requirements
+            });
+          }
+        });
+
+      if (selected.size > 0) {
+        return {
+          source: 'llm',
+          agents: Array.from(selected.values()).slice(0, this.orchestratorOptions.maxAgents),
+          reasoning: plan.reasoning,
+          coordinationStrategy: plan.coordination_strategy
+        };
+      }
+
+      logger.warn('Orchestrator plan selected no available agents, using fallback', { query: query.substring(0, 100) });
+    } catch (error) {
+      throwIfCancelled(signal);
+      logger.warn('Orchestrator planning failed, using fallback', { error: error.message });
+    }
+
+    return this.createFallbackPlan(fallbackAgents, availableAgents);
+  }
+
+  /**
+   * Plan built from keyword matches when LLM planning is not possible
+   */
+  createFallbackPlan(fallbackAgents = [], availableAgents = SPECIALIST_AGENTS) {
+    const candidates = fallbackAgents.filter(agentType => availableAgents.includes(agentType));
+    const agentTypes = candidates.length > 0 ? candidates : availableAgents.slice(0, 1);
+
+    return {
+      source: 'fallback',
+      agents: agentTypes.slice(0, this.orchestratorOptions.maxAgents).map(agentType => ({
+        agentType,
+        priority: 'medium',
+        focus: '',
+        dataRequirements: []
+      })),
+      reasoning: 'Keyword-based fallback plan',
+      coordinationStrategy: 'parallel'
+    };
+  }
+
+  /**
+   * Merge specialist outputs into one response with the resultSynthesis prompt
+   *
+   * agentResults: [{ agentType, focus, success, result, confidence, error, timedOut }]
+   */
+  async synthesizeResults(query, agentResults = [], { signal = null } = {}) {
+    const contributions = agentResults.filter(entry => entry.success);
+    const failures = agentResults
+      .filter(entry => !entry.success)
+      .map(entry => ({ agentType: entry.agentType, error: entry.error, timedOut: !!entry.timedOut }));
+
+    if (contributions.length === 0) {
+      return {
+        success: false,
+        result: 'None of the selected agents produced a result',
+        contributors: [],
+        agreements: [],
+        conflicts: [],
+        failedAgents: failures
+      };
+    }
+
+    const agentResultsText = contributions
+      .map(entry => {
+        const text = String(entry.result || '').substring(0, this.orchestratorOptions.maxResultLength);
+        return `### ${entry.agentType}${entry.focus ? ` (focus: ${entry.focus})` : ''}\n${text}`;
+      })
+      .join('\n\n');
+
+    const synthesisPrompt = promptLoader.getFormattedAnalysisPrompt('multiAgentOrchestrator', 'resultSynthesis', {
+      query,
+      agentResults: agentResultsText
+    });
+
+    let synthesis;
+    let consensus = { agreements: [], conflicts: [] };
+
+    try {
+      const response = await this.llm.invoke([
+        new SystemMessage(this.getSystemPrompt(this.synthesizerPrompt)),
+        new HumanMessage(`${synthesisPrompt}
+
+Consensus Reporting:
+End your response with a fenced json block listing where the agents agreed and where they conflicted, using the agent names above:
+{"agreements": [{"topic": "...", "agents": ["..."]}], "conflicts": [{"topic": "...", "agents": ["..."], "detail": "..."}], "confidence": 0.0-1.0}`)
+      ], { signal: signal || undefined, tags: ['nostream'] });
+
+      const text = messageText(response);
+      const consensusBlock = text.match(/```(?:json)?\s*([\s\S]*?)```\s*$/);
+      synthesis = consensusBlock ? text.slice(0, consensusBlock.index).trim() : text.trim();
+
+      try {
+        consensus = consensusSchema.parse(JSON.parse(consensusBlock ? consensusBlock[1] : ''));
+      } catch (error) {
+        logger.warn('Synthesis did not include a valid consensus block', { error: error.message });
+      }
+    } catch (error) {
+      throwIfCancelled(signal);
+
+      // Without the LLM, present each contribution as-is
+      logger.warn('Result synthesis failed, concatenating agent results', { error: error.message });
+      synthesis = agentResultsText;
+    }
+
+    const contributors = contributions.map(entry => entry.agentType);
+    const knownAgent = (agentType) => contributors.includes(resolveAgentType(agentType));
+    const averageConfidence = contributions.reduce((sum, entry) => sum + (entry.confidence ?? 0.5), 0) / contributions.length;
+
+    return {
+      success: true,
+      result: synthesis,
+      contributors,
+      agreements: consensus.agreements.map(item => ({ ...item, agents: item.agents.filter(knownAgent).map(resolveAgentType) })),
+      conflicts: consensus.conflicts.map(item => ({ ...item, agents: item.agents.filter(knownAgent).map(resolveAgentType) })),
+      failedAgents: failures,
+      confidence: consensus.confidence ?? Math.round(averageConfidence * 100) / 100
+    };
+  }
+
+  /**
+   * Get specialized capabilities
+   */
+  getCapabilities() {
+    return {
+      agentType: 'multiAgentOrchestrator',
+      capabilities: [
+        'query_classification',
+        'entity_extraction',
+        'agent_selection',
+        'parallel_agent_execution',
+        'result_synthesis',
+        'consensus_reporting'
+      ],
+      supportedOperations: SPECIALIST_AGENTS
+    };
+  }
+}
+
+export default ModernMultiAgentOrchestrator;
@@ -59,7 +59,7 @@ export class ModernSeasonAnalysisAgent extends ModernBaseAgent {
   /**
    * Analyze F1 season with enhanced capabilities
    */
-  async analyzeSeason(query, threadId, userContext = {}) {
+  async analyzeSeason(query, threadId, userContext = {}, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -72,7 +72,7 @@ export class ModernSeasonAnalysisAgent extends ModernBaseAgent {
       const enhancedQuery = this.enhanceQueryForSeasonAnalysis(query, userContext);
       
       // Process with modern base agent
-      const result = await this.processQuery(enhancedQuery, threadId, userContext);
+      const result = await this.processQuery(enhancedQuery, threadId, userContext, options);
       
       // Post-process the result for season analysis
       const processedResult = await this.postProcessSeasonAnalysis(result, query);
@@ -288,32 +288,6 @@ User Query: ${query}
     return comparisons;
   }
 
-  /**
-   * Identify data sources used in the analysis
-   */
-  identifyDataSources(result) {
-    const dataSources = [];
-    
-    // Check if streaming chunks contain tool usage information
-    if (result.chunks) {
-      result.chunks.forEach(chunk => {
-        if (chunk.data && chunk.data.messages) {
-          chunk.data.messages.forEach(message => {
-            if (message.tool_calls) {
-              message.tool_calls.forEach(toolCall => {
-                if (toolCall.name && !dataSources.includes(toolCall.name)) {
-                  dataSources.push(toolCall.name);
-                }
-              });
-            }
-          });
-        }
-      });
-    }
-    
-    return dataSources;
-  }
-
   /**
    * Generate analysis summary
    */
@@ -3,23 +3,97 @@
  * Uses LangGraph.js v0.2 patterns with streaming, checkpointing, and modern architecture
  */
 
-import { StateGraph, START, END } from '@langchain/langgraph';
+import { StateGraph, START, END, Send, Command, interrupt } from '@langchain/langgraph';
 import { MemorySaver } from '@langchain/langgraph';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { isAIMessageChunk } from '@langchain/core/messages';
 import ModernF1LangGraphAdapter from './adapters/langGraphAdapter.js';
 import ModernF1StateManager from './state/graphState.js';
 import ModernSeasonAnalysisAgent from './agents/seasonAnalysisAgent.js';
-import { globalErrorHandler, F1Error } from './utils/errorHandler.js';
+import ModernDriverPerformanceAgent from './agents/driverPerformanceAgent.js';
+import ModernRaceStrategyAgent from './agents/raceStrategyAgent.js';
+import ModernChampionshipPredictorAgent from './agents/championshipPredictorAgent.js';
+import ModernHistoricalComparisonAgent from './agents/historicalComparisonAgent.js';
+import ModernMultiAgentOrchestrator from './agents/multiAgentOrchestrator.js';
+import F1EntityResolver, { describeResolvedEntities } from './utils/entityResolver.js';
+import { seasonRangeMessage } from './utils/seasonBounds.js';
+import { globalErrorHandler, F1Error, cancellationError } from './utils/errorHandler.js';
 import logger from './utils/logger.js';
 import rateLimit from 'express-rate-limit';
 
+// Specialist agent entry points used by the orchestrator's parallel branches
+const SPECIALIST_RUNNERS = {
+  seasonAnalysis: 'analyzeSeason',
+  driverPerformance: 'analyzeDriver',
+  raceStrategy: 'analyzeStrategy',
+  championshipPredictor: 'predictChampionship',
+  historicalComparison: 'compareEras'
+};
+
+// Longest tool output sent in a tool_event; the full result stays in the run
+const TOOL_EVENT_PREVIEW_LENGTH = 1000;
+
+/**
+ * Tool result (a ToolMessage or raw output) as a short string for streaming
+ */
+function previewToolOutput(output) {
+  const content = output?.content ?? output;
+  const text = typeof content === 'string' ? content : JSON.stringify(content) ?? '';
+  return text.length > TOOL_EVENT_PREVIEW_LENGTH ? `${text.slice(0, TOOL_EVENT_PREVIEW_LENGTH)}...` : text;
+}
+
+/**
+ * The answer text of a workflow result, for the thread's finalResponse
+ */
+function finalResponseText(result) {
+  const answer = result?.result ?? result;
+  return typeof answer === 'string' ? answer : JSON.stringify(answer);
+}
+
+// Streaming handler broadcast for each workflow event
+const THREAD_EVENT_PUBLISHERS = {
+  llm_token: (handler, { threadId, token, metadata }) => handler.streamLLMToken(threadId, token, metadata),
+  tool_event: (handler, { threadId, toolName, eventType, data }) => handler.streamToolEvent(threadId, toolName, eventType, data),
+  workflow_state: (handler, { threadId, currentStep, state }) => handler.streamWorkflowState(threadId, currentStep, state),
+  human_input: (handler, { threadId, request }) => handler.streamHumanInput(threadId, request)
+};
+
+// Keyword routes, checked in order; the agent key is used for orchestrator fallback plans
+const KEYWORD_ROUTES = [
+  { route: 'championship_prediction', agent: 'championshipPredictor', pattern: /predict|probability|chance|who will win/ },
+  { route: 'historical_comparison', agent: 'historicalComparison', pattern: /\b(eras?|all[- ]time|historical|greatest|vs|versus)\b/ },
+  { route: 'season_analysis', agent: 'seasonAnalysis', pattern: /season|championship|year/ },
+  { route: 'driver_performance', agent: 'driverPerformance', pattern: /driver|performance/ },
+  { route: 'race_strategy', agent: 'raceStrategy', pattern: /race|strategy/ }
+];
+
+/**
+ * Reducer for parallel agent results: one entry per agent, latest wins; null resets
+ */
+function mergeAgentResults(current = [], update = []) {
+  if (update === null) {
+    return [];
+  }
+
+  const merged = new Map(current.map(entry => [entry.agentType, entry]));
+  (Array.isArray(update) ? update : [update]).forEach(entry => {
+    if (entry && entry.agentType) {
+      merged.set(entry.agentType, entry);
+    }
+  });
+  return Array.from(merged.values());
+}
+
 export class ModernF1LangGraphApp {
   constructor(options = {}) {
     this.options = {
       enableMemory: options.enableMemory !== false,
       enableStreaming: options.enableStreaming !== false,
       enableCheckpointing: options.enableCheckpointing !== false,
-      enableHumanInLoop: options.enableHumanInLoop || false,
+      enableHumanInLoop: options.enableHumanInLoop || process.env.ENABLE_HUMAN_IN_LOOP === 'true',
       defaultTimeout: options.defaultTimeout || 150000,
+      agentTimeout: options.agentTimeout || 90000,
+      enableLlmClassifier: options.enableLlmClassifier !== false,
       maxRetries: options.maxRetries || 3,
       llmProvider: options.llmProvider || 'openai',
       rateLimitEnabled: options.rateLimitEnabled !== false,
@@ -29,6 +103,16 @@ export class ModernF1LangGraphApp {
     // Initialize core components
     this.f1Adapter = new ModernF1LangGraphAdapter(this.options);
     this.stateManager = new ModernF1StateManager(this.options);
+
+    // Tool outputs too large for the model are summarised; the full payload goes in thread f1Data
+    this.f1Adapter.setThreadDataStore({
+      save: (threadId, ref, payload, toolName) => this.stateManager.addF1Data(threadId, ref, payload, toolName),
+      load: (threadId, ref) => this.stateManager.activeThreads.get(threadId)?.f1Data?.[ref]
+    });
+    this.entityResolver = new F1EntityResolver(
+      (toolName, params) => this.f1Adapter.invokeWithRetry(toolName, params),
+      this.options.entityResolver
+    );
     
     // Initialize agents
     this.agents = {};
@@ -40,6 +124,9 @@ export class ModernF1LangGraphApp {
       'historicalComparison'
     ];
     
+    // Thread-scoped SSE channel, set by the server when streaming is on
+    this.streamingHandler = null;
+
     // State graph for workflow orchestration
     this.workflowGraph = null;
     this.memorySaver = new MemorySaver();
@@ -64,6 +151,15 @@ export class ModernF1LangGraphApp {
     });
   }
 
+  /**
+   * Publish every query's events to subscribers of /stream/query/:threadId,
+   * and agent events to /stream/agents/:agentType
+   */
+  setStreamingHandler(handler) {
+    this.streamingHandler = handler;
+    Object.values(this.agents).forEach(agent => { agent.streamingHandler = handler; });
+  }
+
   /**
    * Initialize the complete F1 application
    */
@@ -120,9 +216,27 @@ export class ModernF1LangGraphApp {
       this.agents.seasonAnalysis = new ModernSeasonAnalysisAgent(this.options);
       await this.agents.seasonAnalysis.initialize(this.f1Adapter);
 
-      // TODO: Initialize other agents as they are created
-      // this.agents.driverPerformance = new ModernDriverPerformanceAgent(this.options);
-      // await this.agents.driverPerformance.initialize(this.f1Adapter);
+      // Initialize Driver Performance Agent
+      this.agents.driverPerformance = new ModernDriverPerformanceAgent(this.options);
+      await this.agents.driverPerformance.initialize(this.f1Adapter);
+
+      // Initialize Race Strategy Agent
+      this.agents.raceStrategy = new ModernRaceStrategyAgent(this.options);
+      await this.agents.raceStrategy.initialize(this.f1Adapter);
+
+      // Initialize Championship Predictor Agent
+      this.agents.championshipPredictor = new ModernChampionshipPredictorAgent(this.options);
+      await this.agents.championshipPredictor.initialize(this.f1Adapter);
+
+      // Initialize Historical Comparison Agent
+      this.agents.historicalComparison = new ModernHistoricalComparisonAgent(this.options);
+      await this.agents.historicalComparison.initialize(this.f1Adapter);
+
+      Object.values(this.agents).forEach(agent => { agent.streamingHandler = this.streamingHandler; });
+
+      // Initialize Multi-Agent Orchestrator (plans and synthesizes, owns no F1 tools)
+      this.orchestrator = new ModernMultiAgentOrchestrator(this.options);
+      await this.orchestrator.initialize(this.f1Adapter);
 
       logger.info('All agents initialized successfully', {
         agentCount: Object.keys(this.agents).length,
@@ -148,20 +262,38 @@ export class ModernF1LangGraphApp {
           currentStep: String,
           agentType: String,
           result: Object,
-          errors: Array
+          errors: Array,
+          candidateAgents: Array,
+          queryAnalysis: Object,
+          resolvedEntities: Object,
+          plan: Object,
+          agentResults: {
+            value: mergeAgentResults,
+            default: () => []
+          }
         }
       });
 
       // Add nodes
       workflow.addNode("query_analyzer", this.analyzeQuery.bind(this));
+      workflow.addNode("entity_clarifier", this.clarifyQueryEntities.bind(this));
       workflow.addNode("agent_router", this.routeToAgent.bind(this));
       workflow.addNode("season_analysis", this.runSeasonAnalysis.bind(this));
+      workflow.addNode("driver_performance", this.runDriverPerformance.bind(this));
+      workflow.addNode("race_strategy", this.runRaceStrategy.bind(this));
+      workflow.addNode("championship_prediction", this.runChampionshipPrediction.bind(this));
+      workflow.addNode("historical_comparison", this.runHistoricalComparison.bind(this));
+      workflow.addNode("orchestrator", this.runOrchestrator.bind(this));
+      workflow.addNode("specialist_agent", this.runSpecialistAgent.bind(this));
+      workflow.addNode("result_synthesizer", this.synthesizeAgentResults.bind(this));
       workflow.addNode("result_formatter", this.formatResult.bind(this));
       workflow.addNode("error_handler", this.handleError.bind(this));
 
       // Add edges
       workflow.addEdge(START, "query_analyzer");
-      workflow.addEdge("query_analyzer", "agent_router");
+      // Clarification has its own node, so resuming it does not classify the query again
+      workflow.addEdge("query_analyzer", "entity_clarifier");
+      workflow.addEdge("entity_clarifier", "agent_router");
       
       // Conditional routing based on agent type
       workflow.addConditionalEdges(
@@ -169,11 +301,32 @@ export class ModernF1LangGraphApp {
         this.routingCondition.bind(this),
         {
           "season_analysis": "season_analysis",
+          "driver_performance": "driver_performance",
+          "race_strategy": "race_strategy",
+          "championship_prediction": "championship_prediction",
+          "historical_comparison": "historical_comparison",
+          "orchestrator": "orchestrator",
           "error": "error_handler"
         }
       );
 
       workflow.addEdge("season_analysis", "result_formatter");
+      workflow.addEdge("driver_performance", "result_formatter");
+      workflow.addEdge("race_strategy", "result_formatter");
+      workflow.addEdge("championship_prediction", "result_formatter");
+      workflow.addEdge("historical_comparison", "result_formatter");
+
+      // Orchestrated queries fan out to one parallel branch per selected agent
+      workflow.addConditionalEdges(
+        "orchestrator",
+        this.fanOutToSpecialists.bind(this),
+        {
+          "specialist_agent": "specialist_agent",
+          "error": "error_handler"
+        }
+      );
+      workflow.addEdge("specialist_agent", "result_synthesizer");
+      workflow.addEdge("result_synthesizer", "result_formatter");
       workflow.addEdge("result_formatter", END);
       workflow.addEdge("error_handler", END);
 
@@ -190,9 +343,11 @@ export class ModernF1LangGraphApp {
   }
 
   /**
-   * Process F1 query through the modern workflow
+   * Process F1 query through the modern workflow; `onEvent(event, data)`
+   * receives the run's node transitions, tool calls and LLM tokens as they happen.
+   * `resume` answers the question an interrupted run on this thread is waiting on.
    */
-  async processQuery(query, threadId, userContext = {}) {
+  async processQuery(query, threadId, userContext = {}, { signal = null, onEvent = null, resume } = {}) {
     if (!this.isInitialized) {
       throw new F1Error(
         'Application not initialized. Call initialize() first.',
@@ -209,33 +364,61 @@ export class ModernF1LangGraphApp {
         queryPreview: query.substring(0, 100) + '...'
       });
 
-      // Create initial state
-      const initialState = this.stateManager.createInitialState(query, threadId, userContext);
+      // Create initial state; a resumed run continues the thread's existing one
+      if (resume === undefined) {
+        this.stateManager.createInitialState(query, threadId, userContext);
+      }
 
       // Process through workflow graph
+      // The signal reaches every node, agent, LLM call and tool call
       const config = { 
         configurable: { thread_id: threadId },
-        streamMode: this.options.enableStreaming ? "values" : undefined
+        streamMode: this.options.enableStreaming ? "values" : undefined,
+        signal: signal || undefined
       };
 
-      const input = {
+      const input = resume !== undefined ? new Command({ resume }) : {
         query,
         threadId,
         userContext,
         currentStep: 'query_analysis',
-        errors: []
+        errors: [],
+        // Clear parallel results checkpointed by an earlier query on this thread
+        agentResults: null
       };
 
-      let result;
-      
-      if (this.options.enableStreaming) {
-        result = await this.processWithStreaming(input, config, threadId);
-      } else {
-        result = await this.workflowGraph.invoke(input, config);
+      const publish = this.createEventPublisher(onEvent);
+
+      // Track where every F1 tool response used for this answer came from
+      const { value: result, provenance: dataProvenance } = await this.f1Adapter.runInThread({ threadId, query }, () =>
+        this.f1Adapter.trackProvenance(() => {
+          if (publish) {
+            return this.streamWorkflowEvents(input, config, threadId, publish);
+          }
+          return this.options.enableStreaming
+            ? this.processWithStreaming(input, config, threadId)
+            : this.workflowGraph.invoke(input, config);
+        })
+      );
+
+      const awaitingInput = await this.getPendingHumanInput(config);
+      if (awaitingInput) {
+        await this.stateManager.updateState(threadId, { currentStep: 'awaiting_input' });
+        logger.info('Query waiting for human input', { threadId, type: awaitingInput.type });
+
+        return {
+          success: true,
+          threadId,
+          awaitingInput,
+          duration: Date.now() - startTime,
+          streaming: this.options.enableStreaming,
+          dataProvenance,
+          warnings: this.buildDataWarnings(dataProvenance)
+        };
       }
 
       // Update final state
-      await this.stateManager.completeAnalysis(threadId, result);
+      await this.stateManager.completeAnalysis(threadId, finalResponseText(result.result || result));
 
       const duration = Date.now() - startTime;
 
@@ -245,12 +428,16 @@ export class ModernF1LangGraphApp {
         streaming: this.options.enableStreaming
       });
 
+      this.streamingHandler?.streamQueryProcessing(threadId, 'completed', { duration, agentType: result.agentType });
+
       return {
         success: true,
         threadId,
         result: result.result || result,
         duration,
         streaming: this.options.enableStreaming,
+        dataProvenance,
+        warnings: this.buildDataWarnings(dataProvenance),
         metadata: {
           workflowUsed: true,
           agentType: result.agentType,
@@ -260,9 +447,14 @@ export class ModernF1LangGraphApp {
 
     } catch (error) {
       const duration = Date.now() - startTime;
+
+      if (signal?.aborted) {
+        return this.recordCancellation(threadId, signal, duration);
+      }
       
       // Update state with error
       await this.stateManager.addError(threadId, error.message);
+      this.streamingHandler?.streamQueryProcessing(threadId, 'failed', { error: error.message, duration });
       
       logger.error('Query processing failed', {
         threadId,
@@ -283,6 +475,183 @@ export class ModernF1LangGraphApp {
     }
   }
 
+  /**
+   * Answer the question a thread's interrupted run is waiting on and finish the run
+   */
+  async resumeQuery(threadId, answer, options = {}) {
+    if (!this.isInitialized) {
+      throw new F1Error(
+        'Application not initialized. Call initialize() first.',
+        'APP_NOT_INITIALIZED'
+      );
+    }
+
+    if (!await this.getPendingHumanInput({ configurable: { thread_id: threadId } })) {
+      throw new F1Error(`Thread ${threadId} is not waiting for input`, 'NO_PENDING_INPUT', { threadId });
+    }
+
+    const { query, userContext } = this.stateManager.getState(threadId);
+    return this.processQuery(query, threadId, userContext, { ...options, resume: answer });
+  }
+
+  /**
+   * Human input requests need a checkpointer to pause and resume the graph
+   */
+  canAskHuman() {
+    return this.options.enableHumanInLoop && this.options.enableCheckpointing;
+  }
+
+  /**
+   * The request a thread's run is paused on, if any
+   */
+  async getPendingHumanInput(config) {
+    if (!this.canAskHuman()) {
+      return null;
+    }
+
+    const snapshot = await this.workflowGraph.getState(config);
+    return snapshot.tasks.flatMap(task => task.interrupts || [])[0]?.value ?? null;
+  }
+
+  /**
+   * Record a run stopped by its signal (client disconnect, timeout) as cancelled
+   */
+  async recordCancellation(threadId, signal, duration) {
+    const { message, details } = cancellationError(signal);
+
+    await this.stateManager.cancelAnalysis(threadId, details.reason);
+    this.streamingHandler?.streamQueryProcessing(threadId, 'cancelled', { reason: details.reason, duration });
+
+    logger.info('Query processing cancelled', { threadId, reason: details.reason, duration });
+
+    return {
+      success: false,
+      cancelled: true,
+      threadId,
+      error: message,
+      duration,
+      metadata: {
+        workflowUsed: true,
+        cancelled: true,
+        cancelReason: details.reason
+      }
+    };
+  }
+
+  /**
+   * User-facing warnings for answers built on non-live F1 data
+   */
+  buildDataWarnings(dataProvenance) {
+    const warnings = [];
+
+    if (dataProvenance?.sources.includes('mock')) {
+      warnings.push('Some F1 data came from built-in mock data because the F1 data server was unavailable; figures may be wrong.');
+    }
+    if (dataProvenance?.synthetic) {
+      warnings.push('Some F1 data came from the synthetic sample fixtures, not from the F1 data server; treat figures as illustrative.');
+    } else if (dataProvenance?.sources.includes('fixture')) {
+      warnings.push('Some F1 data came from recorded fixtures rather than the live F1 data server; it may be out of date.');
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Event listener for a run: the caller's onEvent plus the thread's SSE
+   * subscribers; null when nobody is listening
+   */
+  createEventPublisher(onEvent) {
+    const handler = this.streamingHandler;
+    if (!handler) {
+      return onEvent;
+    }
+
+    // Subscribers get the event first, so it has its buffer ID for the caller
+    return (event, data) => {
+      const entry = THREAD_EVENT_PUBLISHERS[event]?.(handler, data);
+      onEvent?.(event, entry ? entry.data : data, entry?.id ?? null);
+    };
+  }
+
+  /**
+   * Run the workflow, reporting it as streaming events: `updates` mode gives
+   * node completions, `messages` mode the LLM tokens (from nested agents too,
+   * through their callbacks) and a callback handler node starts and tool calls.
+   * Resolves to the final state, like invoke().
+   */
+  async streamWorkflowEvents(input, config, threadId, onEvent) {
+    const emit = (event, data) => {
+      try {
+        onEvent(event, { threadId, ...data });
+      } catch (error) {
+        logger.warn('Streaming event listener failed', { threadId, event, error: error.message });
+      }
+    };
+
+    const nodes = new Set(Object.keys(this.workflowGraph.nodes).filter(node => node !== START));
+    const toolRuns = new Map();
+
+    const eventHandler = BaseCallbackHandler.fromMethods({
+      handleChainStart: (chain, inputs, runId, parentRunId, tags, metadata, runType, name) => {
+        if (nodes.has(name) && metadata?.langgraph_node === name) {
+          emit('workflow_state', { currentStep: name, state: { status: 'started' } });
+        }
+      },
+      handleToolStart: (tool, toolInput, runId, parentRunId, tags, metadata, runName) => {
+        const toolName = runName || tool?.name || 'unknown';
+        toolRuns.set(runId, toolName);
+        emit('tool_event', { toolName, eventType: 'start', data: { input: toolInput, agentType: metadata?.agentType } });
+      },
+      handleToolEnd: (output, runId) => {
+        const toolName = toolRuns.get(runId) || 'unknown';
+        toolRuns.delete(runId);
+        emit('tool_event', { toolName, eventType: 'end', data: { output: previewToolOutput(output) } });
+      },
+      handleToolError: (error, runId) => {
+        const toolName = toolRuns.get(runId) || 'unknown';
+        toolRuns.delete(runId);
+        emit('tool_event', { toolName, eventType: 'error', data: { error: error.message } });
+      }
+    });
+
+    const { streamMode, ...runConfig } = config;
+    let finalState = null;
+
+    const stream = await this.workflowGraph.stream(input, {
+      ...runConfig,
+      callbacks: [eventHandler],
+      streamMode: ['updates', 'messages', 'values']
+    });
+
+    for await (const [mode, chunk] of stream) {
+      if (mode === 'values') {
+        finalState = chunk;
+      } else if (mode === 'updates') {
+        for (const [node, update] of Object.entries(chunk)) {
+          if (node === '__interrupt__') {
+            update.forEach(({ value }) => emit('human_input', { request: value }));
+            continue;
+          }
+          emit('workflow_state', {
+            currentStep: node,
+            state: { status: 'completed', nextStep: update?.currentStep, errors: update?.errors?.length ? update.errors : undefined }
+          });
+        }
+      } else if (mode === 'messages') {
+        const [message, metadata] = chunk;
+        // Whole messages (tool results, non-streamed replies) are not tokens
+        if (isAIMessageChunk(message) && typeof message.content === 'string' && message.content) {
+          emit('llm_token', {
+            token: message.content,
+            metadata: { node: metadata?.langgraph_node, agentType: metadata?.agentType }
+          });
+        }
+      }
+    }
+
+    return finalState;
+  }
+
   /**
    * Process with streaming support
    */
@@ -316,27 +685,56 @@ export class ModernF1LangGraphApp {
 
   /**
    * Workflow node: Analyze query to determine processing approach
+   *
+   * Uses the orchestrator's LLM classifier; keyword matching is the offline fallback
    */
-  async analyzeQuery(state) {
+  async analyzeQuery(state, config) {
     try {
       logger.debug('Analyzing query', { threadId: state.threadId });
-      
-      const query = state.query.toLowerCase();
-      let agentType = 'general';
-      
-      // Simple query analysis logic
-      if (query.includes('season') || query.includes('championship') || query.includes('year')) {
-        agentType = 'season_analysis';
-      } else if (query.includes('driver') || query.includes('performance')) {
-        agentType = 'driver_performance';
-      } else if (query.includes('race') || query.includes('strategy')) {
-        agentType = 'race_strategy';
+
+      let queryAnalysis = null;
+
+      if (this.orchestrator && this.options.enableLlmClassifier) {
+        try {
+          queryAnalysis = await this.orchestrator.classifyQuery(state.query, Object.keys(this.agents), { signal: config?.signal });
+        } catch (error) {
+          logger.warn('LLM query classification failed, using keyword fallback', {
+            threadId: state.threadId,
+            error: error.message
+          });
+        }
       }
 
+      if (!queryAnalysis) {
+        queryAnalysis = this.classifyByKeywords(state.query);
+      }
+
+      const candidateAgents = [queryAnalysis.primaryAgent, ...queryAnalysis.secondaryAgents].filter(Boolean);
+
+      // Single-topic queries go straight to their agent; general or multi-topic ones are orchestrated
+      const agentType = queryAnalysis.primaryAgent && !queryAnalysis.requiresMultipleAgents
+        ? KEYWORD_ROUTES.find(route => route.agent === queryAnalysis.primaryAgent).route
+        : 'multi_agent';
+
+      const seasonError = this.validateQuerySeasons(queryAnalysis);
+      if (seasonError) {
+        return {
+          ...state,
+          currentStep: 'error',
+          queryAnalysis,
+          errors: [...state.errors, seasonError]
+        };
+      }
+
+      const resolvedEntities = await this.resolveEntities(state, queryAnalysis);
+
       return {
         ...state,
         currentStep: 'agent_routing',
         agentType,
+        candidateAgents,
+        queryAnalysis,
+        resolvedEntities,
         metadata: {
           ...state.metadata,
           queryAnalysisCompleted: true
@@ -352,6 +750,133 @@ export class ModernF1LangGraphApp {
     }
   }
 
+  /**
+   * Reject queries about seasons that have not happened yet; predictions are
+   * the one kind of question that may look ahead
+   */
+  validateQuerySeasons(queryAnalysis) {
+    if (queryAnalysis.primaryAgent === 'championshipPredictor') {
+      return null;
+    }
+
+    const bounds = this.f1Adapter.seasonBounds;
+    const futureSeason = (queryAnalysis.entities?.seasons || []).find(season => season > bounds.max);
+
+    return futureSeason ? seasonRangeMessage(futureSeason, bounds) : null;
+  }
+
+  /**
+   * Resolve extracted driver and constructor mentions to canonical IDs
+   */
+  async resolveEntities(state, queryAnalysis) {
+    // Season rosters come through the F1 adapter, which is only connected once initialized
+    if (!this.entityResolver || !this.isInitialized) {
+      return null;
+    }
+
+    try {
+      return await this.entityResolver.resolve(state.query, queryAnalysis.entities);
+    } catch (error) {
+      logger.warn('Entity resolution failed', { threadId: state.threadId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Workflow node: Ask the user about names the analysis left ambiguous
+   */
+  async clarifyQueryEntities(state) {
+    if (state.currentStep === 'error') {
+      return state;
+    }
+
+    return {
+      ...state,
+      resolvedEntities: this.clarifyEntities(state.resolvedEntities)
+    };
+  }
+
+  /**
+   * With human-in-the-loop on, ask which entity an ambiguous name means; the
+   * run pauses here until the answer arrives, either one candidate ID or
+   * { mention: id } when several names are ambiguous
+   */
+  clarifyEntities(resolved) {
+    if (!resolved?.ambiguous.length || !this.canAskHuman()) {
+      return resolved;
+    }
+
+    const answer = interrupt({
+      type: 'clarification',
+      question: `Which ${resolved.ambiguous.map(entry => `${entry.type} did you mean by "${entry.mention}"`).join(', and which ')}?`,
+      options: resolved.ambiguous.map(entry => ({
+        mention: entry.mention,
+        type: entry.type,
+        candidates: entry.candidates.map(candidate => ({ id: candidate.id, name: candidate.name }))
+      }))
+    });
+
+    const clarified = { ...resolved, drivers: [...resolved.drivers], constructors: [...resolved.constructors], ambiguous: [] };
+
+    for (const entry of resolved.ambiguous) {
+      const choice = typeof answer === 'string' ? answer : answer?.[entry.mention];
+      const candidate = entry.candidates.find(option => option.id === choice);
+
+      if (candidate) {
+        (entry.type === 'driver' ? clarified.drivers : clarified.constructors).push({ mention: entry.mention, ...candidate, matchedBy: 'user' });
+      } else {
+        clarified.ambiguous.push(entry);
+      }
+    }
+
+    return clarified;
+  }
+
+  /**
+   * User context passed to agents, including resolved entity IDs
+   */
+  buildAgentContext(state) {
+    const summary = describeResolvedEntities(state.resolvedEntities);
+    if (!summary) {
+      return state.userContext;
+    }
+
+    return {
+      ...state.userContext,
+      resolvedEntities: `Use these canonical IDs with F1 tools - ${summary}`
+    };
+  }
+
+  /**
+   * Keyword-based query classification, used when the LLM classifier is unavailable
+   */
+  classifyByKeywords(query) {
+    const text = query.toLowerCase();
+    let matches = KEYWORD_ROUTES.filter(route => route.pattern.test(text));
+
+    // Predictions and cross-era comparisons are inherently about championships and seasons
+    if (matches.some(route => route.route === 'championship_prediction' || route.route === 'historical_comparison')) {
+      matches = matches.filter(route => route.route !== 'season_analysis');
+    }
+
+    const agents = matches.map(route => route.agent);
+
+    return {
+      source: 'keywords',
+      primaryAgent: agents[0] || null,
+      secondaryAgents: agents.slice(1),
+      queryType: '',
+      complexity: agents.length > 1 ? 'moderate' : 'simple',
+      requiresMultipleAgents: agents.length !== 1,
+      entities: {
+        drivers: [],
+        teams: [],
+        seasons: [...new Set((text.match(/\b(19[5-9]\d|20\d\d)\b/g) || []).map(Number))],
+        races: []
+      }
+    };
+  }
+
   /**
    * Workflow node: Route to appropriate agent
    */
@@ -383,7 +908,7 @@ export class ModernF1LangGraphApp {
   /**
    * Workflow node: Run season analysis
    */
-  async runSeasonAnalysis(state) {
+  async runSeasonAnalysis(state, config) {
     try {
       logger.debug('Running season analysis', { threadId: state.threadId });
       
@@ -393,9 +918,10 @@ export class ModernF1LangGraphApp {
       }
 
       const result = await agent.analyzeSeason(
-        state.query, 
-        state.threadId, 
-        state.userContext
+        state.query,
+        state.threadId,
+        this.buildAgentContext(state),
+        { signal: config?.signal, callbacks: config?.callbacks }
       );
 
       return {
@@ -417,6 +943,331 @@ export class ModernF1LangGraphApp {
     }
   }
 
+  /**
+   * Workflow node: Run driver performance analysis
+   */
+  async runDriverPerformance(state, config) {
+    try {
+      logger.debug('Running driver performance analysis', { threadId: state.threadId });
+
+      const agent = this.agents.driverPerformance;
+      if (!agent) {
+        throw new Error('Driver performance agent not available');
+      }
+
+      const result = await agent.analyzeDriver(
+        state.query,
+        state.threadId,
+        this.buildAgentContext(state),
+        { signal: config?.signal, callbacks: config?.callbacks }
+      );
+
+      return {
+        ...state,
+        currentStep: 'result_formatting',
+        result,
+        metadata: {
+          ...state.metadata,
+          agentExecuted: 'driverPerformance'
+        }
+      };
+    } catch (error) {
+      logger.error('Driver performance analysis failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Driver performance analysis failed: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Workflow node: Run race strategy analysis
+   */
+  async runRaceStrategy(state, config) {
+    try {
+      logger.debug('Running race strategy analysis', { threadId: state.threadId });
+
+      const agent = this.agents.raceStrategy;
+      if (!agent) {
+        throw new Error('Race strategy agent not available');
+      }
+
+      const result = await agent.analyzeStrategy(
+        state.query,
+        state.threadId,
+        this.buildAgentContext(state),
+        { signal: config?.signal, callbacks: config?.callbacks }
+      );
+
+      return {
+        ...state,
+        currentStep: 'result_formatting',
+        result,
+        metadata: {
+          ...state.metadata,
+          agentExecuted: 'raceStrategy'
+        }
+      };
+    } catch (error) {
+      logger.error('Race strategy analysis failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Race strategy analysis failed: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Workflow node: Run championship prediction
+   */
+  async runChampionshipPrediction(state, config) {
+    try {
+      logger.debug('Running championship prediction', { threadId: state.threadId });
+
+      const agent = this.agents.championshipPredictor;
+      if (!agent) {
+        throw new Error('Championship predictor agent not available');
+      }
+
+      const result = await agent.predictChampionship(
+        state.query,
+        state.threadId,
+        this.buildAgentContext(state),
+        { signal: config?.signal, callbacks: config?.callbacks }
+      );
+
+      return {
+        ...state,
+        currentStep: 'result_formatting',
+        result,
+        metadata: {
+          ...state.metadata,
+          agentExecuted: 'championshipPredictor'
+        }
+      };
+    } catch (error) {
+      logger.error('Championship prediction failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Championship prediction failed: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Workflow node: Run historical comparison
+   */
+  async runHistoricalComparison(state, config) {
+    try {
+      logger.debug('Running historical comparison', { threadId: state.threadId });
+
+      const agent = this.agents.historicalComparison;
+      if (!agent) {
+        throw new Error('Historical comparison agent not available');
+      }
+
+      const result = await agent.compareEras(
+        state.query,
+        state.threadId,
+        this.buildAgentContext(state),
+        { signal: config?.signal, callbacks: config?.callbacks }
+      );
+
+      return {
+        ...state,
+        currentStep: 'result_formatting',
+        result,
+        metadata: {
+          ...state.metadata,
+          agentExecuted: 'historicalComparison'
+        }
+      };
+    } catch (error) {
+      logger.error('Historical comparison failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Historical comparison failed: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Workflow node: Ask the orchestrator which specialist agents to run
+   */
+  async runOrchestrator(state, config) {
+    try {
+      logger.debug('Planning multi-agent analysis', { threadId: state.threadId });
+
+      if (!this.orchestrator) {
+        throw new Error('Multi-agent orchestrator not available');
+      }
+
+      const plan = await this.orchestrator.planAgents(
+        state.query,
+        Object.keys(this.agents),
+        state.candidateAgents || [],
+        { signal: config?.signal, callbacks: config?.callbacks }
+      );
+
+      logger.info('Multi-agent plan created', {
+        threadId: state.threadId,
+        source: plan.source,
+        agents: plan.agents.map(agent => agent.agentType)
+      });
+
+      return {
+        ...state,
+        currentStep: 'parallel_analysis',
+        plan
+      };
+    } catch (error) {
+      logger.error('Multi-agent planning failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Multi-agent planning failed: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Fan out to one specialist branch per planned agent
+   */
+  fanOutToSpecialists(state) {
+    if ((state.errors && state.errors.length > 0) || !state.plan || state.plan.agents.length === 0) {
+      return 'error';
+    }
+
+    return state.plan.agents.map(task => new Send('specialist_agent', {
+      query: state.query,
+      threadId: state.threadId,
+      userContext: this.buildAgentContext(state),
+      task
+    }));
+  }
+
+  /**
+   * Workflow node: Run one specialist agent within its own timeout
+   *
+   * Runs once per parallel branch; failures are recorded as results so other branches still complete.
+   * A timeout aborts the branch's own LLM and tool calls.
+   */
+  async runSpecialistAgent(branch, config) {
+    const { agentType, focus, priority } = branch.task;
+    const startTime = Date.now();
+    const timeoutController = new AbortController();
+    const signal = config?.signal ? AbortSignal.any([config.signal, timeoutController.signal]) : timeoutController.signal;
+    let timer;
+
+    try {
+      const agent = this.agents[agentType];
+      if (!agent) {
+        throw new Error(`Agent ${agentType} not available`);
+      }
+
+      const query = focus ? `${branch.query}\n\nFocus for this analysis: ${focus}` : branch.query;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const error = new F1Error(`Agent ${agentType} timed out after ${this.options.agentTimeout}ms`, 'AGENT_TIMEOUT', { agentType });
+          timeoutController.abort(error);
+          reject(error);
+        }, this.options.agentTimeout);
+      });
+
+      // Separate thread per branch keeps the agents' checkpoints from colliding
+      const result = await Promise.race([
+        agent[SPECIALIST_RUNNERS[agentType]](query, `${branch.threadId}:${agentType}`, branch.userContext, { signal, callbacks: config?.callbacks }),
+        timeout
+      ]);
+
+      return {
+        agentResults: [{
+          agentType,
+          focus,
+          priority,
+          success: true,
+          result: result.result,
+          analysis: result.analysis,
+          confidence: result.analysis?.confidence,
+          duration: Date.now() - startTime
+        }]
+      };
+    } catch (error) {
+      logger.error('Specialist agent failed', { agentType, error: error.message });
+      return {
+        agentResults: [{
+          agentType,
+          focus,
+          priority,
+          success: false,
+          error: error.message,
+          timedOut: error.code === 'AGENT_TIMEOUT',
+          duration: Date.now() - startTime
+        }]
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Workflow node: Merge parallel specialist results
+   */
+  async synthesizeAgentResults(state, config) {
+    try {
+      logger.debug('Synthesizing multi-agent results', {
+        threadId: state.threadId,
+        agentCount: state.agentResults.length
+      });
+
+      const synthesis = await this.orchestrator.synthesizeResults(state.query, state.agentResults, { signal: config?.signal });
+
+      const result = {
+        success: synthesis.success,
+        agentType: 'multiAgentOrchestrator',
+        threadId: state.threadId,
+        result: synthesis.result,
+        analysis: {
+          originalQuery: state.query,
+          analysisType: 'multi_agent',
+          plan: state.plan,
+          contributors: synthesis.contributors,
+          agreements: synthesis.agreements,
+          conflicts: synthesis.conflicts,
+          failedAgents: synthesis.failedAgents,
+          confidence: synthesis.confidence,
+          agentResults: state.agentResults
+        }
+      };
+
+      if (!synthesis.success) {
+        return {
+          ...state,
+          currentStep: 'error',
+          result,
+          errors: [...state.errors, synthesis.result]
+        };
+      }
+
+      return {
+        ...state,
+        currentStep: 'result_formatting',
+        result
+      };
+    } catch (error) {
+      logger.error('Multi-agent synthesis failed', { error: error.message });
+      return {
+        ...state,
+        currentStep: 'error',
+        errors: [...state.errors, `Multi-agent synthesis failed: ${error.message}`]
+      };
+    }
+  }
+
   /**
    * Workflow node: Format final result
    */
@@ -434,6 +1285,8 @@ export class ModernF1LangGraphApp {
             state.agentType,
             'result_formatting'
           ],
+          queryAnalysis: state.queryAnalysis,
+          resolvedEntities: state.resolvedEntities,
           metadata: state.metadata
         }
       };
@@ -484,6 +1337,16 @@ export class ModernF1LangGraphApp {
     switch (state.agentType) {
       case 'season_analysis':
         return 'season_analysis';
+      case 'driver_performance':
+        return 'driver_performance';
+      case 'race_strategy':
+        return 'race_strategy';
+      case 'championship_prediction':
+        return 'championship_prediction';
+      case 'historical_comparison':
+        return 'historical_comparison';
+      case 'multi_agent':
+        return 'orchestrator';
       default:
         return 'error';
     }
@@ -525,6 +1388,7 @@ export class ModernF1LangGraphApp {
         initialized: this.isInitialized,
         f1Adapter: adapterHealth,
         agents: agentHealth,
+        circuitBreakers: this.getCircuitBreakers(),
         stateManager: {
           activeThreads: this.stateManager.getActiveThreads().length,
           statistics: this.stateManager.getStatistics()
@@ -593,10 +1457,26 @@ export class ModernF1LangGraphApp {
         agentCount: Object.keys(this.agents).length
       },
       state: stateStats,
+      toolCache: await this.f1Adapter.getCacheStats(),
+      toolRequests: this.f1Adapter.getRequestStats(),
+      toolOutput: this.f1Adapter.outputShaper.getStats(),
+      warehouse: await this.f1Adapter.getWarehouseStats(),
       options
     };
   }
 
+  /**
+   * Circuit breakers guarding tool (tool:<name>) and LLM (llm:<provider>) calls
+   */
+  getCircuitBreakers() {
+    const breakers = globalErrorHandler.getStats().circuitBreakers;
+
+    return {
+      open: breakers.filter(breaker => breaker.state !== 'CLOSED').map(breaker => breaker.operation),
+      breakers
+    };
+  }
+
   /**
    * Cleanup resources
    */
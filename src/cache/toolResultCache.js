@@ -0,0 +1,327 @@
+/**
+ * Tiered Tool Result Cache
+ * In-memory LRU in front of a SQLite store for F1 tool results, with TTLs
+ * that follow how mutable the data is: completed seasons never change,
+ * the current season changes weekly and live race endpoints change constantly
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { stableStringify } from '../utils/toolSchemaDrift.js';
+import { NAMESPACE_SEPARATOR } from '../utils/namespace.js';
+import { LRUCache } from '../utils/lruCache.js';
+import logger from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Tools whose answer depends on the wall clock rather than their parameters
+const LIVE_TOOLS = new Set(['get_current_f1_race', 'get_next_f1_race']);
+const SEASON_LIST_TOOLS = new Set(['get_f1_seasons', 'get_current_f1_season']);
+
+export const DEFAULT_CACHE_TTLS = {
+  live: 30 * 1000,
+  seasonList: 6 * HOUR,
+  currentSeason: 5 * MINUTE,
+  pastSeason: Infinity,
+  undated: HOUR
+};
+
+/**
+ * Normalise tool parameters so equivalent calls share a key
+ * ({ round: '3', year: 2024, extra: undefined } -> { round: 3, year: 2024 })
+ */
+export function normaliseParameters(parameters = {}) {
+  return Object.fromEntries(
+    Object.entries(parameters)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => [key, typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value])
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+}
+
+export function cacheKey(toolName, parameters = {}) {
+  return `${toolName}:${stableStringify(normaliseParameters(parameters))}`;
+}
+
+/**
+ * TTL (ms) for a tool call; Infinity caches permanently
+ */
+export function cacheTtl(toolName, parameters = {}, currentSeason, ttls = DEFAULT_CACHE_TTLS) {
+  // Registry names are namespaced (server__get_current_f1_race)
+  const serverToolName = toolName.split(NAMESPACE_SEPARATOR).pop();
+  if (LIVE_TOOLS.has(serverToolName)) return ttls.live;
+  if (SEASON_LIST_TOOLS.has(serverToolName)) return ttls.seasonList;
+
+  const normalised = normaliseParameters(parameters);
+  const season = Number(normalised.year ?? normalised.season);
+  if (!Number.isInteger(season)) return ttls.undated;
+
+  return season < currentSeason ? ttls.pastSeason : ttls.currentSeason;
+}
+
+/**
+ * SQLite tier, shared across restarts
+ */
+export class SQLiteToolCacheStore {
+  constructor(dbPath = './database/tool-cache.sqlite') {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.initializing = null;
+  }
+
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.open();
+    }
+    return this.initializing;
+  }
+
+  async open() {
+    if (this.dbPath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tool_cache (
+        cache_key TEXT PRIMARY KEY,
+        tool_name TEXT NOT NULL,
+        value TEXT NOT NULL,
+        provenance TEXT,
+        expires_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tool_cache_expires_at ON tool_cache(expires_at);
+    `);
+
+    // Permanent entries have no expiry
+    await this.db.run('DELETE FROM tool_cache WHERE expires_at IS NOT NULL AND expires_at < ?', [Date.now()]);
+
+    logger.info('SQLite tool cache initialized', { dbPath: this.dbPath });
+  }
+
+  async get(key) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM tool_cache WHERE cache_key = ?', [key]);
+
+    if (!row) return null;
+
+    return {
+      value: JSON.parse(row.value),
+      provenance: row.provenance ? JSON.parse(row.provenance) : null,
+      expiresAt: row.expires_at ?? Infinity,
+      createdAt: row.created_at
+    };
+  }
+
+  async set(key, toolName, entry) {
+    await this.initialize();
+    await this.db.run(
+      `INSERT OR REPLACE INTO tool_cache (cache_key, tool_name, value, provenance, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        key,
+        toolName,
+        JSON.stringify(entry.value),
+        entry.provenance ? JSON.stringify(entry.provenance) : null,
+        Number.isFinite(entry.expiresAt) ? entry.expiresAt : null,
+        entry.createdAt
+      ]
+    );
+  }
+
+  async delete(key) {
+    await this.initialize();
+    await this.db.run('DELETE FROM tool_cache WHERE cache_key = ?', [key]);
+  }
+
+  async count() {
+    await this.initialize();
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM tool_cache');
+    return row.count;
+  }
+
+  async clear() {
+    await this.initialize();
+    await this.db.run('DELETE FROM tool_cache');
+  }
+
+  async close() {
+    if (this.initializing) {
+      await this.initializing.catch(() => {});
+    }
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.initializing = null;
+    }
+  }
+}
+
+export class ToolResultCache {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled ?? process.env.TOOL_CACHE_ENABLED !== 'false',
+      backend: options.backend || process.env.TOOL_CACHE_BACKEND || 'sqlite', // 'sqlite', 'memory'
+      dbPath: options.dbPath || process.env.TOOL_CACHE_DB_PATH || './database/tool-cache.sqlite',
+      maxMemoryEntries: options.maxMemoryEntries || 500,
+      ttls: { ...DEFAULT_CACHE_TTLS, ...options.ttls },
+      // Current season, so past seasons can be told apart from the one in progress
+      getCurrentSeason: options.getCurrentSeason || (() => new Date().getFullYear())
+    };
+
+    this.memory = new LRUCache(this.options.maxMemoryEntries);
+    this.store = this.options.backend === 'sqlite' ? new SQLiteToolCacheStore(this.options.dbPath) : null;
+
+    this.stats = {
+      memoryHits: 0,
+      sqliteHits: 0,
+      staleHits: 0,
+      misses: 0,
+      writes: 0,
+      skipped: 0,
+      errors: 0,
+      byTool: {}
+    };
+  }
+
+  toolStats(toolName) {
+    if (!this.stats.byTool[toolName]) {
+      this.stats.byTool[toolName] = { hits: 0, misses: 0 };
+    }
+    return this.stats.byTool[toolName];
+  }
+
+  /**
+   * Cached result for a tool call, or null. Expired entries are kept until
+   * replaced so `allowStale` lookups can serve them while the source is down.
+   */
+  async get(toolName, parameters, { allowStale = false } = {}) {
+    if (!this.options.enabled) return null;
+
+    const key = cacheKey(toolName, parameters);
+    const now = Date.now();
+    const usable = entry => entry && (allowStale || entry.expiresAt > now);
+
+    let entry = this.memory.get(key);
+    let tier = 'memory';
+
+    if (!usable(entry) && this.store) {
+      try {
+        const stored = await this.store.get(key);
+        if (usable(stored)) {
+          this.memory.set(key, stored);
+          entry = stored;
+          tier = 'sqlite';
+        }
+      } catch (error) {
+        this.stats.errors++;
+        logger.warn('Tool cache read failed', { toolName, error: error.message });
+      }
+    }
+
+    if (!usable(entry)) {
+      if (!allowStale) {
+        this.stats.misses++;
+        this.toolStats(toolName).misses++;
+      }
+      return null;
+    }
+
+    const stale = entry.expiresAt <= now;
+    if (stale) {
+      this.stats.staleHits++;
+    } else {
+      this.stats[tier === 'memory' ? 'memoryHits' : 'sqliteHits']++;
+      this.toolStats(toolName).hits++;
+    }
+
+    return { ...entry, stale };
+  }
+
+  /**
+   * Store a tool result under its immutability-aware TTL
+   */
+  async set(toolName, parameters, value, provenance = null) {
+    if (!this.options.enabled) return;
+
+    const ttl = cacheTtl(toolName, parameters, this.options.getCurrentSeason(), this.options.ttls);
+    if (!(ttl > 0)) {
+      this.stats.skipped++;
+      return;
+    }
+
+    const key = cacheKey(toolName, parameters);
+    const createdAt = Date.now();
+    const entry = { value, provenance, expiresAt: createdAt + ttl, createdAt };
+
+    this.memory.set(key, entry);
+    this.stats.writes++;
+
+    if (this.store) {
+      try {
+        await this.store.set(key, toolName, entry);
+      } catch (error) {
+        this.stats.errors++;
+        logger.warn('Tool cache write failed', { toolName, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Drop every cached result
+   */
+  async clear() {
+    this.memory.clear();
+    if (this.store) {
+      await this.store.clear();
+    }
+  }
+
+  /**
+   * Hit/miss statistics for analytics
+   */
+  async getStats() {
+    const hits = this.stats.memoryHits + this.stats.sqliteHits;
+    const lookups = hits + this.stats.misses;
+
+    let sqliteEntries = null;
+    if (this.store && this.store.db) {
+      sqliteEntries = await this.store.count().catch(() => null);
+    }
+
+    return {
+      enabled: this.options.enabled,
+      backend: this.options.backend,
+      hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0,
+      memoryHits: this.stats.memoryHits,
+      sqliteHits: this.stats.sqliteHits,
+      staleHits: this.stats.staleHits,
+      writes: this.stats.writes,
+      skipped: this.stats.skipped,
+      errors: this.stats.errors,
+      evictions: this.memory.evictions,
+      memoryEntries: this.memory.size,
+      sqliteEntries,
+      byTool: this.stats.byTool
+    };
+  }
+
+  async close() {
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+}
+
+export default ToolResultCache;
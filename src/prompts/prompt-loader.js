@@ -22,6 +22,23 @@ import { systemPrompts as orchestratorSystemPrompts } from './agents/multi-agent
 import { analysisPrompts as orchestratorAnalysisPrompts } from './agents/multi-agent-orchestrator/analysis-prompts.js';
 
 import { responseFormats } from './common/response-formats.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse "agentType.promptKey=serverPrompt;..." into prompt selections
+ */
+function parsePromptSelections(value = '') {
+  return value
+    .split(/[;,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [target, serverPrompt] = entry.split('=').map(part => part.trim());
+      const [agentType, promptKey] = target.split('.');
+      return { agentType, promptKey, serverPrompt };
+    })
+    .filter(selection => selection.agentType && selection.promptKey && selection.serverPrompt);
+}
 
 export class PromptLoader {
   constructor() {
@@ -55,12 +72,129 @@ export class PromptLoader {
     this.common = {
       responseFormats
     };
+
+    // Prompt templates provided by MCP servers, selectable in place of local system prompts
+    this.promptSource = null;
+    this.serverPrompts = new Map();
+    this.serverPromptCache = new Map();
+    this.promptSelections = new Map();
+    this.onPromptListChanged = this.onPromptListChanged.bind(this);
+
+    parsePromptSelections(process.env.MCP_PROMPT_SELECTIONS).forEach(({ agentType, promptKey, serverPrompt }) => {
+      this.selectServerPrompt(agentType, promptKey, serverPrompt);
+    });
+  }
+
+  /**
+   * Use an MCP prompt source (anything with listPrompts() and getPrompt(name, args))
+   */
+  async registerPromptSource(source) {
+    // One listener at a time, so re-registering (e.g. after a reconnect) does not stack them
+    if (typeof this.promptSource?.off === 'function') {
+      this.promptSource.off('promptListChanged', this.onPromptListChanged);
+    }
+
+    this.promptSource = source;
+
+    if (typeof source.on === 'function') {
+      source.on('promptListChanged', this.onPromptListChanged);
+    }
+
+    return this.refreshServerPrompts();
+  }
+
+  /**
+   * Reload server prompts when the source reports a changed list
+   */
+  onPromptListChanged() {
+    this.refreshServerPrompts().catch(error => {
+      logger.warn('Failed to refresh MCP prompts', { error: error.message });
+    });
+  }
+
+  /**
+   * Reload the server prompt list and drop rendered prompts
+   */
+  async refreshServerPrompts() {
+    if (!this.promptSource) {
+      return [];
+    }
+
+    const prompts = await this.promptSource.listPrompts();
+
+    this.serverPrompts = new Map(prompts.map(prompt => [prompt.name, prompt]));
+    this.serverPromptCache.clear();
+
+    logger.info('MCP server prompts loaded', { prompts: Array.from(this.serverPrompts.keys()) });
+    return prompts;
+  }
+
+  /**
+   * List prompt templates offered by MCP servers
+   */
+  listServerPrompts() {
+    return Array.from(this.serverPrompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description || '',
+      arguments: prompt.arguments || []
+    }));
+  }
+
+  /**
+   * Use a server prompt as an agent's system prompt
+   */
+  selectServerPrompt(agentType, promptKey, serverPromptName, args = {}) {
+    this.promptSelections.set(`${agentType}.${promptKey}`, { name: serverPromptName, args });
+  }
+
+  /**
+   * Render a server prompt template to text (cached per name and arguments)
+   */
+  async getServerPrompt(name, args = {}) {
+    if (!this.promptSource) {
+      throw new Error('No MCP prompt source registered');
+    }
+
+    const cacheKey = `${name}:${JSON.stringify(Object.entries(args).sort())}`;
+    if (!this.serverPromptCache.has(cacheKey)) {
+      const result = await this.promptSource.getPrompt(name, args);
+      const text = (result.messages || [])
+        .map(message => (message.content?.type === 'text' ? message.content.text : ''))
+        .filter(Boolean)
+        .join('\n\n');
+
+      this.serverPromptCache.set(cacheKey, text);
+    }
+
+    return this.serverPromptCache.get(cacheKey);
+  }
+
+  /**
+   * Get system prompt for an agent, using a selected server prompt when one is available
+   */
+  async getSystemPrompt(agentType, promptKey) {
+    const selection = this.promptSelections.get(`${agentType}.${promptKey}`);
+
+    if (selection && this.serverPrompts.has(selection.name)) {
+      try {
+        return await this.getServerPrompt(selection.name, selection.args);
+      } catch (error) {
+        logger.warn('Server prompt unavailable, using local prompt', {
+          agentType,
+          promptKey,
+          serverPrompt: selection.name,
+          error: error.message
+        });
+      }
+    }
+
+    return this.getLocalSystemPrompt(agentType, promptKey);
   }
 
   /**
-   * Get system prompt for an agent
+   * Get the prompt shipped with this repository
    */
-  getSystemPrompt(agentType, promptKey) {
+  getLocalSystemPrompt(agentType, promptKey) {
     const agentPrompts = this.prompts[agentType];
     if (!agentPrompts || !agentPrompts.system) {
       throw new Error(`No system prompts found for agent: ${agentType}`);
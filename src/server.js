@@ -15,6 +15,7 @@ import 'dotenv/config';
 // Import modern components
 import ModernF1LangGraphApp from './app.js';
 import ModernStreamingHandler from './streaming/streamingHandler.js';
+import { STREAM_FORMATS, STREAM_SCHEMA_VERSION, streamFormatFor } from './streaming/eventSchema.js';
 import ModernCheckpointManager from './checkpointing/checkpointManager.js';
 import logger, { requestLogger } from './utils/logger.js';
 import { f1ErrorMiddleware, F1Error } from './utils/errorHandler.js';
@@ -38,6 +39,15 @@ class ModernF1Server {
     // Initialize components
     this.f1App = new ModernF1LangGraphApp(this.options);
     this.streamingHandler = new ModernStreamingHandler(this.options);
+    if (this.options.enableStreaming) {
+      // Lets other clients follow a query on /stream/query/:threadId
+      this.f1App.setStreamingHandler(this.streamingHandler);
+      // WebSocket sessions run queries and answer paused ones
+      this.streamingHandler.setQueryRunner({
+        run: (query, threadId, userContext, options) => this.f1App.processQuery(query, threadId, userContext, options),
+        resume: (threadId, answer, options) => this.f1App.resumeQuery(threadId, answer, options)
+      });
+    }
     this.checkpointManager = new ModernCheckpointManager(this.options);
     
     // Server state
@@ -98,6 +108,10 @@ class ModernF1Server {
           if (req.headers['x-no-compression']) {
             return false;
           }
+          // Not in compression's defaults; streams flush after every event
+          if (res.getHeader('Content-Type') === STREAM_FORMATS.ndjson) {
+            return true;
+          }
           return compression.filter(req, res);
         }
       }));
@@ -256,6 +270,9 @@ class ModernF1Server {
     // Checkpoint management routes
     this.setupCheckpointRoutes();
 
+    // Admin routes
+    this.setupAdminRoutes();
+
     logger.info('All routes configured');
   }
 
@@ -301,6 +318,8 @@ class ModernF1Server {
 
         res.json({
           application: appHealth,
+          mcpServers: appHealth.f1Adapter?.mcpClient?.servers || null,
+          circuitBreakers: appHealth.circuitBreakers || null,
           checkpointing: checkpointHealth,
           streaming: streamingStats,
           server: {
@@ -345,8 +364,13 @@ class ModernF1Server {
           ip: req.ip
         };
 
-        // Process query
-        const result = await this.f1App.processQuery(query, threadId, enhancedContext);
+        // Process query; stops if the client goes away or the request times out
+        const signal = this.createRequestSignal(req, res);
+        const result = await this.f1App.processQuery(query, threadId, enhancedContext, { signal });
+
+        if (signal.aborted) {
+          return;
+        }
 
         res.json({
           ...result,
@@ -383,23 +407,42 @@ class ModernF1Server {
             });
           }
 
-          // Set SSE headers
+          // SSE by default; NDJSON for clients that ask for it
+          const format = streamFormatFor(req);
+          const send = (event, data, id = null) => {
+            if (!res.destroyed) {
+              this.streamingHandler.sendStreamEvent(res, format, event, data, id);
+            }
+          };
+
           res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
+            'Content-Type': STREAM_FORMATS[format],
             'Cache-Control': 'no-cache',
             'Connection': 'keep-alive',
-            'X-Request-ID': req.id
+            'X-Request-ID': req.id,
+            'X-Stream-Schema-Version': STREAM_SCHEMA_VERSION
           });
 
-          // Process with streaming
+          // Stream node transitions, tool calls and tokens while the query runs
+          const signal = this.createRequestSignal(req, res);
           const result = await this.f1App.processQuery(query, threadId, {
             ...userContext,
             streaming: true,
             requestId: req.id
+          }, {
+            signal,
+            onEvent: (event, data, id) => send(event, { timestamp: Date.now(), ...data }, id)
           });
 
+          if (signal.aborted) {
+            // Still connected only when the request timed out
+            send('cancelled', { reason: signal.reason, requestId: req.id });
+            res.end();
+            return;
+          }
+
           // Send final result
-          res.write(`event: result\ndata: ${JSON.stringify(result)}\n\n`);
+          send('result', result);
           res.end();
 
         } catch (error) {
@@ -408,16 +451,39 @@ class ModernF1Server {
             error: error.message
           });
 
-          res.write(`event: error\ndata: ${JSON.stringify({
+          this.streamingHandler.sendStreamEvent(res, streamFormatFor(req), 'error', {
             error: error.message,
             requestId: req.id
-          })}\n\n`);
+          });
           res.end();
         }
       });
     }
   }
 
+  /**
+   * Abort signal for a query request, fired when the client disconnects
+   * or connect-timeout gives up on the request
+   */
+  createRequestSignal(req, res) {
+    const controller = new AbortController();
+    const abort = reason => {
+      if (!controller.signal.aborted) {
+        logger.info('Aborting query request', { requestId: req.id, reason });
+        controller.abort(reason);
+      }
+    };
+
+    req.on('timeout', () => abort('request timeout'));
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abort('client disconnected');
+      }
+    });
+
+    return controller.signal;
+  }
+
   /**
    * Setup agent information routes
    */
@@ -603,6 +669,19 @@ class ModernF1Server {
     });
   }
 
+  /**
+   * Setup admin routes
+   */
+  setupAdminRoutes() {
+    // Circuit breaker state for tool and LLM calls
+    this.app.get('/admin/circuit-breakers', (req, res) => {
+      res.json({
+        ...this.f1App.getCircuitBreakers(),
+        requestId: req.id
+      });
+    });
+  }
+
   /**
    * Setup error handling
    */
@@ -621,7 +700,8 @@ class ModernF1Server {
           'POST /query/stream',
           'GET /conversations/:threadId',
           'GET /analytics',
-          'GET /checkpoints/stats'
+          'GET /checkpoints/stats',
+          'GET /admin/circuit-breakers'
         ]
       });
     });
@@ -674,11 +754,15 @@ class ModernF1Server {
             health: `http://localhost:${this.options.port}/health`,
             agents: `http://localhost:${this.options.port}/agents`,
             query: `http://localhost:${this.options.port}/query`,
-            streaming: this.options.enableStreaming ? `http://localhost:${this.options.port}/query/stream` : null
+            streaming: this.options.enableStreaming ? `http://localhost:${this.options.port}/query/stream` : null,
+            webSocket: this.streamingHandler.webSocketServer ? `ws://localhost:${this.options.port}${this.streamingHandler.options.webSocketPath}` : null
           }
         });
       });
 
+      // WebSocket sessions share the HTTP server
+      this.streamingHandler.attachWebSocketServer(this.server);
+
       // Handle server errors
       this.server.on('error', (error) => {
         logger.error('Server error', { error: error.message });
@@ -698,6 +782,9 @@ class ModernF1Server {
     try {
       logger.info('Stopping ModernF1Server...');
 
+      // SSE and WebSocket connections would keep server.close() waiting
+      this.streamingHandler.cleanup();
+
       if (this.server) {
         await new Promise((resolve) => {
           this.server.close(resolve);
@@ -707,7 +794,6 @@ class ModernF1Server {
       // Cleanup components
       await this.f1App.cleanup();
       await this.checkpointManager.cleanup();
-      this.streamingHandler.cleanup();
 
       logger.info('ModernF1Server stopped successfully');
     } catch (error) {
@@ -38,6 +38,7 @@ export const F1StateSchema = z.object({
     startTime: z.number(),
     endTime: z.number().optional(),
     totalDuration: z.number().optional(),
+    cancelReason: z.string().optional(),
     agentsUsed: z.array(z.string()).default([]),
     toolsUsed: z.array(z.string()).default([]),
     dataSourcesAccessed: z.array(z.string()).default([])
@@ -239,6 +240,24 @@ export class ModernF1StateManager {
     });
   }
 
+  /**
+   * Mark analysis as cancelled (client disconnected, request timed out)
+   */
+  async cancelAnalysis(threadId, reason) {
+    const currentState = this.getState(threadId);
+    const endTime = Date.now();
+
+    return this.updateState(threadId, {
+      currentStep: 'cancelled',
+      metadata: {
+        ...currentState.metadata,
+        endTime,
+        totalDuration: endTime - currentState.metadata.startTime,
+        cancelReason: reason
+      }
+    });
+  }
+
   /**
    * Create checkpoint for state recovery
    */
@@ -246,16 +265,19 @@ export class ModernF1StateManager {
     try {
       const checkpointId = `checkpoint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
-      await this.memorySaver.put({
-        configurable: { thread_id: threadId },
-        checkpoint: {
+      await this.memorySaver.put(
+        { configurable: { thread_id: threadId } },
+        {
+          v: 1,
           id: checkpointId,
-          ts: Date.now(),
+          ts: new Date().toISOString(),
           channel_values: state,
           channel_versions: {},
-          versions_seen: {}
-        }
-      });
+          versions_seen: {},
+          pending_sends: []
+        },
+        { source: 'update', step: -1, writes: null, parents: {} }
+      );
 
       logger.debug('Checkpoint created', {
         threadId,
@@ -356,6 +378,10 @@ export class ModernF1StateManager {
       totalThreads: states.length,
       completedThreads: states.filter(s => s.currentStep === 'completed').length,
       errorThreads: states.filter(s => s.errors.length > 0).length,
+      cancelledThreads: states.filter(s => s.currentStep === 'cancelled').length,
+      cancelReasons: states
+        .filter(s => s.metadata.cancelReason)
+        .reduce((counts, s) => ({ ...counts, [s.metadata.cancelReason]: (counts[s.metadata.cancelReason] || 0) + 1 }), {}),
       averageDuration: states
         .filter(s => s.metadata.totalDuration)
         .reduce((sum, s) => sum + s.metadata.totalDuration, 0) / states.length || 0,
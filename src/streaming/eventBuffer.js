@@ -0,0 +1,269 @@
+/**
+ * Stream Event Buffer
+ * Numbers every thread-scoped streaming event and keeps the latest ones per
+ * thread in a ring buffer, optionally backed by SQLite, so a client that
+ * reconnects with Last-Event-ID can be sent what it missed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { LRUCache } from '../utils/lruCache.js';
+import logger from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * SQLite copy of streamed events, for replays beyond the ring buffer or across restarts
+ */
+export class SQLiteStreamEventStore {
+  constructor(dbPath = './database/stream-events.sqlite') {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.initializing = null;
+  }
+
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.open();
+    }
+    return this.initializing;
+  }
+
+  async open() {
+    if (this.dbPath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS stream_events (
+        id INTEGER PRIMARY KEY,
+        thread_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stream_events_thread ON stream_events(thread_id, id);
+    `);
+
+    logger.info('SQLite stream event store initialized', { dbPath: this.dbPath });
+  }
+
+  /**
+   * Write a batch of events in one transaction
+   */
+  async append(entries) {
+    await this.initialize();
+    await this.db.exec('BEGIN');
+    try {
+      for (const entry of entries) {
+        await this.db.run(
+          'INSERT OR REPLACE INTO stream_events (id, thread_id, event, data, created_at) VALUES (?, ?, ?, ?, ?)',
+          [entry.id, entry.threadId, entry.event, JSON.stringify(entry.data), entry.createdAt]
+        );
+      }
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async since(threadId, lastEventId, limit) {
+    await this.initialize();
+    const rows = await this.db.all(
+      'SELECT * FROM stream_events WHERE thread_id = ? AND id > ? ORDER BY id LIMIT ?',
+      [threadId, lastEventId, limit]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      threadId: row.thread_id,
+      event: row.event,
+      data: JSON.parse(row.data),
+      createdAt: row.created_at
+    }));
+  }
+
+  async prune(before) {
+    await this.initialize();
+    const { changes } = await this.db.run('DELETE FROM stream_events WHERE created_at < ?', [before]);
+    return changes;
+  }
+
+  async close() {
+    if (this.initializing) {
+      await this.initializing.catch(() => {});
+    }
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+      this.initializing = null;
+    }
+  }
+}
+
+export class StreamEventBuffer {
+  constructor(options = {}) {
+    this.options = {
+      bufferSize: options.bufferSize || 1000,
+      maxThreads: options.maxThreads || 100,
+      persist: options.persist ?? process.env.STREAM_EVENTS_PERSIST === 'true',
+      dbPath: options.dbPath || process.env.STREAM_EVENTS_DB_PATH || './database/stream-events.sqlite',
+      retention: options.retention || parseInt(process.env.STREAM_EVENTS_RETENTION) || 24 * HOUR,
+      flushInterval: options.flushInterval || 100
+    };
+
+    // threadId -> { events, floorId }; every event of the thread with an ID above floorId is in events
+    this.threads = new LRUCache(this.options.maxThreads);
+    this.store = this.options.persist ? new SQLiteStreamEventStore(this.options.dbPath) : null;
+    this.pending = [];
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+    this.lastId = 0;
+
+    this.stats = {
+      appended: 0,
+      evicted: 0,
+      replays: 0,
+      replayedEvents: 0,
+      incompleteReplays: 0,
+      writeErrors: 0
+    };
+  }
+
+  /**
+   * Increasing event IDs that stay ahead of earlier runs without reading the store
+   */
+  nextId() {
+    this.lastId = Math.max(Date.now() * 1000, this.lastId + 1);
+    return this.lastId;
+  }
+
+  /**
+   * Number an event and keep it for replay
+   */
+  append(threadId, event, data) {
+    const entry = { id: this.nextId(), threadId, event, data, createdAt: Date.now() };
+
+    let thread = this.threads.get(threadId);
+    if (!thread) {
+      thread = { events: [], floorId: entry.id - 1 };
+      this.threads.set(threadId, thread);
+    }
+
+    thread.events.push(entry);
+    if (thread.events.length > this.options.bufferSize) {
+      thread.floorId = thread.events.shift().id;
+      this.stats.evicted++;
+    }
+    this.stats.appended++;
+
+    if (this.store) {
+      this.pending.push(entry);
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        this.flushTimer.unref?.();
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Write queued events to the store; resolves once every earlier write has landed
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.store && this.pending.length > 0) {
+      const batch = this.pending;
+      this.pending = [];
+      this.writing = this.writing
+        .then(() => this.store.append(batch))
+        .catch(error => {
+          this.stats.writeErrors++;
+          logger.warn('Stream event write failed', { events: batch.length, error: error.message });
+        });
+    }
+
+    await this.writing;
+  }
+
+  /**
+   * Events of a thread after lastEventId. `complete` is false when some were
+   * dropped from the ring buffer and there is no store to read them from.
+   */
+  async since(threadId, lastEventId) {
+    const after = Number(lastEventId);
+    if (!Number.isFinite(after)) {
+      return { events: [], complete: false };
+    }
+
+    const thread = this.threads.get(threadId);
+    let events;
+    let complete = true;
+
+    if (thread && after >= thread.floorId) {
+      events = thread.events.filter(entry => entry.id > after);
+    } else if (this.store) {
+      await this.flush();
+      events = await this.store.since(threadId, after, this.options.bufferSize);
+      // Replays are capped at one buffer's worth, even from the store
+      complete = events.length < this.options.bufferSize;
+    } else {
+      events = thread ? thread.events.filter(entry => entry.id > after) : [];
+      complete = false;
+    }
+
+    this.stats.replays++;
+    this.stats.replayedEvents += events.length;
+    if (!complete) {
+      this.stats.incompleteReplays++;
+    }
+
+    return { events, complete };
+  }
+
+  /**
+   * Delete stored events older than the retention period
+   */
+  async prune() {
+    if (!this.store) {
+      return 0;
+    }
+
+    try {
+      return await this.store.prune(Date.now() - this.options.retention);
+    } catch (error) {
+      logger.warn('Stream event prune failed', { error: error.message });
+      return 0;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      threads: this.threads.size,
+      bufferSize: this.options.bufferSize,
+      persisted: Boolean(this.store)
+    };
+  }
+
+  async close() {
+    await this.flush();
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+}
+
+export default StreamEventBuffer;
@@ -0,0 +1,63 @@
+/**
+ * Stream Event Schema
+ * The events sent while queries run, shared by every wire format:
+ * SSE (text/event-stream), NDJSON (application/x-ndjson) and WebSocket.
+ * Bump STREAM_SCHEMA_VERSION when an event's data changes incompatibly;
+ * adding events or fields does not need a new version.
+ */
+
+export const STREAM_SCHEMA_VERSION = 1;
+
+export const STREAM_FORMATS = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+// Event name -> fields of its data. Every event's data also has a timestamp.
+export const STREAM_EVENTS = {
+  connection: ['connectionId', 'streamType', 'threadId', 'schemaVersion'],
+  workflow_state: ['threadId', 'currentStep', 'state'],
+  tool_event: ['threadId', 'toolName', 'eventType', 'data'],
+  llm_token: ['threadId', 'token', 'metadata'],
+  human_input: ['threadId', 'request'],
+  query_event: ['threadId', 'eventType', 'data'],
+  agent_event: ['agentType', 'eventType', 'data'],
+  health_event: [],
+  heartbeat: ['activeConnections'],
+  replay: ['threadId', 'lastEventId', 'replayed', 'complete'],
+  result: ['success', 'threadId', 'result'],
+  cancelled: ['reason', 'requestId'],
+  error: ['error', 'requestId']
+};
+
+/**
+ * Wire format a request's Accept header asks for; SSE unless NDJSON is preferred
+ */
+export function streamFormatFor(req) {
+  return req.accepts([STREAM_FORMATS.sse, STREAM_FORMATS.ndjson]) === STREAM_FORMATS.ndjson ? 'ndjson' : 'sse';
+}
+
+/**
+ * One event as a self-describing object: { version, event, id?, data }
+ */
+export function streamEnvelope(event, data, id = null) {
+  return {
+    version: STREAM_SCHEMA_VERSION,
+    event,
+    ...(id === null ? {} : { id }),
+    data
+  };
+}
+
+/**
+ * One event framed for the wire. SSE carries the ID and name on their own
+ * lines; NDJSON writes the envelope as one line.
+ */
+export function formatStreamEvent(format, event, data, id = null) {
+  if (format === 'ndjson') {
+    return `${JSON.stringify(streamEnvelope(event, data, id))}\n`;
+  }
+
+  const idLine = id === null ? '' : `id: ${id}\n`;
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -4,6 +4,9 @@
  */
 
 import { EventEmitter } from 'events';
+import { WebSocketServer, WebSocket } from 'ws';
+import { StreamEventBuffer } from './eventBuffer.js';
+import { STREAM_SCHEMA_VERSION, streamEnvelope, formatStreamEvent } from './eventSchema.js';
 import logger from '../utils/logger.js';
 
 export class ModernStreamingHandler extends EventEmitter {
@@ -12,7 +15,8 @@ export class ModernStreamingHandler extends EventEmitter {
     
     this.options = {
       enableSSE: options.enableSSE !== false,
-      enableWebSocket: options.enableWebSocket || false,
+      enableWebSocket: options.enableWebSocket || process.env.ENABLE_WEBSOCKET === 'true',
+      webSocketPath: options.webSocketPath || '/ws',
       heartbeatInterval: options.heartbeatInterval || 30000, // 30 seconds
       maxConnections: options.maxConnections || 100,
       bufferSize: options.bufferSize || 1000,
@@ -22,6 +26,14 @@ export class ModernStreamingHandler extends EventEmitter {
     this.activeConnections = new Map();
     this.connectionCount = 0;
     this.heartbeatTimer = null;
+    this.webSocketServer = null;
+    // { run(query, threadId, userContext, options), resume(threadId, answer, options) }, set by the server
+    this.queryRunner = null;
+    // Numbered thread events, kept for clients that reconnect with Last-Event-ID
+    this.eventBuffer = new StreamEventBuffer({
+      bufferSize: this.options.bufferSize,
+      ...this.options.eventBuffer
+    });
 
     logger.info('ModernStreamingHandler initialized', {
       enableSSE: this.options.enableSSE,
@@ -39,7 +51,7 @@ export class ModernStreamingHandler extends EventEmitter {
     }
 
     if (this.options.enableWebSocket) {
-      this.setupWebSocketServer(app);
+      this.setupWebSocketServer();
     }
 
     this.startHeartbeat();
@@ -88,7 +100,8 @@ export class ModernStreamingHandler extends EventEmitter {
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
+      'Access-Control-Allow-Headers': 'Cache-Control',
+      'X-Stream-Schema-Version': STREAM_SCHEMA_VERSION
     });
 
     // Create connection object
@@ -119,9 +132,16 @@ export class ModernStreamingHandler extends EventEmitter {
       connectionId,
       streamType,
       threadId,
+      schemaVersion: STREAM_SCHEMA_VERSION,
       timestamp: Date.now()
     });
 
+    // Browsers resend the last ID they saw when EventSource reconnects
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    if (streamType === 'query' && threadId && lastEventId !== undefined) {
+      this.replayEvents(connection, threadId, lastEventId);
+    }
+
     // Handle client disconnect
     req.on('close', () => {
       this.closeConnection(connectionId);
@@ -132,37 +152,315 @@ export class ModernStreamingHandler extends EventEmitter {
     });
   }
 
+  /**
+   * Setup the WebSocket server; it accepts sockets once attached to the HTTP server
+   */
+  setupWebSocketServer() {
+    this.webSocketServer = new WebSocketServer({ noServer: true });
+
+    logger.info('WebSocket server configured', { path: this.options.webSocketPath });
+  }
+
+  /**
+   * Accept WebSocket upgrades on the HTTP server the Express app listens on
+   */
+  attachWebSocketServer(httpServer) {
+    if (!this.webSocketServer) {
+      return;
+    }
+
+    httpServer.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== this.options.webSocketPath) {
+        socket.destroy();
+        return;
+      }
+
+      // Same limit as SSE: both count towards maxConnections
+      if (this.connectionCount >= this.options.maxConnections) {
+        socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      this.webSocketServer.handleUpgrade(req, socket, head, ws => this.handleWebSocketConnection(ws, req));
+    });
+  }
+
+  /**
+   * Run queries, send answers to questions and cancel runs over one socket
+   */
+  setQueryRunner(runner) {
+    this.queryRunner = runner;
+  }
+
+  /**
+   * Handle WebSocket connection
+   */
+  handleWebSocketConnection(socket, req) {
+    const connectionId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const connection = {
+      id: connectionId,
+      type: 'websocket',
+      streamType: 'query',
+      threadId: null,
+      // Threads whose events this socket receives: its own queries and subscriptions
+      threadIds: new Set(),
+      socket,
+      runs: new Map(),
+      isAlive: true,
+      lastActivity: Date.now(),
+      buffer: []
+    };
+
+    this.activeConnections.set(connectionId, connection);
+    this.connectionCount++;
+
+    logger.info('WebSocket connection established', {
+      connectionId,
+      ip: req.socket.remoteAddress,
+      totalConnections: this.connectionCount
+    });
+
+    this.sendWebSocketEvent(socket, 'connection', {
+      connectionId,
+      streamType: 'query',
+      schemaVersion: STREAM_SCHEMA_VERSION,
+      timestamp: Date.now()
+    });
+
+    socket.on('pong', () => {
+      connection.isAlive = true;
+    });
+
+    socket.on('message', raw => {
+      this.handleWebSocketMessage(connection, raw);
+    });
+
+    socket.on('close', () => {
+      this.closeConnection(connectionId);
+    });
+
+    socket.on('error', error => {
+      logger.warn('WebSocket error', { connectionId, error: error.message });
+    });
+  }
+
+  /**
+   * Client messages: query, human_input, cancel, subscribe, unsubscribe, ping
+   */
+  handleWebSocketMessage(connection, raw) {
+    connection.lastActivity = Date.now();
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      this.sendWebSocketEvent(connection.socket, 'error', { error: 'Messages must be JSON' });
+      return;
+    }
+
+    const { type, threadId } = message;
+
+    switch (type) {
+      case 'query':
+      case 'human_input':
+        this.runWebSocketQuery(connection, message);
+        break;
+
+      case 'cancel': {
+        const run = connection.runs.get(threadId);
+        if (!run) {
+          this.sendWebSocketEvent(connection.socket, 'error', { threadId, error: 'No query is running on this thread' });
+          break;
+        }
+        run.abort('client cancelled');
+        break;
+      }
+
+      case 'subscribe':
+      case 'unsubscribe':
+        if (!threadId) {
+          this.sendWebSocketEvent(connection.socket, 'error', { error: 'threadId is required' });
+          break;
+        }
+        if (type === 'subscribe') {
+          connection.threadIds.add(threadId);
+        } else {
+          connection.threadIds.delete(threadId);
+        }
+        this.sendWebSocketEvent(connection.socket, `${type}d`, { threadId, timestamp: Date.now() });
+        if (type === 'subscribe' && message.lastEventId !== undefined) {
+          this.replayEvents(connection, threadId, message.lastEventId);
+        }
+        break;
+
+      case 'ping':
+        this.sendWebSocketEvent(connection.socket, 'pong', { timestamp: Date.now() });
+        break;
+
+      default:
+        this.sendWebSocketEvent(connection.socket, 'error', { error: `Unknown message type: ${type}` });
+    }
+  }
+
+  /**
+   * Run a query (or answer a paused one) for a socket. Its thread's events
+   * reach the socket through broadcasts; the result is sent when it finishes.
+   */
+  async runWebSocketQuery(connection, { type, query, answer, threadId: requestedThreadId, userContext = {}, requestId }) {
+    const { socket } = connection;
+    // New queries get a thread ID up front so the socket can follow it
+    const threadId = requestedThreadId || (type === 'query'
+      ? `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      : null);
+
+    if (!this.queryRunner) {
+      this.sendWebSocketEvent(socket, 'error', { requestId, error: 'Queries are not available on this server' });
+      return;
+    }
+    if (type === 'query' && !query) {
+      this.sendWebSocketEvent(socket, 'error', { requestId, error: 'Query is required' });
+      return;
+    }
+    if (type === 'human_input' && (!threadId || answer === undefined)) {
+      this.sendWebSocketEvent(socket, 'error', { requestId, error: 'threadId and answer are required' });
+      return;
+    }
+    if (connection.runs.has(threadId)) {
+      this.sendWebSocketEvent(socket, 'error', { requestId, threadId, error: 'A query is already running on this thread' });
+      return;
+    }
+
+    const controller = new AbortController();
+    connection.runs.set(threadId, controller);
+    connection.threadIds.add(threadId);
+
+    this.sendWebSocketEvent(socket, 'accepted', { requestId, threadId, timestamp: Date.now() });
+
+    try {
+      const result = type === 'query'
+        ? await this.queryRunner.run(query, threadId, { ...userContext, streaming: true }, { signal: controller.signal })
+        : await this.queryRunner.resume(threadId, answer, { signal: controller.signal });
+
+      if (controller.signal.aborted) {
+        this.sendWebSocketEvent(socket, 'cancelled', { requestId, threadId, reason: controller.signal.reason });
+      } else {
+        this.sendWebSocketEvent(socket, 'result', { requestId, ...result });
+      }
+    } catch (error) {
+      logger.error('WebSocket query failed', { connectionId: connection.id, threadId, error: error.message });
+      this.sendWebSocketEvent(socket, 'error', { requestId, threadId, error: error.message, code: error.code });
+    } finally {
+      connection.runs.delete(threadId);
+    }
+  }
+
+  /**
+   * Send WebSocket event as a schema envelope: { version, event, id, data }
+   */
+  sendWebSocketEvent(socket, event, data, id = null) {
+    try {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(streamEnvelope(event, data, id)));
+      }
+    } catch (error) {
+      logger.error('Failed to send WebSocket event', { error: error.message });
+    }
+  }
+
   /**
    * Send SSE event
    */
-  sendSSEEvent(res, event, data) {
+  sendSSEEvent(res, event, data, id = null) {
+    this.sendStreamEvent(res, 'sse', event, data, id);
+  }
+
+  /**
+   * Write an event to an HTTP stream in the given format ('sse' or 'ndjson')
+   */
+  sendStreamEvent(res, format, event, data, id = null) {
     try {
-      const eventData = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-      res.write(eventData);
+      res.write(formatStreamEvent(format, event, data, id));
+      // Push it past the compression middleware's buffer
+      res.flush?.();
     } catch (error) {
-      logger.error('Failed to send SSE event', { error: error.message });
+      logger.error('Failed to send stream event', { format, error: error.message });
+    }
+  }
+
+  /**
+   * Send an event over whichever transport the connection uses
+   */
+  sendToConnection(connection, event, data, id = null) {
+    if (connection.type === 'sse') {
+      this.sendSSEEvent(connection.response, event, data, id);
+    } else if (connection.type === 'websocket') {
+      this.sendWebSocketEvent(connection.socket, event, data, id);
     }
   }
 
   /**
-   * Broadcast event to connections
+   * Send a thread's events after lastEventId, then the live events that
+   * arrived meanwhile, so the client sees them in order without gaps
+   */
+  async replayEvents(connection, threadId, lastEventId) {
+    connection.replaying = true;
+
+    let replayedTo = Number(lastEventId) || 0;
+    try {
+      const { events, complete } = await this.eventBuffer.since(threadId, lastEventId);
+      for (const entry of events) {
+        this.sendToConnection(connection, entry.event, entry.data, entry.id);
+        replayedTo = entry.id;
+      }
+
+      this.sendToConnection(connection, 'replay', {
+        threadId,
+        lastEventId,
+        replayed: events.length,
+        complete,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.error('Failed to replay stream events', { connectionId: connection.id, threadId, error: error.message });
+      this.sendToConnection(connection, 'error', { threadId, error: 'Failed to replay missed events' });
+    }
+
+    // Live events of the thread may also have been replayed from the buffer
+    for (const queued of connection.buffer.splice(0)) {
+      if (queued.threadId !== threadId || queued.id > replayedTo) {
+        this.sendToConnection(connection, queued.event, queued.data, queued.id);
+      }
+    }
+    connection.replaying = false;
+  }
+
+  /**
+   * Broadcast event to connections. Thread events are numbered and buffered
+   * for replay; the buffered entry is returned.
    */
   broadcastEvent(event, data, filter = {}) {
+    const entry = filter.threadId ? this.eventBuffer.append(filter.threadId, event, data) : null;
+    const id = entry ? entry.id : null;
     const connections = Array.from(this.activeConnections.values());
     
     const filteredConnections = connections.filter(conn => {
       if (filter.streamType && conn.streamType !== filter.streamType) return false;
-      if (filter.threadId && conn.threadId !== filter.threadId) return false;
+      if (filter.threadId && conn.threadId !== filter.threadId && !conn.threadIds?.has(filter.threadId)) return false;
       if (filter.agentType && conn.agentType !== filter.agentType) return false;
       return true;
     });
 
     filteredConnections.forEach(connection => {
       try {
-        if (connection.type === 'sse') {
-          this.sendSSEEvent(connection.response, event, data);
+        if (connection.replaying) {
+          // Held back until the replay before it is sent
+          connection.buffer.push({ threadId: filter.threadId, event, data, id });
+        } else {
+          this.sendToConnection(connection, event, data, id);
         }
-        
+
         connection.lastActivity = Date.now();
       } catch (error) {
         logger.error('Failed to broadcast to connection', {
@@ -178,13 +476,15 @@ export class ModernStreamingHandler extends EventEmitter {
       connectionsReached: filteredConnections.length,
       filter
     });
+
+    return entry;
   }
 
   /**
    * Stream query processing events
    */
   streamQueryProcessing(threadId, eventType, data) {
-    this.broadcastEvent('query_event', {
+    return this.broadcastEvent('query_event', {
       threadId,
       eventType,
       data,
@@ -196,7 +496,7 @@ export class ModernStreamingHandler extends EventEmitter {
    * Stream agent execution events
    */
   streamAgentEvent(agentType, eventType, data) {
-    this.broadcastEvent('agent_event', {
+    return this.broadcastEvent('agent_event', {
       agentType,
       eventType,
       data,
@@ -208,7 +508,7 @@ export class ModernStreamingHandler extends EventEmitter {
    * Stream health events
    */
   streamHealthEvent(healthData) {
-    this.broadcastEvent('health_event', {
+    return this.broadcastEvent('health_event', {
       ...healthData,
       timestamp: Date.now()
     }, { streamType: 'health' });
@@ -218,7 +518,7 @@ export class ModernStreamingHandler extends EventEmitter {
    * Stream LLM token events
    */
   streamLLMToken(threadId, token, metadata = {}) {
-    this.broadcastEvent('llm_token', {
+    return this.broadcastEvent('llm_token', {
       threadId,
       token,
       metadata,
@@ -230,7 +530,7 @@ export class ModernStreamingHandler extends EventEmitter {
    * Stream tool execution events
    */
   streamToolEvent(threadId, toolName, eventType, data) {
-    this.broadcastEvent('tool_event', {
+    return this.broadcastEvent('tool_event', {
       threadId,
       toolName,
       eventType,
@@ -243,7 +543,7 @@ export class ModernStreamingHandler extends EventEmitter {
    * Stream workflow state changes
    */
   streamWorkflowState(threadId, currentStep, state) {
-    this.broadcastEvent('workflow_state', {
+    return this.broadcastEvent('workflow_state', {
       threadId,
       currentStep,
       state,
@@ -251,6 +551,17 @@ export class ModernStreamingHandler extends EventEmitter {
     }, { streamType: 'query', threadId });
   }
 
+  /**
+   * Ask the user something a paused run needs to continue
+   */
+  streamHumanInput(threadId, request) {
+    return this.broadcastEvent('human_input', {
+      threadId,
+      request,
+      timestamp: Date.now()
+    }, { streamType: 'query', threadId });
+  }
+
   /**
    * Close connection
    */
@@ -261,6 +572,10 @@ export class ModernStreamingHandler extends EventEmitter {
       try {
         if (connection.type === 'sse') {
           connection.response.end();
+        } else if (connection.type === 'websocket') {
+          // Nobody is left to receive the socket's runs
+          connection.runs.forEach(run => run.abort('client disconnected'));
+          connection.socket.close();
         }
       } catch (error) {
         logger.error('Error closing connection', { error: error.message });
@@ -282,8 +597,10 @@ export class ModernStreamingHandler extends EventEmitter {
    */
   startHeartbeat() {
     this.heartbeatTimer = setInterval(() => {
+      this.pingWebSockets();
       this.sendHeartbeat();
       this.cleanupStaleConnections();
+      this.eventBuffer.prune();
     }, this.options.heartbeatInterval);
 
     logger.info('Heartbeat started', {
@@ -291,6 +608,24 @@ export class ModernStreamingHandler extends EventEmitter {
     });
   }
 
+  /**
+   * Drop sockets that missed the last ping, then ping the rest
+   */
+  pingWebSockets() {
+    for (const connection of this.activeConnections.values()) {
+      if (connection.type !== 'websocket') {
+        continue;
+      }
+      if (!connection.isAlive) {
+        connection.socket.terminate();
+        this.closeConnection(connection.id);
+        continue;
+      }
+      connection.isAlive = false;
+      connection.socket.ping();
+    }
+  }
+
   /**
    * Send heartbeat to all connections
    */
@@ -337,7 +672,8 @@ export class ModernStreamingHandler extends EventEmitter {
       total: this.connectionCount,
       byType: {},
       byStreamType: {},
-      averageAge: 0
+      averageAge: 0,
+      eventBuffer: this.eventBuffer.getStats()
     };
 
     const now = Date.now();
@@ -375,6 +711,16 @@ export class ModernStreamingHandler extends EventEmitter {
         this.heartbeatTimer = null;
       }
 
+      if (this.webSocketServer) {
+        this.webSocketServer.close();
+        this.webSocketServer = null;
+      }
+
+      // Write events still queued for the store
+      this.eventBuffer.close().catch(error => {
+        logger.error('Error closing stream event buffer', { error: error.message });
+      });
+
       // Remove all listeners
       this.removeAllListeners();
 
@@ -0,0 +1,171 @@
+/**
+ * F1 Batch Fetcher
+ * Runs many F1 tool calls in one agent step with bounded concurrency,
+ * expanding round and season ranges into individual calls
+ */
+
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { ConcurrencyLimiter } from '../utils/concurrency.js';
+import { F1Error, cancellationError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Schema ceilings for range fields; the batch limit is checked separately
+const MAX_ROUND = 50;
+const MAX_SEASON = 9999;
+
+function spanLength({ from, to }) {
+  return Math.abs(to - from) + 1;
+}
+
+function span({ from, to }) {
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  return Array.from({ length: spanLength({ from, to }) }, (_, index) => start + index);
+}
+
+/**
+ * Number of calls a batch expands to, without expanding it
+ */
+export function countBatchRequests({ requests = [], range } = {}) {
+  if (!range) {
+    return requests.length;
+  }
+  const seasons = range.seasons ? spanLength(range.seasons) : 1;
+  const rounds = range.rounds ? spanLength(range.rounds) : 1;
+  return requests.length + seasons * rounds;
+}
+
+/**
+ * Explicit requests plus a range, as a flat list of { tool, parameters }
+ * ({ tool: 'get_f1_race_results', parameters: { year: 2023 }, rounds: { from: 1, to: 3 } } -> 3 calls)
+ */
+export function expandBatchRequests({ requests = [], range } = {}) {
+  const expanded = requests.map(request => ({ tool: request.tool, parameters: request.parameters || {} }));
+
+  if (range) {
+    const seasons = range.seasons ? span(range.seasons) : [undefined];
+    const rounds = range.rounds ? span(range.rounds) : [undefined];
+
+    for (const year of seasons) {
+      for (const round of rounds) {
+        expanded.push({
+          tool: range.tool,
+          parameters: {
+            ...range.parameters,
+            ...(year !== undefined ? { year } : {}),
+            ...(round !== undefined ? { round } : {})
+          }
+        });
+      }
+    }
+  }
+
+  return expanded;
+}
+
+export class F1BatchFetcher {
+  constructor(fetchTool, options = {}) {
+    this.fetchTool = fetchTool;
+    this.options = {
+      concurrency: options.concurrency || 4,
+      maxRequests: options.maxRequests || 30,
+      ...options
+    };
+  }
+
+  /**
+   * Run every request; failures are reported per request instead of failing the batch
+   */
+  async fetch(batch, { signal = null } = {}) {
+    // Checked before expanding, so a huge range is never allocated
+    const requested = countBatchRequests(batch);
+
+    if (requested === 0) {
+      throw new F1Error('Batch needs at least one request or a range', 'INVALID_BATCH_REQUEST');
+    }
+    if (requested > this.options.maxRequests) {
+      throw new F1Error(
+        `Batch of ${requested} calls exceeds the limit of ${this.options.maxRequests}; split it into smaller batches`,
+        'INVALID_BATCH_REQUEST',
+        { requested, maxRequests: this.options.maxRequests }
+      );
+    }
+
+    const requests = expandBatchRequests(batch);
+
+    const limiter = new ConcurrencyLimiter(this.options.concurrency);
+    const startTime = Date.now();
+
+    const settled = await Promise.allSettled(
+      requests.map(request =>
+        limiter.run(() => this.fetchTool(request.tool, request.parameters, { signal }), signal))
+    );
+
+    const results = [];
+    const errors = [];
+
+    settled.forEach((outcome, index) => {
+      const { tool: toolName, parameters } = requests[index];
+      if (outcome.status === 'fulfilled') {
+        results.push({ tool: toolName, parameters, data: outcome.value });
+      } else {
+        errors.push({ tool: toolName, parameters, error: outcome.reason.message });
+      }
+    });
+
+    // A cancelled batch has no one to report partial results to
+    if (signal?.aborted) {
+      throw cancellationError(signal);
+    }
+
+    logger.debug('F1 batch fetched', {
+      requested: requests.length,
+      failed: errors.length,
+      duration: Date.now() - startTime
+    });
+
+    return {
+      requested: requests.length,
+      succeeded: results.length,
+      failed: errors.length,
+      results,
+      ...(errors.length > 0 ? { errors } : {})
+    };
+  }
+}
+
+/**
+ * Wrap a batch fetcher as a LangGraph tool; shapeOutput can trim the result for the model
+ */
+export function createBatchFetchTool(fetcher, toolNames = [], { shapeOutput = (batch, result) => result } = {}) {
+  return tool(
+    async (params, config) => shapeOutput(params, await fetcher.fetch(params, { signal: config?.signal })),
+    {
+      name: 'fetch_f1_batch',
+      description: 'Fetch several F1 data calls in one step instead of one tool call each, e.g. race results ' +
+        'for every round of a season. Give explicit requests, a range of rounds and/or seasons, or both. ' +
+        `Up to ${fetcher.options.maxRequests} calls per batch. Tools: ${toolNames.join(', ')}`,
+      schema: z.object({
+        requests: z.array(z.object({
+          tool: z.string().describe('F1 tool name (e.g., "get_f1_driver_standings")'),
+          parameters: z.record(z.any()).optional().describe('Parameters for that tool (e.g., { "year": 2023 })')
+        })).optional().describe('Optional: explicit tool calls'),
+        range: z.object({
+          tool: z.string().describe('F1 tool to call for every round/season (e.g., "get_f1_race_results")'),
+          parameters: z.record(z.any()).optional().describe('Optional: parameters shared by every call (e.g., { "year": 2023 })'),
+          rounds: z.object({
+            from: z.number().int().min(1).max(MAX_ROUND),
+            to: z.number().int().min(1).max(MAX_ROUND)
+          }).optional().describe('Optional: rounds to fetch, inclusive (sets "round")'),
+          seasons: z.object({
+            from: z.number().int().min(1).max(MAX_SEASON),
+            to: z.number().int().min(1).max(MAX_SEASON)
+          }).optional().describe('Optional: seasons to fetch, inclusive (sets "year")')
+        }).optional().describe('Optional: one tool called over a range of rounds and/or seasons')
+      }),
+      returnDirect: false
+    }
+  );
+}
+
+export default F1BatchFetcher;
@@ -0,0 +1,392 @@
+/**
+ * Seeded Monte Carlo Championship Simulator
+ * Simulates the remainder of a season from current standings and recent-form
+ * distributions, returning reproducible title probabilities for drivers and teams
+ */
+
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import {
+  normaliseDriverStandings,
+  normaliseConstructorStandings,
+  normaliseRaces,
+  normaliseRaceResults,
+  standingsRound
+} from '../utils/f1Data.js';
+import { POINTS_SYSTEMS, pointsSystemForSeason } from './historicalNormaliser.js';
+
+// Current (2025 onwards) grand prix points, no fastest-lap bonus
+export const CURRENT_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+// Sprint points by first season they applied
+const SPRINT_POINTS = [
+  { from: 2022, points: [8, 7, 6, 5, 4, 3, 2, 1] },
+  { from: 2021, points: [3, 2, 1] }
+];
+
+/**
+ * Sprint points awarded in a season; empty before sprints existed
+ */
+export function sprintPointsForSeason(year) {
+  return SPRINT_POINTS.find(entry => year >= entry.from)?.points || [];
+}
+
+/**
+ * Most points a driver (a win) and a team (a one-two) can still add over the
+ * remaining races, counting sprint wins and the fastest-lap point where the
+ * season awards them. A season with sprints whose schedule marks none is
+ * assumed to have one every remaining weekend, so nobody is called
+ * eliminated while they could still win.
+ */
+export function maxRemainingPoints(year, remainingRaces, pointsTable = CURRENT_POINTS, { sprintsListed = true } = {}) {
+  const sprintPoints = sprintPointsForSeason(year);
+  const fastestLap = POINTS_SYSTEMS[pointsSystemForSeason(year)].fastestLap;
+
+  return remainingRaces.reduce((max, race) => {
+    const sprint = sprintPoints.length > 0 && (race.sprint || !sprintsListed);
+    return {
+      drivers: max.drivers + pointsTable[0] + fastestLap + (sprint ? sprintPoints[0] : 0),
+      constructors: max.constructors + pointsTable[0] + (pointsTable[1] || 0) + fastestLap +
+        (sprint ? sprintPoints[0] + (sprintPoints[1] || 0) : 0)
+    };
+  }, { drivers: 0, constructors: 0 });
+}
+
+// z-score for 95% confidence intervals
+const Z_95 = 1.96;
+
+/**
+ * Deterministic PRNG (mulberry32) so the same seed reproduces the same simulation
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Wilson score interval for a simulated probability
+ */
+export function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials === 0) {
+    return [0, 0];
+  }
+
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const centre = (p + (z * z) / (2 * trials)) / denominator;
+  const halfWidth = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+
+  return [round(Math.max(0, centre - halfWidth)), round(Math.min(1, centre + halfWidth))];
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * Run the Monte Carlo simulation
+ *
+ * drivers: [{ id, name, constructorId, points, position, form: [finishing position | null for DNF] }]
+ * constructors: [{ id, name, points }]
+ * maxRemaining: { drivers, constructors } points still available, for elimination
+ * (default: a grand prix win, or one-two, per remaining round)
+ */
+export function simulateChampionship({
+  drivers,
+  constructors = [],
+  remainingRounds,
+  iterations = 10000,
+  seed = 42,
+  pointsTable = CURRENT_POINTS,
+  formSmoothing = 0.15,
+  maxRemaining = {
+    drivers: remainingRounds * pointsTable[0],
+    constructors: remainingRounds * (pointsTable[0] + (pointsTable[1] || 0))
+  }
+}) {
+  const rng = createRng(seed);
+  const fieldSize = drivers.length;
+
+  // Drivers without results yet use their championship position as a proxy form
+  const forms = drivers.map(driver =>
+    driver.form && driver.form.length > 0 ? driver.form : [driver.position || fieldSize]
+  );
+
+  const constructorIndex = new Map();
+  const teams = constructors.map(team => ({ ...team }));
+  teams.forEach((team, index) => constructorIndex.set(team.id, index));
+  drivers.forEach(driver => {
+    if (driver.constructorId && !constructorIndex.has(driver.constructorId)) {
+      constructorIndex.set(driver.constructorId, teams.length);
+      teams.push({ id: driver.constructorId, name: driver.constructorName || driver.constructorId, points: 0 });
+    }
+  });
+
+  const driverTitles = new Array(fieldSize).fill(0);
+  const driverPositionSums = new Array(fieldSize).fill(0);
+  const driverTotals = drivers.map(() => new Float64Array(iterations));
+  const teamTitles = new Array(teams.length).fill(0);
+  const teamTotals = teams.map(() => new Float64Array(iterations));
+
+  const scores = new Array(fieldSize);
+  const order = drivers.map((_, index) => index);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const totals = drivers.map(driver => driver.points);
+
+    for (let race = 0; race < remainingRounds; race++) {
+      for (let d = 0; d < fieldSize; d++) {
+        let position;
+
+        if (rng() < formSmoothing) {
+          // Occasional off-form or overperforming weekend
+          position = 1 + Math.floor(rng() * fieldSize);
+        } else {
+          const form = forms[d];
+          position = form[Math.floor(rng() * form.length)];
+        }
+
+        // Jitter breaks ties between drivers drawing the same position; null is a DNF
+        scores[d] = position === null ? Infinity : position + rng();
+      }
+
+      order.sort((a, b) => scores[a] - scores[b]);
+
+      for (let place = 0; place < pointsTable.length && place < fieldSize; place++) {
+        const d = order[place];
+        if (scores[d] !== Infinity) {
+          totals[d] += pointsTable[place];
+        }
+      }
+    }
+
+    // Final classification (random tie-break stands in for count-back)
+    const tieBreak = drivers.map(() => rng());
+    const ranking = drivers
+      .map((_, index) => index)
+      .sort((a, b) => totals[b] - totals[a] || tieBreak[a] - tieBreak[b]);
+
+    driverTitles[ranking[0]]++;
+    ranking.forEach((d, place) => {
+      driverPositionSums[d] += place + 1;
+    });
+    totals.forEach((total, d) => {
+      driverTotals[d][iteration] = total;
+    });
+
+    const teamScores = teams.map(team => team.points);
+    drivers.forEach((driver, d) => {
+      if (driver.constructorId) {
+        teamScores[constructorIndex.get(driver.constructorId)] += totals[d] - driver.points;
+      }
+    });
+
+    if (teams.length > 0) {
+      let leader = 0;
+      teamScores.forEach((score, t) => {
+        teamTotals[t][iteration] = score;
+        if (score > teamScores[leader]) leader = t;
+      });
+      teamTitles[leader]++;
+    }
+  }
+
+  const driverLeaderPoints = Math.max(...drivers.map(driver => driver.points), 0);
+  const teamLeaderPoints = Math.max(...teams.map(team => team.points), 0);
+
+  const summarise = (entity, titles, totals, leaderPoints, maxAvailable) => {
+    const sorted = Array.from(totals).sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+
+    return {
+      id: entity.id,
+      name: entity.name,
+      currentPoints: entity.points,
+      titleProbability: round(titles / iterations),
+      titleProbabilityCI95: wilsonInterval(titles, iterations),
+      expectedPoints: round(mean, 1),
+      pointsRange: {
+        p5: percentile(sorted, 0.05),
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95)
+      },
+      mathematicallyEliminated: entity.points + maxAvailable < leaderPoints
+    };
+  };
+
+  const driverResults = drivers
+    .map((driver, d) => ({
+      ...summarise(driver, driverTitles[d], driverTotals[d], driverLeaderPoints, maxRemaining.drivers),
+      constructorId: driver.constructorId || null,
+      expectedPosition: round(driverPositionSums[d] / iterations, 2)
+    }))
+    .sort((a, b) => b.titleProbability - a.titleProbability || b.currentPoints - a.currentPoints);
+
+  const constructorResults = teams
+    .map((team, t) => summarise(team, teamTitles[t], teamTotals[t], teamLeaderPoints, maxRemaining.constructors))
+    .sort((a, b) => b.titleProbability - a.titleProbability || b.currentPoints - a.currentPoints);
+
+  return {
+    iterations,
+    seed,
+    remainingRounds,
+    maxPointsAvailable: maxRemaining,
+    drivers: driverResults,
+    constructors: constructorResults
+  };
+}
+
+/**
+ * Gathers season data through F1 tools and runs the Monte Carlo simulation
+ */
+export class ChampionshipSimulator {
+  constructor(fetchTool, options = {}) {
+    this.fetchTool = fetchTool;
+    this.options = {
+      iterations: options.iterations || 10000,
+      seed: options.seed ?? 42,
+      formWindow: options.formWindow || 5,
+      pointsTable: options.pointsTable || CURRENT_POINTS,
+      ...options
+    };
+  }
+
+  /**
+   * Fetch standings, schedule and recent results for a season
+   */
+  async gatherSeasonData(year, formWindow = this.options.formWindow) {
+    const [driverPayload, constructorPayload, racesPayload] = await Promise.all([
+      this.fetchTool('get_f1_driver_standings', { year }),
+      this.fetchTool('get_f1_constructor_standings', { year }),
+      this.fetchTool('get_f1_races', { year })
+    ]);
+
+    const driverStandings = normaliseDriverStandings(driverPayload);
+    const constructorStandings = normaliseConstructorStandings(constructorPayload);
+    const races = normaliseRaces(racesPayload);
+
+    if (driverStandings.length === 0) {
+      throw new Error(`No driver standings available for ${year}`);
+    }
+
+    // Prefer the round the standings were computed after; fall back to race dates
+    const today = new Date().toISOString().slice(0, 10);
+    const completedRound = standingsRound(driverPayload) ??
+      races.filter(race => race.date && race.date < today).length;
+    const remainingRaces = races.filter(race => race.round > completedRound);
+
+    const formRounds = [];
+    for (let round = Math.max(1, completedRound - formWindow + 1); round <= completedRound; round++) {
+      formRounds.push(round);
+    }
+
+    const resultPayloads = await Promise.all(
+      formRounds.map(round =>
+        this.fetchTool('get_f1_race_results', { year, round }).catch(error => {
+          logger.warn('Skipping race results for form calculation', { year, round, error: error.message });
+          return null;
+        })
+      )
+    );
+
+    const forms = new Map();
+    resultPayloads.forEach(payload => {
+      normaliseRaceResults(payload).forEach(result => {
+        if (!forms.has(result.id)) forms.set(result.id, []);
+        forms.get(result.id).push(result.classified ? result.position : null);
+      });
+    });
+
+    return {
+      completedRound,
+      remainingRaces,
+      sprintsListed: races.some(race => race.sprint),
+      formRounds,
+      drivers: driverStandings.map(driver => ({
+        ...driver,
+        form: forms.get(driver.id) || []
+      })),
+      constructors: constructorStandings
+    };
+  }
+
+  /**
+   * Predict championship probabilities for a season
+   */
+  async predict({ year, iterations, seed, formWindow } = {}) {
+    const seasonData = await this.gatherSeasonData(year, formWindow || this.options.formWindow);
+
+    const simulation = simulateChampionship({
+      drivers: seasonData.drivers,
+      constructors: seasonData.constructors,
+      remainingRounds: seasonData.remainingRaces.length,
+      maxRemaining: maxRemainingPoints(year, seasonData.remainingRaces, this.options.pointsTable, {
+        sprintsListed: seasonData.sprintsListed
+      }),
+      iterations: iterations || this.options.iterations,
+      seed: seed ?? this.options.seed,
+      pointsTable: this.options.pointsTable
+    });
+
+    logger.debug('Championship simulation completed', {
+      year,
+      iterations: simulation.iterations,
+      remainingRounds: simulation.remainingRounds
+    });
+
+    return {
+      season: year,
+      completedRounds: seasonData.completedRound,
+      remainingRaces: seasonData.remainingRaces.map(race => ({ round: race.round, name: race.name, date: race.date })),
+      ...simulation,
+      assumptions: {
+        pointsTable: this.options.pointsTable,
+        formWindow: formWindow || this.options.formWindow,
+        formRounds: seasonData.formRounds,
+        notes: [
+          'Finishing positions are sampled from each driver\'s recent results; unclassified finishes count as DNFs',
+          'Sprint races and fastest-lap bonuses are not simulated, but count towards the points still available ' +
+            'when deciding whether someone is mathematically eliminated',
+          'Final-position ties are broken randomly instead of by count-back'
+        ]
+      }
+    };
+  }
+}
+
+/**
+ * Wrap a championship simulator as a LangGraph tool
+ */
+export function createChampionshipSimulatorTool(simulator) {
+  return tool(
+    async (params) => simulator.predict(params),
+    {
+      name: 'simulate_championship',
+      description: 'Run a seeded Monte Carlo simulation of the rest of an F1 season from current standings and recent form; ' +
+        'returns driver and constructor title probabilities with 95% confidence intervals',
+      schema: z.object({
+        year: z.number().int().describe('F1 season year to simulate'),
+        iterations: z.number().int().min(1000).max(50000).optional().describe('Optional: number of simulated seasons (default 10000)'),
+        seed: z.number().int().optional().describe('Optional: random seed for reproducible results (default 42)'),
+        formWindow: z.number().int().min(1).max(10).optional().describe('Optional: number of recent races used as form (default 5)')
+      }),
+      returnDirect: false
+    }
+  );
+}
+
+export default ChampionshipSimulator;
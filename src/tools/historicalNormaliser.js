@@ -0,0 +1,296 @@
+/**
+ * Historical Era Normaliser
+ * Rescores any season's results under any historical points system and computes
+ * era-relative metrics (win share, points share, teammate-beat rate) for cross-era comparisons
+ */
+
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { normaliseRaces, normaliseRaceResults } from '../utils/f1Data.js';
+
+// World Championship grand prix points systems (shared drives and sprints excluded)
+export const POINTS_SYSTEMS = {
+  '1950': { label: '1950-1959', from: 1950, to: 1959, points: [8, 6, 4, 3, 2], fastestLap: 1, fastestLapTopTenOnly: false },
+  '1960': { label: '1960', from: 1960, to: 1960, points: [8, 6, 4, 3, 2, 1], fastestLap: 0 },
+  '1961': { label: '1961-1990', from: 1961, to: 1990, points: [9, 6, 4, 3, 2, 1], fastestLap: 0 },
+  '1991': { label: '1991-2002', from: 1991, to: 2002, points: [10, 6, 4, 3, 2, 1], fastestLap: 0 },
+  '2003': { label: '2003-2009', from: 2003, to: 2009, points: [10, 8, 6, 5, 4, 3, 2, 1], fastestLap: 0 },
+  '2010': { label: '2010-2018', from: 2010, to: 2018, points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], fastestLap: 0 },
+  '2019': { label: '2019-2024', from: 2019, to: 2024, points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], fastestLap: 1, fastestLapTopTenOnly: true },
+  '2025': { label: '2025-', from: 2025, to: Infinity, points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], fastestLap: 0 }
+};
+
+// Default common scale for cross-era comparisons
+export const DEFAULT_COMPARISON_SYSTEM = '2010';
+
+/**
+ * Points system id in force for a season
+ */
+export function pointsSystemForSeason(year) {
+  const entry = Object.entries(POINTS_SYSTEMS).find(([, system]) => year >= system.from && year <= system.to);
+  return entry ? entry[0] : DEFAULT_COMPARISON_SYSTEM;
+}
+
+/**
+ * Points for a single classified result under a points system
+ */
+export function scoreResult(result, systemId) {
+  const system = POINTS_SYSTEMS[systemId];
+  if (!system) {
+    throw new Error(`Unknown points system: ${systemId}. Available: ${Object.keys(POINTS_SYSTEMS).join(', ')}`);
+  }
+
+  let points = 0;
+  if (result.classified && result.position <= system.points.length) {
+    points += system.points[result.position - 1];
+  }
+
+  if (system.fastestLap && result.fastestLapRank === 1 &&
+      (!system.fastestLapTopTenOnly || (result.classified && result.position <= 10))) {
+    points += system.fastestLap;
+  }
+
+  return points;
+}
+
+/**
+ * Rescore a season and compute era-relative metrics
+ *
+ * races: array of normalised result rows, one array per race
+ */
+export function normaliseSeason(races, systemId) {
+  const drivers = new Map();
+  let totalPointsAwarded = 0;
+
+  const entryFor = (result) => {
+    if (!drivers.has(result.id)) {
+      drivers.set(result.id, {
+        id: result.id,
+        name: result.name,
+        constructorIds: new Set(),
+        starts: 0,
+        wins: 0,
+        podiums: 0,
+        nativePoints: 0,
+        rescoredPoints: 0,
+        teammateBeats: 0,
+        teammateComparisons: 0
+      });
+    }
+    return drivers.get(result.id);
+  };
+
+  races.forEach(results => {
+    results.forEach(result => {
+      const entry = entryFor(result);
+      const points = scoreResult(result, systemId);
+
+      entry.starts++;
+      entry.nativePoints += result.points || 0;
+      entry.rescoredPoints += points;
+      totalPointsAwarded += points;
+      if (result.constructorId) entry.constructorIds.add(result.constructorId);
+
+      if (result.classified && result.position === 1) entry.wins++;
+      if (result.classified && result.position <= 3) entry.podiums++;
+    });
+
+    // Teammate head-to-head: ahead on the road, or classified while the teammate was not
+    const byTeam = new Map();
+    results.forEach(result => {
+      if (!result.constructorId) return;
+      if (!byTeam.has(result.constructorId)) byTeam.set(result.constructorId, []);
+      byTeam.get(result.constructorId).push(result);
+    });
+
+    byTeam.forEach(teamResults => {
+      for (let i = 0; i < teamResults.length; i++) {
+        for (let j = i + 1; j < teamResults.length; j++) {
+          const a = teamResults[i];
+          const b = teamResults[j];
+          if (!a.classified && !b.classified) continue;
+
+          const aAhead = a.classified && (!b.classified || a.position < b.position);
+          const entryA = entryFor(a);
+          const entryB = entryFor(b);
+
+          entryA.teammateComparisons++;
+          entryB.teammateComparisons++;
+          if (aAhead) entryA.teammateBeats++;
+          else entryB.teammateBeats++;
+        }
+      }
+    });
+  });
+
+  const raceCount = races.length;
+  const standings = Array.from(drivers.values())
+    .map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      constructorIds: Array.from(entry.constructorIds),
+      starts: entry.starts,
+      wins: entry.wins,
+      podiums: entry.podiums,
+      nativePoints: entry.nativePoints,
+      rescoredPoints: entry.rescoredPoints,
+      winShare: raceCount > 0 ? round(entry.wins / raceCount) : 0,
+      pointsShare: totalPointsAwarded > 0 ? round(entry.rescoredPoints / totalPointsAwarded) : 0,
+      podiumRate: entry.starts > 0 ? round(entry.podiums / entry.starts) : 0,
+      teammateBeatRate: entry.teammateComparisons > 0 ? round(entry.teammateBeats / entry.teammateComparisons) : null,
+      teammateBeats: entry.teammateBeats,
+      teammateComparisons: entry.teammateComparisons
+    }))
+    .sort((a, b) => b.rescoredPoints - a.rescoredPoints || b.wins - a.wins);
+
+  standings.forEach((entry, index) => {
+    entry.rescoredPosition = index + 1;
+  });
+
+  return { races: raceCount, totalPointsAwarded, standings };
+}
+
+/**
+ * Combine per-season metrics into career-level era-relative metrics for a driver
+ */
+export function aggregateDriver(driverId, seasons) {
+  const entries = seasons
+    .map(season => ({ season: season.season, races: season.races, entry: season.standings.find(s => s.id === driverId) }))
+    .filter(item => item.entry);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const sum = (fn) => entries.reduce((total, item) => total + fn(item), 0);
+  const races = sum(item => item.races);
+  const comparisons = sum(item => item.entry.teammateComparisons);
+
+  return {
+    id: driverId,
+    name: entries[0].entry.name,
+    seasons: entries.map(item => item.season),
+    starts: sum(item => item.entry.starts),
+    wins: sum(item => item.entry.wins),
+    winShare: races > 0 ? round(sum(item => item.entry.wins) / races) : 0,
+    averagePointsShare: round(sum(item => item.entry.pointsShare) / entries.length),
+    podiumRate: round(sum(item => item.entry.podiums) / Math.max(1, sum(item => item.entry.starts))),
+    teammateBeatRate: comparisons > 0 ? round(sum(item => item.entry.teammateBeats) / comparisons) : null,
+    bestRescoredPosition: Math.min(...entries.map(item => item.entry.rescoredPosition))
+  };
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Fetches season results through F1 tools and applies era normalisation
+ */
+export class HistoricalNormaliser {
+  constructor(fetchTool, options = {}) {
+    this.fetchTool = fetchTool;
+    this.options = {
+      defaultSystem: options.defaultSystem || DEFAULT_COMPARISON_SYSTEM,
+      topN: options.topN || 10,
+      ...options
+    };
+  }
+
+  /**
+   * Fetch every race result of a season
+   */
+  async fetchSeasonResults(year) {
+    const races = normaliseRaces(await this.fetchTool('get_f1_races', { year }));
+
+    const results = await Promise.all(
+      races.map(race =>
+        this.fetchTool('get_f1_race_results', { year, round: race.round })
+          .then(payload => normaliseRaceResults(payload))
+          .catch(error => {
+            logger.warn('Skipping race results for era normalisation', { year, round: race.round, error: error.message });
+            return [];
+          })
+      )
+    );
+
+    // Rounds without results (not yet run, or unavailable) do not count towards shares
+    return results.filter(raceResults => raceResults.length > 0);
+  }
+
+  /**
+   * Rescore seasons under a common points system
+   */
+  async normalise({ seasons, pointsSystem, drivers } = {}) {
+    const systemId = pointsSystem || this.options.defaultSystem;
+    if (!POINTS_SYSTEMS[systemId]) {
+      throw new Error(`Unknown points system: ${systemId}. Available: ${Object.keys(POINTS_SYSTEMS).join(', ')}`);
+    }
+
+    const seasonResults = await Promise.all(
+      seasons.map(async year => {
+        const normalised = normaliseSeason(await this.fetchSeasonResults(year), systemId);
+        return {
+          season: year,
+          nativeSystem: pointsSystemForSeason(year),
+          ...normalised
+        };
+      })
+    );
+
+    const driverFilter = drivers && drivers.length > 0 ? new Set(drivers) : null;
+
+    logger.debug('Era normalisation completed', {
+      seasons,
+      pointsSystem: systemId,
+      drivers: drivers || 'top'
+    });
+
+    return {
+      rescoredUnder: { id: systemId, ...POINTS_SYSTEMS[systemId], to: POINTS_SYSTEMS[systemId].to === Infinity ? null : POINTS_SYSTEMS[systemId].to },
+      seasons: seasonResults.map(season => ({
+        season: season.season,
+        races: season.races,
+        nativeSystem: season.nativeSystem,
+        standings: driverFilter
+          ? season.standings.filter(entry => driverFilter.has(entry.id))
+          : season.standings.slice(0, this.options.topN)
+      })),
+      careers: driverFilter
+        ? Array.from(driverFilter).map(id => aggregateDriver(id, seasonResults)).filter(Boolean)
+        : [],
+      assumptions: {
+        notes: [
+          'Only grand prix results are rescored; sprint races and shared drives are excluded',
+          'Historical dropped-score rules are not applied, so every result counts',
+          'Win share and points share are relative to the races and points available in that season'
+        ]
+      }
+    };
+  }
+}
+
+/**
+ * Wrap a historical normaliser as a LangGraph tool
+ */
+export function createHistoricalNormaliserTool(normaliser) {
+  return tool(
+    async (params) => normaliser.normalise(params),
+    {
+      name: 'normalise_f1_seasons',
+      description: 'Rescore one or more F1 seasons under a single historical points system and compute era-relative ' +
+        'metrics (win share, points share, podium rate, teammate-beat rate) for fair cross-era comparisons. ' +
+        `Points systems: ${Object.entries(POINTS_SYSTEMS).map(([id, system]) => `${id} (${system.label})`).join(', ')}`,
+      schema: z.object({
+        seasons: z.array(z.number().int()).min(1).max(12).describe('Season years to rescore (e.g., [1954, 1955, 2019, 2020])'),
+        pointsSystem: z.enum(Object.keys(POINTS_SYSTEMS)).optional().describe(`Optional: points system id to rescore under (default ${DEFAULT_COMPARISON_SYSTEM})`),
+        drivers: z.array(z.string()).optional().describe('Optional: driver IDs to report on (e.g., ["fangio", "hamilton"])')
+      }),
+      returnDirect: false
+    }
+  );
+}
+
+export default HistoricalNormaliser;
@@ -0,0 +1,352 @@
+/**
+ * Deterministic Race Strategy Simulator
+ * Ranks one-, two- and three-stop tyre plans from compound degradation curves,
+ * pit-loss time and safety-car probability so strategy answers are reproducible
+ */
+
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+
+// Compound model: lap-time offset to the softest tyre, linear degradation per lap,
+// and the tyre age at which degradation turns quadratic (the "cliff")
+export const TYRE_COMPOUNDS = {
+  soft: { paceOffset: 0, degradation: 0.09, cliffLap: 16, cliffPenalty: 0.05 },
+  medium: { paceOffset: 0.5, degradation: 0.055, cliffLap: 28, cliffPenalty: 0.04 },
+  hard: { paceOffset: 0.9, degradation: 0.035, cliffLap: 40, cliffPenalty: 0.03 }
+};
+
+// Circuit profiles keyed by Ergast circuitId. trafficLoss is the extra time per stop
+// spent re-passing cars, which is what keeps low-overtaking circuits on one stop
+export const CIRCUIT_PROFILES = {
+  bahrain: { name: 'Bahrain International Circuit', laps: 57, baseLapTime: 94, pitLoss: 23, safetyCarProbability: 0.4, tyreWear: 1.3, trafficLoss: 2 },
+  jeddah: { name: 'Jeddah Corniche Circuit', laps: 50, baseLapTime: 90, pitLoss: 20, safetyCarProbability: 0.7, tyreWear: 0.8, trafficLoss: 2 },
+  albert_park: { name: 'Albert Park Circuit', laps: 58, baseLapTime: 80, pitLoss: 19, safetyCarProbability: 0.6, tyreWear: 0.9, trafficLoss: 3 },
+  suzuka: { name: 'Suzuka Circuit', laps: 53, baseLapTime: 92, pitLoss: 22, safetyCarProbability: 0.4, tyreWear: 1.2, trafficLoss: 3 },
+  shanghai: { name: 'Shanghai International Circuit', laps: 56, baseLapTime: 96, pitLoss: 22, safetyCarProbability: 0.4, tyreWear: 1.1, trafficLoss: 2 },
+  miami: { name: 'Miami International Autodrome', laps: 57, baseLapTime: 91, pitLoss: 20, safetyCarProbability: 0.5, tyreWear: 0.9, trafficLoss: 2.5 },
+  imola: { name: 'Autodromo Enzo e Dino Ferrari', laps: 63, baseLapTime: 78, pitLoss: 28, safetyCarProbability: 0.4, tyreWear: 0.9, trafficLoss: 5 },
+  monaco: { name: 'Circuit de Monaco', laps: 78, baseLapTime: 74, pitLoss: 20, safetyCarProbability: 0.5, tyreWear: 0.5, trafficLoss: 15 },
+  catalunya: { name: 'Circuit de Barcelona-Catalunya', laps: 66, baseLapTime: 78, pitLoss: 22, safetyCarProbability: 0.3, tyreWear: 1.3, trafficLoss: 4 },
+  villeneuve: { name: 'Circuit Gilles Villeneuve', laps: 70, baseLapTime: 75, pitLoss: 18, safetyCarProbability: 0.7, tyreWear: 0.9, trafficLoss: 2 },
+  red_bull_ring: { name: 'Red Bull Ring', laps: 71, baseLapTime: 67, pitLoss: 20, safetyCarProbability: 0.4, tyreWear: 1.0, trafficLoss: 2 },
+  silverstone: { name: 'Silverstone Circuit', laps: 52, baseLapTime: 89, pitLoss: 20, safetyCarProbability: 0.5, tyreWear: 1.3, trafficLoss: 2.5 },
+  hungaroring: { name: 'Hungaroring', laps: 70, baseLapTime: 80, pitLoss: 20, safetyCarProbability: 0.3, tyreWear: 1.1, trafficLoss: 5 },
+  spa: { name: 'Circuit de Spa-Francorchamps', laps: 44, baseLapTime: 107, pitLoss: 21, safetyCarProbability: 0.5, tyreWear: 1.1, trafficLoss: 1.5 },
+  zandvoort: { name: 'Circuit Park Zandvoort', laps: 72, baseLapTime: 73, pitLoss: 21, safetyCarProbability: 0.5, tyreWear: 1.1, trafficLoss: 5 },
+  monza: { name: 'Autodromo Nazionale di Monza', laps: 53, baseLapTime: 83, pitLoss: 24, safetyCarProbability: 0.4, tyreWear: 0.8, trafficLoss: 1.5 },
+  baku: { name: 'Baku City Circuit', laps: 51, baseLapTime: 105, pitLoss: 20, safetyCarProbability: 0.7, tyreWear: 0.8, trafficLoss: 1.5 },
+  marina_bay: { name: 'Marina Bay Street Circuit', laps: 62, baseLapTime: 96, pitLoss: 28, safetyCarProbability: 0.9, tyreWear: 0.9, trafficLoss: 6 },
+  americas: { name: 'Circuit of the Americas', laps: 56, baseLapTime: 98, pitLoss: 20, safetyCarProbability: 0.4, tyreWear: 1.2, trafficLoss: 2 },
+  rodriguez: { name: 'Autodromo Hermanos Rodriguez', laps: 71, baseLapTime: 80, pitLoss: 22, safetyCarProbability: 0.5, tyreWear: 0.9, trafficLoss: 3 },
+  interlagos: { name: 'Autodromo Jose Carlos Pace', laps: 71, baseLapTime: 73, pitLoss: 21, safetyCarProbability: 0.6, tyreWear: 1.0, trafficLoss: 2 },
+  vegas: { name: 'Las Vegas Strip Circuit', laps: 50, baseLapTime: 96, pitLoss: 21, safetyCarProbability: 0.5, tyreWear: 0.8, trafficLoss: 1.5 },
+  losail: { name: 'Losail International Circuit', laps: 57, baseLapTime: 86, pitLoss: 25, safetyCarProbability: 0.4, tyreWear: 1.4, trafficLoss: 2.5 },
+  yas_marina: { name: 'Yas Marina Circuit', laps: 58, baseLapTime: 88, pitLoss: 22, safetyCarProbability: 0.4, tyreWear: 0.9, trafficLoss: 3 }
+};
+
+// Other names a circuit goes by: its grand prix, country, city or an alternative spelling
+export const CIRCUIT_ALIASES = {
+  bahrain: ['sakhir'],
+  jeddah: ['saudi arabia', 'saudi arabian'],
+  albert_park: ['melbourne', 'australia', 'australian'],
+  suzuka: ['japan', 'japanese'],
+  shanghai: ['china', 'chinese'],
+  imola: ['emilia romagna', 'san marino'],
+  monaco: ['monte carlo'],
+  catalunya: ['barcelona', 'spain', 'spanish'],
+  villeneuve: ['montreal', 'canada', 'canadian'],
+  red_bull_ring: ['spielberg', 'austria', 'austrian'],
+  silverstone: ['britain', 'british'],
+  hungaroring: ['budapest', 'hungary', 'hungarian'],
+  spa: ['spa francorchamps', 'belgium', 'belgian'],
+  zandvoort: ['netherlands', 'dutch'],
+  monza: ['italy', 'italian'],
+  baku: ['azerbaijan'],
+  marina_bay: ['singapore'],
+  americas: ['cota', 'austin', 'united states'],
+  rodriguez: ['mexico', 'mexico city', 'mexican'],
+  interlagos: ['sao paulo', 'brazil', 'brazilian'],
+  vegas: ['las vegas'],
+  losail: ['lusail', 'qatar'],
+  yas_marina: ['abu dhabi']
+};
+
+/**
+ * Lowercase words without accents or punctuation ("São Paulo GP" -> "sao paulo gp")
+ */
+function normaliseCircuitName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Generic profile used when the circuit is unknown
+const DEFAULT_CIRCUIT = { name: 'Generic circuit', laps: 58, baseLapTime: 90, pitLoss: 22, safetyCarProbability: 0.5, tyreWear: 1.0, trafficLoss: 2.5 };
+
+// A safety car during a stop roughly halves its time cost
+const SAFETY_CAR_PIT_SAVING = 0.5;
+
+// Laps either side of a planned stop that can still be pulled forward/back to catch a safety car
+const SAFETY_CAR_WINDOW = 2;
+
+export class StrategySimulator {
+  constructor(options = {}) {
+    this.options = {
+      minStintLength: options.minStintLength || 5,
+      maxStops: options.maxStops || 3,
+      ...options
+    };
+  }
+
+  /**
+   * Resolve a circuit profile by Ergast circuitId, full name or an alias found
+   * as whole words in the input ("Abu Dhabi Grand Prix" -> yas_marina)
+   */
+  resolveCircuit(circuit) {
+    if (!circuit) {
+      return { id: 'generic', ...DEFAULT_CIRCUIT };
+    }
+
+    const key = String(circuit).toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (CIRCUIT_PROFILES[key]) {
+      return { id: key, ...CIRCUIT_PROFILES[key] };
+    }
+
+    // Padded so phrases only match whole words; the longest matching phrase wins
+    const search = ` ${normaliseCircuitName(circuit)} `;
+    let match = null;
+
+    for (const [id, profile] of Object.entries(CIRCUIT_PROFILES)) {
+      const phrases = [id.replace(/_/g, ' '), normaliseCircuitName(profile.name), ...(CIRCUIT_ALIASES[id] || [])];
+      for (const phrase of phrases) {
+        if (search.includes(` ${phrase} `) && (!match || phrase.length > match.phrase.length)) {
+          match = { id, phrase };
+        }
+      }
+    }
+
+    return match
+      ? { id: match.id, ...CIRCUIT_PROFILES[match.id] }
+      : { id: 'generic', ...DEFAULT_CIRCUIT, name: String(circuit) };
+  }
+
+  /**
+   * Time lost (seconds) on a single lap for a compound at a given tyre age
+   */
+  lapTimeLoss(compound, tyreAge, tyreWear = 1) {
+    const model = TYRE_COMPOUNDS[compound];
+    const cliff = model.cliffLap / tyreWear;
+    const beyondCliff = Math.max(0, tyreAge - cliff);
+
+    return model.paceOffset +
+      model.degradation * tyreWear * tyreAge +
+      model.cliffPenalty * beyondCliff * beyondCliff;
+  }
+
+  /**
+   * Cumulative stint cost tables: table[compound][n] is the time lost over an n-lap stint
+   */
+  buildStintTables(compounds, laps, tyreWear) {
+    const tables = {};
+
+    compounds.forEach(compound => {
+      const table = [0];
+      for (let age = 1; age <= laps; age++) {
+        table.push(table[age - 1] + this.lapTimeLoss(compound, age, tyreWear));
+      }
+      tables[compound] = table;
+    });
+
+    return tables;
+  }
+
+  /**
+   * Enumerate compound sequences for a number of stops (at least two compounds, as required by the rules)
+   */
+  compoundSequences(compounds, stops) {
+    let sequences = [[]];
+
+    for (let stint = 0; stint <= stops; stint++) {
+      sequences = sequences.flatMap(sequence => compounds.map(compound => [...sequence, compound]));
+    }
+
+    return sequences.filter(sequence => new Set(sequence).size >= 2);
+  }
+
+  /**
+   * Find the fastest stint split for a compound sequence
+   */
+  optimiseStints(sequence, laps, tables) {
+    const minStint = this.options.minStintLength;
+    let best = null;
+
+    const search = (index, startLap, lengths, time) => {
+      const remaining = laps - startLap;
+      const stintsLeft = sequence.length - index;
+
+      if (stintsLeft === 1) {
+        if (remaining < minStint) return;
+        const total = time + tables[sequence[index]][remaining];
+        if (!best || total < best.time) {
+          best = { time: total, lengths: [...lengths, remaining] };
+        }
+        return;
+      }
+
+      for (let length = minStint; length <= remaining - minStint * (stintsLeft - 1); length++) {
+        search(index + 1, startLap + length, [...lengths, length], time + tables[sequence[index]][length]);
+      }
+    };
+
+    search(0, 0, [], 0);
+    return best;
+  }
+
+  /**
+   * Probability that a safety car falls within reach of a given stop
+   */
+  safetyCarStopProbability(safetyCarProbability, laps) {
+    const perLap = 1 - Math.pow(1 - safetyCarProbability, 1 / laps);
+    return 1 - Math.pow(1 - perLap, SAFETY_CAR_WINDOW * 2 + 1);
+  }
+
+  /**
+   * Simulate and rank strategies for a circuit and race length
+   */
+  simulate(params = {}) {
+    const circuit = this.resolveCircuit(params.circuit);
+    const laps = params.laps || circuit.laps;
+    const pitLoss = params.pitLossSeconds ?? circuit.pitLoss;
+    const trafficLoss = params.trafficLossSeconds ?? circuit.trafficLoss;
+    const safetyCarProbability = params.safetyCarProbability ?? circuit.safetyCarProbability;
+    const tyreWear = params.tyreWear ?? circuit.tyreWear;
+    const baseLapTime = params.baseLapTime || circuit.baseLapTime;
+    const maxStops = Math.min(params.maxStops || this.options.maxStops, 3);
+    const topN = params.topN || 5;
+    const compounds = (params.availableCompounds || Object.keys(TYRE_COMPOUNDS))
+      .filter(compound => TYRE_COMPOUNDS[compound]);
+
+    if (compounds.length < 2) {
+      throw new Error('At least two dry compounds are required to build a legal strategy');
+    }
+
+    const tables = this.buildStintTables(compounds, laps, tyreWear);
+    const scStopProbability = this.safetyCarStopProbability(safetyCarProbability, laps);
+    const plans = [];
+
+    for (let stops = 1; stops <= maxStops; stops++) {
+      if ((stops + 1) * this.options.minStintLength > laps) break;
+
+      this.compoundSequences(compounds, stops).forEach(sequence => {
+        const best = this.optimiseStints(sequence, laps, tables);
+        if (!best) return;
+
+        let lap = 0;
+        const stints = sequence.map((compound, index) => {
+          const stint = {
+            compound,
+            startLap: lap + 1,
+            endLap: lap + best.lengths[index],
+            laps: best.lengths[index]
+          };
+          lap += best.lengths[index];
+          return stint;
+        });
+
+        const raceTime = laps * baseLapTime + best.time + stops * (pitLoss + trafficLoss);
+        const safetyCarSaving = stops * pitLoss * SAFETY_CAR_PIT_SAVING * scStopProbability;
+
+        plans.push({
+          stops,
+          compounds: sequence,
+          stints,
+          pitLaps: stints.slice(0, -1).map(stint => stint.endLap),
+          raceTime: round(raceTime),
+          expectedRaceTime: round(raceTime - safetyCarSaving),
+          safetyCarSaving: round(safetyCarSaving)
+        });
+      });
+    }
+
+    // Ties are broken by fewer stops, then compound order, so rankings are stable
+    plans.sort((a, b) =>
+      a.expectedRaceTime - b.expectedRaceTime ||
+      a.stops - b.stops ||
+      a.compounds.join().localeCompare(b.compounds.join())
+    );
+
+    const fastest = plans[0]?.expectedRaceTime || 0;
+    plans.forEach((plan, index) => {
+      plan.rank = index + 1;
+      plan.deltaToBest = round(plan.expectedRaceTime - fastest);
+    });
+
+    const bestByStops = {};
+    plans.forEach(plan => {
+      if (!bestByStops[plan.stops]) {
+        bestByStops[plan.stops] = plan;
+      }
+    });
+
+    logger.debug('Strategy simulation completed', {
+      circuit: circuit.id,
+      laps,
+      plansEvaluated: plans.length
+    });
+
+    return {
+      circuit: { id: circuit.id, name: circuit.name },
+      assumptions: {
+        laps,
+        baseLapTime,
+        pitLossSeconds: pitLoss,
+        trafficLossSeconds: trafficLoss,
+        safetyCarProbability,
+        safetyCarStopProbability: round(scStopProbability, 4),
+        tyreWear,
+        compounds: Object.fromEntries(compounds.map(compound => [compound, TYRE_COMPOUNDS[compound]]))
+      },
+      recommended: plans[0] || null,
+      bestByStops,
+      rankedPlans: plans.slice(0, topN),
+      plansEvaluated: plans.length
+    };
+  }
+}
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Wrap a simulator as a LangGraph tool
+ */
+export function createStrategySimulatorTool(simulator = new StrategySimulator()) {
+  return tool(
+    async (params) => simulator.simulate(params),
+    {
+      name: 'simulate_race_strategy',
+      description: 'Deterministically simulate and rank one-, two- and three-stop tyre strategies for a circuit ' +
+        'using compound degradation curves, pit-loss time and safety-car probability',
+      schema: z.object({
+        circuit: z.string().describe('Circuit ID or name (e.g., "monza", "silverstone", "Marina Bay")'),
+        laps: z.number().int().min(10).max(100).optional().describe('Optional: race length in laps'),
+        pitLossSeconds: z.number().min(10).max(40).optional().describe('Optional: pit-lane time loss in seconds'),
+        trafficLossSeconds: z.number().min(0).max(30).optional().describe('Optional: time lost in traffic after each stop'),
+        safetyCarProbability: z.number().min(0).max(1).optional().describe('Optional: probability of at least one safety car'),
+        tyreWear: z.number().min(0.3).max(2).optional().describe('Optional: tyre wear multiplier (1 = average)'),
+        availableCompounds: z.array(z.enum(['soft', 'medium', 'hard'])).optional().describe('Optional: compounds available'),
+        maxStops: z.number().int().min(1).max(3).optional().describe('Optional: maximum number of stops (default 3)'),
+        topN: z.number().int().min(1).max(20).optional().describe('Optional: number of ranked plans to return')
+      }),
+      returnDirect: false
+    }
+  );
+}
+
+export default StrategySimulator;
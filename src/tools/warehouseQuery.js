@@ -0,0 +1,30 @@
+/**
+ * F1 Warehouse Query Tool
+ * Read-only SQL access to the local F1 data warehouse
+ */
+
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { WAREHOUSE_TABLES } from '../warehouse/f1Warehouse.js';
+
+/**
+ * Wrap a warehouse as a LangGraph tool
+ */
+export function createWarehouseQueryTool(warehouse) {
+  return tool(
+    async ({ sql, limit }) => warehouse.query(sql, { limit }),
+    {
+      name: 'query_f1_warehouse',
+      description: 'Run a read-only SQLite SELECT against the local F1 data warehouse. Prefer it over the live tools for ' +
+        'historical questions that span many races or seasons. Each answer includes when its data was last synced ' +
+        `(freshness); use the live tools when it is stale or the season is missing. Tables:\n${WAREHOUSE_TABLES}`,
+      schema: z.object({
+        sql: z.string().describe('One SELECT statement, e.g. "SELECT driver_id, SUM(points) FROM results WHERE season = 2023 GROUP BY driver_id"'),
+        limit: z.number().int().min(1).max(200).optional().describe('Optional: maximum rows to return (default 50)')
+      }),
+      returnDirect: false
+    }
+  );
+}
+
+export default createWarehouseQueryTool;
@@ -0,0 +1,187 @@
+/**
+ * Request Concurrency Utilities
+ * Single-flight deduplication of identical in-flight calls and per-upstream
+ * concurrency limits, with the counters analytics needs
+ */
+
+import { cancellationError } from './errorHandler.js';
+
+/**
+ * Identical concurrent calls (same key) share one promise
+ */
+export class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.stats = {
+      calls: 0,
+      executed: 0,
+      coalesced: 0,
+      peakInFlight: 0,
+      byKeyPrefix: {}
+    };
+  }
+
+  /**
+   * Run `work(signal)` once per key. A caller whose own signal aborts stops
+   * waiting; the shared call is only aborted once every caller has gone,
+   * and a caller arriving after that starts a fresh one.
+   */
+  async run(key, work, signal = null) {
+    this.stats.calls++;
+
+    const prefix = key.split(':')[0];
+    const prefixStats = this.stats.byKeyPrefix[prefix] || (this.stats.byKeyPrefix[prefix] = { executed: 0, coalesced: 0 });
+
+    let flight = this.inFlight.get(key);
+
+    if (flight) {
+      this.stats.coalesced++;
+      prefixStats.coalesced++;
+    } else {
+      this.stats.executed++;
+      prefixStats.executed++;
+
+      const controller = new AbortController();
+      flight = { controller, waiters: 0 };
+      const started = flight;
+      flight.promise = Promise.resolve()
+        .then(() => work(controller.signal))
+        .finally(() => this.release(key, started));
+
+      this.inFlight.set(key, flight);
+      this.stats.peakInFlight = Math.max(this.stats.peakInFlight, this.inFlight.size);
+    }
+
+    flight.waiters++;
+
+    if (!signal) {
+      return flight.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0) {
+          this.release(key, flight);
+          flight.controller.abort(signal.reason);
+        }
+        reject(cancellationError(signal));
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Forget a flight, unless a newer one has already taken its key
+   */
+  release(key, flight) {
+    if (this.inFlight.get(key) === flight) {
+      this.inFlight.delete(key);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      inFlight: this.inFlight.size,
+      coalescedRate: this.stats.calls > 0 ? Math.round((this.stats.coalesced / this.stats.calls) * 1000) / 1000 : 0
+    };
+  }
+}
+
+/**
+ * At most `maxConcurrent` tasks run at once; the rest wait in FIFO order
+ */
+export class ConcurrencyLimiter {
+  constructor(maxConcurrent = 4) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+    this.stats = {
+      started: 0,
+      queued: 0,
+      peakActive: 0,
+      peakQueued: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  async run(work, signal = null) {
+    await this.acquire(signal);
+
+    try {
+      return await work();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a slot; an aborted signal leaves the queue
+   */
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(cancellationError(signal));
+    }
+
+    if (this.active < this.maxConcurrent) {
+      this.start(0);
+      return Promise.resolve();
+    }
+
+    this.stats.queued++;
+    const queuedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.queue.splice(this.queue.indexOf(next), 1);
+        reject(cancellationError(signal));
+      };
+      const next = () => {
+        signal?.removeEventListener('abort', onAbort);
+        this.start(Date.now() - queuedAt);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(next);
+      this.stats.peakQueued = Math.max(this.stats.peakQueued, this.queue.length);
+    });
+  }
+
+  start(waitMs) {
+    this.active++;
+    this.stats.started++;
+    this.stats.peakActive = Math.max(this.stats.peakActive, this.active);
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+  }
+
+  release() {
+    this.active--;
+    const next = this.queue.shift();
+    if (next) next();
+  }
+
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      waiting: this.queue.length,
+      ...this.stats,
+      averageWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0
+    };
+  }
+}
+
+export default { SingleFlight, ConcurrencyLimiter };
@@ -0,0 +1,388 @@
+/**
+ * F1 Entity Resolver
+ * Resolves driver and constructor mentions ("Max", "Checo", "RBR", "Scuderia") to the
+ * canonical IDs F1 tools expect, using per-season alias indexes built from season rosters
+ */
+
+import logger from './logger.js';
+import { normaliseDrivers, normaliseConstructors } from './f1Data.js';
+
+// Nicknames that cannot be derived from a roster; only used when the driver raced in the season context
+export const DRIVER_NICKNAMES = {
+  checo: 'perez',
+  'mad max': 'max_verstappen',
+  'super max': 'max_verstappen',
+  'sir lewis': 'hamilton',
+  ham: 'hamilton',
+  'el nano': 'alonso',
+  nando: 'alonso',
+  iceman: 'raikkonen',
+  'the iceman': 'raikkonen',
+  kimi: 'raikkonen',
+  seb: 'vettel',
+  hulk: 'hulkenberg',
+  'the hulk': 'hulkenberg',
+  'honey badger': 'ricciardo',
+  danny: 'ricciardo',
+  'smooth operator': 'sainz',
+  schumi: 'michael_schumacher',
+  'the professor': 'prost',
+  'the flying finn': 'hakkinen',
+  'el maestro': 'fangio',
+  'the maestro': 'fangio'
+};
+
+export const CONSTRUCTOR_ALIASES = {
+  rbr: 'red_bull',
+  'red bull racing': 'red_bull',
+  'oracle red bull racing': 'red_bull',
+  'the bulls': 'red_bull',
+  scuderia: 'ferrari',
+  'scuderia ferrari': 'ferrari',
+  'prancing horse': 'ferrari',
+  'the reds': 'ferrari',
+  merc: 'mercedes',
+  'silver arrows': 'mercedes',
+  papaya: 'mclaren',
+  'papaya team': 'mclaren',
+  aston: 'aston_martin',
+  amr: 'aston_martin',
+  'racing bulls': 'rb',
+  vcarb: 'rb',
+  'toro rosso': 'toro_rosso',
+  'alpha tauri': 'alphatauri',
+  stake: 'sauber',
+  'kick sauber': 'sauber',
+  'haas f1 team': 'haas',
+  'williams racing': 'williams',
+  'alpine f1 team': 'alpine'
+};
+
+// Team name suffixes that users leave out ("McLaren F1 Team" -> "mclaren")
+const TEAM_SUFFIXES = /\s+(f1 team|formula 1 team|racing|team)$/;
+
+/**
+ * Lowercase ASCII form used for alias lookups ("Pérez" -> "perez", "Red-Bull" -> "red bull")
+ */
+export function normaliseMention(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity between two strings (1 - normalised Levenshtein distance)
+ */
+export function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function addAlias(aliases, alias, id, source) {
+  const key = normaliseMention(alias);
+  if (!key) return;
+
+  if (!aliases.has(key)) aliases.set(key, new Map());
+  // Roster-derived aliases win over dictionary ones for the same id
+  if (!aliases.get(key).has(id) || source !== 'nickname') {
+    aliases.get(key).set(id, source);
+  }
+}
+
+/**
+ * Build alias indexes from normalised season rosters
+ */
+export function buildAliasIndex(drivers = [], constructors = []) {
+  const driverAliases = new Map();
+  const constructorAliases = new Map();
+
+  drivers.forEach(driver => {
+    addAlias(driverAliases, driver.id, driver.id, 'id');
+    addAlias(driverAliases, driver.id.replace(/_/g, ' '), driver.id, 'id');
+    addAlias(driverAliases, driver.name, driver.id, 'name');
+    addAlias(driverAliases, driver.familyName, driver.id, 'name');
+    addAlias(driverAliases, driver.givenName, driver.id, 'name');
+    if (driver.code) addAlias(driverAliases, driver.code, driver.id, 'code');
+  });
+
+  constructors.forEach(team => {
+    addAlias(constructorAliases, team.id, team.id, 'id');
+    addAlias(constructorAliases, team.id.replace(/_/g, ' '), team.id, 'id');
+    addAlias(constructorAliases, team.name, team.id, 'name');
+    addAlias(constructorAliases, normaliseMention(team.name).replace(TEAM_SUFFIXES, ''), team.id, 'name');
+  });
+
+  const driverIds = new Set(drivers.map(driver => driver.id));
+  const constructorIds = new Set(constructors.map(team => team.id));
+
+  Object.entries(DRIVER_NICKNAMES).forEach(([alias, id]) => {
+    if (driverIds.has(id)) addAlias(driverAliases, alias, id, 'nickname');
+  });
+  Object.entries(CONSTRUCTOR_ALIASES).forEach(([alias, id]) => {
+    if (constructorIds.has(id)) addAlias(constructorAliases, alias, id, 'nickname');
+  });
+
+  return {
+    drivers: new Map(drivers.map(driver => [driver.id, driver])),
+    constructors: new Map(constructors.map(team => [team.id, team])),
+    driverAliases,
+    constructorAliases
+  };
+}
+
+// Three-letter codes and single-word dictionary aliases collide with ordinary words
+// ("per", "gas", "stake", "ham"), so free-text scans ignore them; the classifier's
+// extracted mentions still resolve through them
+function isScannable(sources, phrase) {
+  const singleWord = !phrase.includes(' ');
+  return !!sources && Array.from(sources.values())
+    .some(source => source !== 'code' && !(singleWord && source === 'nickname'));
+}
+
+/**
+ * Human-readable summary of resolved entities for agent prompts
+ */
+export function describeResolvedEntities(resolved) {
+  if (!resolved) return '';
+
+  const describe = (entries) => entries.map(entry => `${entry.mention} -> ${entry.id}`).join(', ');
+  const parts = [];
+
+  if (resolved.drivers.length > 0) parts.push(`drivers: ${describe(resolved.drivers)}`);
+  if (resolved.constructors.length > 0) parts.push(`constructors: ${describe(resolved.constructors)}`);
+  if (resolved.ambiguous.length > 0) {
+    parts.push(`ambiguous: ${resolved.ambiguous.map(entry => `${entry.mention} (${entry.candidates.map(c => c.id).join(' | ')})`).join(', ')}`);
+  }
+
+  return parts.join('; ');
+}
+
+export class F1EntityResolver {
+  constructor(fetchTool, options = {}) {
+    this.fetchTool = fetchTool;
+    this.options = {
+      defaultSeason: options.defaultSeason || null,
+      fuzzyThreshold: options.fuzzyThreshold || 0.75,
+      maxScanWords: options.maxScanWords || 3,
+      ...options
+    };
+
+    // season -> Promise<alias index>
+    this.indexes = new Map();
+  }
+
+  /**
+   * Alias index for a season, built once from get_f1_drivers and get_f1_constructors
+   */
+  async getSeasonIndex(season) {
+    if (!this.indexes.has(season)) {
+      const loading = Promise.all([
+        this.fetchTool('get_f1_drivers', { year: season }),
+        this.fetchTool('get_f1_constructors', { year: season })
+      ]).then(([driversPayload, constructorsPayload]) => {
+        const index = buildAliasIndex(normaliseDrivers(driversPayload), normaliseConstructors(constructorsPayload));
+
+        logger.debug('Entity alias index built', {
+          season,
+          drivers: index.drivers.size,
+          constructors: index.constructors.size
+        });
+
+        return index;
+      });
+
+      this.indexes.set(season, loading);
+
+      // Failed loads are retried on the next query
+      loading.catch(() => this.indexes.delete(season));
+    }
+
+    return this.indexes.get(season);
+  }
+
+  /**
+   * Indexes for the seasons in context (falls back to the default season)
+   */
+  async getContextIndexes(seasons = []) {
+    const contextSeasons = seasons.length > 0
+      ? [...new Set(seasons)]
+      : [this.options.defaultSeason || new Date().getFullYear()];
+
+    const loaded = await Promise.all(contextSeasons.map(async season => {
+      try {
+        return { season, index: await this.getSeasonIndex(season) };
+      } catch (error) {
+        logger.warn('Failed to build entity alias index', { season, error: error.message });
+        return null;
+      }
+    }));
+
+    return loaded.filter(Boolean);
+  }
+
+  /**
+   * Resolve a single mention against the season indexes
+   *
+   * Returns { id, name, matchedBy, confidence, seasons } or { ambiguous: true, candidates } or null
+   */
+  resolveMention(mention, seasonIndexes, kind) {
+    const key = normaliseMention(mention);
+    if (!key) return null;
+
+    const aliasKey = kind === 'driver' ? 'driverAliases' : 'constructorAliases';
+    const entityKey = kind === 'driver' ? 'drivers' : 'constructors';
+    const candidates = new Map();
+
+    const consider = (id, entity, season, matchedBy, confidence) => {
+      const existing = candidates.get(id);
+      if (!existing || existing.confidence < confidence) {
+        candidates.set(id, {
+          id,
+          name: entity?.name || id,
+          matchedBy,
+          confidence,
+          seasons: [...new Set([...(existing?.seasons || []), season])]
+        });
+      } else if (!existing.seasons.includes(season)) {
+        existing.seasons.push(season);
+      }
+    };
+
+    seasonIndexes.forEach(({ season, index }) => {
+      const exact = index[aliasKey].get(key);
+      if (exact) {
+        exact.forEach((source, id) => consider(id, index[entityKey].get(id), season, source, 1));
+        return;
+      }
+
+      // Fuzzy match only for mentions long enough to carry a typo
+      if (key.length < 4) return;
+      index[aliasKey].forEach((ids, alias) => {
+        const score = similarity(key, alias);
+        if (score >= this.options.fuzzyThreshold) {
+          ids.forEach((_, id) => consider(id, index[entityKey].get(id), season, 'fuzzy', Math.round(score * 90) / 100));
+        }
+      });
+    });
+
+    if (candidates.size === 0) {
+      // Without a roster, dictionary aliases are the best available evidence
+      const id = kind === 'driver' ? DRIVER_NICKNAMES[key] : CONSTRUCTOR_ALIASES[key];
+      return id ? { id, name: id, matchedBy: 'dictionary', confidence: 0.6, seasons: [] } : null;
+    }
+
+    const ranked = Array.from(candidates.values()).sort((a, b) => b.confidence - a.confidence);
+    const top = ranked.filter(candidate => candidate.confidence === ranked[0].confidence);
+
+    return top.length === 1 ? top[0] : { ambiguous: true, candidates: top };
+  }
+
+  /**
+   * Find roster aliases mentioned directly in free text (exact matches only)
+   */
+  scanQuery(query, seasonIndexes) {
+    const words = normaliseMention(query).split(' ').filter(Boolean);
+    const mentions = { drivers: [], teams: [] };
+    const seen = new Set();
+
+    for (let size = this.options.maxScanWords; size >= 1; size--) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const phrase = words.slice(start, start + size).join(' ');
+        if (seen.has(phrase) || /^\d+$/.test(phrase)) continue;
+
+        seasonIndexes.forEach(({ index }) => {
+          if (isScannable(index.driverAliases.get(phrase), phrase) && !mentions.drivers.includes(phrase)) mentions.drivers.push(phrase);
+          if (isScannable(index.constructorAliases.get(phrase), phrase) && !mentions.teams.includes(phrase)) mentions.teams.push(phrase);
+        });
+        seen.add(phrase);
+      }
+    }
+
+    // Drop single words already covered by a longer match ("max" inside "max verstappen")
+    const prune = (list) => list.filter(phrase => !list.some(other => other !== phrase && other.split(' ').includes(phrase)));
+
+    return { drivers: prune(mentions.drivers), teams: prune(mentions.teams) };
+  }
+
+  /**
+   * Resolve the entities of a query to canonical IDs
+   *
+   * entities: { drivers, teams, seasons } as extracted by the query classifier
+   */
+  async resolve(query, entities = {}) {
+    const seasons = (entities.seasons || []).map(Number).filter(Number.isInteger);
+    const seasonIndexes = await this.getContextIndexes(seasons);
+
+    let driverMentions = entities.drivers || [];
+    let teamMentions = entities.teams || [];
+
+    // The keyword fallback extracts no names, so look for roster aliases in the text itself
+    if (driverMentions.length === 0 && teamMentions.length === 0 && seasonIndexes.length > 0) {
+      const scanned = this.scanQuery(query, seasonIndexes);
+      driverMentions = scanned.drivers;
+      teamMentions = scanned.teams;
+    }
+
+    const resolved = {
+      seasons: seasonIndexes.map(entry => entry.season),
+      drivers: [],
+      constructors: [],
+      ambiguous: [],
+      unresolved: []
+    };
+
+    const collect = (mentions, kind, target) => {
+      mentions.forEach(mention => {
+        const match = this.resolveMention(mention, seasonIndexes, kind);
+
+        if (!match) {
+          resolved.unresolved.push({ mention, type: kind });
+        } else if (match.ambiguous) {
+          resolved.ambiguous.push({ mention, type: kind, candidates: match.candidates });
+        } else if (!target.some(entry => entry.id === match.id)) {
+          target.push({ mention, ...match });
+        }
+      });
+    };
+
+    collect(driverMentions, 'driver', resolved.drivers);
+    collect(teamMentions, 'constructor', resolved.constructors);
+
+    logger.debug('Entities resolved', {
+      seasons: resolved.seasons,
+      drivers: resolved.drivers.map(entry => entry.id),
+      constructors: resolved.constructors.map(entry => entry.id),
+      ambiguous: resolved.ambiguous.length,
+      unresolved: resolved.unresolved.length
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Drop cached indexes (e.g. after a roster change mid-season)
+   */
+  clearCache() {
+    this.indexes.clear();
+  }
+}
+
+export default F1EntityResolver;
@@ -13,6 +13,11 @@ export class F1ErrorHandler {
       maxDelay: options.maxDelay || 10000,
       enableFallbacks: options.enableFallbacks !== false,
       enableCircuitBreaker: options.enableCircuitBreaker !== false,
+      failureThreshold: options.failureThreshold ||
+        parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+      recoveryTimeout: options.recoveryTimeout ||
+        parseInt(process.env.CIRCUIT_BREAKER_RECOVERY_TIMEOUT) || 60000, // 1 minute
+      successThreshold: options.successThreshold || 3,
       ...options
     };
 
@@ -30,22 +35,32 @@ export class F1ErrorHandler {
       fallbackFn = null,
       useCircuitBreaker = false,
       retries = this.options.maxRetries,
-      timeout = 30000
+      timeout = 30000,
+      signal = null
     } = context;
 
-    // Check circuit breaker
+    throwIfCancelled(signal);
+
+    // Check circuit breaker; an open breaker goes straight to the fallback
     if (useCircuitBreaker && this.isCircuitOpen(operation)) {
-      throw new F1Error(
+      const openError = new F1Error(
         `Circuit breaker is OPEN for operation: ${operation}`,
         'CIRCUIT_BREAKER_OPEN',
         { operation }
       );
+
+      if (this.options.enableFallbacks && fallbackFn) {
+        return this.executeFallback(operation, fallbackFn, openError, 0);
+      }
+      throw openError;
     }
 
     let lastError;
     let attempt = 0;
 
     while (attempt <= retries) {
+      throwIfCancelled(signal);
+
       try {
         this.logger.debug('F1ErrorHandler: Executing operation', {
           operation,
@@ -54,7 +69,7 @@ export class F1ErrorHandler {
         });
 
         // Execute with timeout
-        const result = await this.executeWithTimeout(fn, timeout);
+        const result = await this.executeWithTimeout(fn, timeout, signal);
         
         // Reset circuit breaker on success
         if (useCircuitBreaker) {
@@ -72,6 +87,11 @@ export class F1ErrorHandler {
         lastError = error;
         attempt++;
 
+        // Cancelled work is neither retried, counted against the breaker nor replaced by a fallback
+        if (signal?.aborted) {
+          throw cancellationError(signal);
+        }
+
         this.logger.warn('F1ErrorHandler: Operation failed', {
           operation,
           attempt,
@@ -80,18 +100,36 @@ export class F1ErrorHandler {
           willRetry: attempt <= retries
         });
 
-        // Record failure for circuit breaker
-        if (useCircuitBreaker) {
-          this.recordFailure(operation);
+        // A call lost with its connection may already have run, so it is not
+        // retried; the dependency is failing, though, so count it and fall back
+        if (this.isConnectionLoss(error)) {
+          if (useCircuitBreaker) {
+            this.recordFailure(operation);
+          }
+          if (!this.options.enableFallbacks || !fallbackFn) {
+            throw error;
+          }
+          return this.executeFallback(operation, fallbackFn, error, attempt);
         }
 
-        // Don't retry on certain error types
+        // Don't retry on certain error types; they say nothing about the
+        // dependency's health, so they do not count against the breaker either
         if (this.isNonRetryableError(error)) {
           this.logger.warn('F1ErrorHandler: Non-retryable error, stopping retries', {
             operation,
             errorType: error.constructor.name
           });
-          break;
+          throw error;
+        }
+
+        // Record failure for circuit breaker
+        if (useCircuitBreaker) {
+          this.recordFailure(operation);
+
+          // Stop hammering a dependency that has just been cut off
+          if (this.getCircuitBreaker(operation).state === 'OPEN') {
+            break;
+          }
         }
 
         // Wait before retry (exponential backoff)
@@ -102,41 +140,14 @@ export class F1ErrorHandler {
             delay,
             attempt
           });
-          await this.sleep(delay);
+          await this.sleep(delay, signal);
         }
       }
     }
 
     // All retries exhausted, try fallback
     if (this.options.enableFallbacks && fallbackFn) {
-      try {
-        this.logger.info('F1ErrorHandler: Executing fallback', { operation });
-        const fallbackResult = await fallbackFn(lastError);
-        
-        return {
-          ...fallbackResult,
-          isFallback: true,
-          originalError: lastError.message
-        };
-
-      } catch (fallbackError) {
-        this.logger.error('F1ErrorHandler: Fallback also failed', {
-          operation,
-          originalError: lastError.message,
-          fallbackError: fallbackError.message
-        });
-        
-        throw new F1Error(
-          `Operation and fallback both failed: ${lastError.message}`,
-          'OPERATION_AND_FALLBACK_FAILED',
-          {
-            operation,
-            originalError: lastError,
-            fallbackError,
-            attempts: attempt
-          }
-        );
-      }
+      return this.executeFallback(operation, fallbackFn, lastError, attempt);
     }
 
     // No fallback or fallback disabled
@@ -152,18 +163,65 @@ export class F1ErrorHandler {
   }
 
   /**
-   * Execute function with timeout
+   * Run the fallback for a failed (or short-circuited) operation
+   */
+  async executeFallback(operation, fallbackFn, lastError, attempts) {
+    try {
+      this.logger.info('F1ErrorHandler: Executing fallback', { operation });
+      const fallbackResult = await fallbackFn(lastError);
+
+      return {
+        ...fallbackResult,
+        isFallback: true,
+        originalError: lastError.message
+      };
+
+    } catch (fallbackError) {
+      this.logger.error('F1ErrorHandler: Fallback also failed', {
+        operation,
+        originalError: lastError.message,
+        fallbackError: fallbackError.message
+      });
+
+      throw new F1Error(
+        `Operation and fallback both failed: ${lastError.message}`,
+        'OPERATION_AND_FALLBACK_FAILED',
+        {
+          operation,
+          originalError: lastError,
+          fallbackError,
+          attempts
+        }
+      );
+    }
+  }
+
+  /**
+   * Execute function with timeout, giving up early if the signal aborts
    */
-  async executeWithTimeout(fn, timeout) {
-    return Promise.race([
-      fn(),
-      new Promise((_, reject) => 
-        setTimeout(() => 
-          reject(new F1Error(`Operation timeout after ${timeout}ms`, 'TIMEOUT')), 
-          timeout
-        )
-      )
-    ]);
+  async executeWithTimeout(fn, timeout, signal = null) {
+    let timer;
+    let onAbort;
+
+    try {
+      return await Promise.race([
+        fn(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() =>
+            reject(new F1Error(`Operation timeout after ${timeout}ms`, 'TIMEOUT')),
+            timeout
+          );
+
+          if (signal) {
+            onAbort = () => reject(cancellationError(signal));
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
   }
 
   /**
@@ -176,10 +234,25 @@ export class F1ErrorHandler {
   }
 
   /**
-   * Sleep utility
+   * Sleep utility; an aborted signal ends the wait early
+   */
+  sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Upstream connection dropped mid-call (MCP_CONNECTION_LOST)
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  isConnectionLoss(error) {
+    return error?.code === 'MCP_CONNECTION_LOST';
   }
 
   /**
@@ -191,7 +264,10 @@ export class F1ErrorHandler {
       'AUTHENTICATION_ERROR',
       'AUTHORIZATION_ERROR',
       'NOT_FOUND',
-      'BAD_REQUEST'
+      'BAD_REQUEST',
+      'SEASON_OUT_OF_RANGE',
+      'TOOL_NOT_FOUND',
+      'REQUEST_CANCELLED'
     ];
 
     const nonRetryableMessages = [
@@ -206,7 +282,12 @@ export class F1ErrorHandler {
       return true;
     }
 
-    const errorMessage = error.message.toLowerCase();
+    // Client errors from LLM providers, apart from timeouts and rate limits
+    if (error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status)) {
+      return true;
+    }
+
+    const errorMessage = (error.message || '').toLowerCase();
     return nonRetryableMessages.some(msg => errorMessage.includes(msg));
   }
 
@@ -220,9 +301,9 @@ export class F1ErrorHandler {
         failures: 0,
         lastFailureTime: null,
         successCount: 0,
-        failureThreshold: 5,
-        recoveryTimeout: 60000, // 1 minute
-        successThreshold: 3
+        failureThreshold: this.options.failureThreshold,
+        recoveryTimeout: this.options.recoveryTimeout,
+        successThreshold: this.options.successThreshold
       });
     }
     return this.circuitBreakers.get(operation);
@@ -376,9 +457,11 @@ export class F1ErrorHandler {
     const circuitBreakerStats = Array.from(this.circuitBreakers.entries()).map(
       ([operation, breaker]) => ({
         operation,
+        isOpen: this.isCircuitOpen(operation),
         state: breaker.state,
         failures: breaker.failures,
-        isOpen: this.isCircuitOpen(operation)
+        lastFailureTime: breaker.lastFailureTime,
+        retryAt: breaker.state === 'OPEN' ? breaker.lastFailureTime + breaker.recoveryTimeout : null
       })
     );
 
@@ -417,6 +500,20 @@ export class F1Error extends Error {
   }
 }
 
+/**
+ * Error for work stopped by an AbortSignal (client disconnect, timeout)
+ */
+export function cancellationError(signal) {
+  const reason = signal?.reason instanceof Error ? signal.reason.message : String(signal?.reason ?? 'aborted');
+  return new F1Error(`Request cancelled: ${reason}`, 'REQUEST_CANCELLED', { reason });
+}
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw cancellationError(signal);
+  }
+}
+
 /**
  * Error handler middleware for Express
  */
@@ -463,6 +560,8 @@ export const globalErrorHandler = new F1ErrorHandler({
 export default {
   F1ErrorHandler,
   F1Error,
+  cancellationError,
+  throwIfCancelled,
   f1ErrorMiddleware,
   globalErrorHandler
 };
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * F1 Data Normalisation Utilities
+ * Turns MCP tool payloads (Ergast-style MRData tables or flat development shapes)
+ * into plain row arrays that local analysis tools can compute on
+ */
+
+/**
+ * Find the first array stored under one of the given keys, searching nested objects
+ */
+export function findArray(payload, keys, depth = 0) {
+  if (!payload || depth > 6) {
+    return null;
+  }
+
+  if (Array.isArray(payload)) {
+    // Ergast wraps per-round tables in single-element lists (StandingsLists, Races)
+    for (const item of payload) {
+      const found = findArray(item, keys, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (typeof payload !== 'object') {
+    return null;
+  }
+
+  for (const key of keys) {
+    if (Array.isArray(payload[key])) {
+      return payload[key];
+    }
+  }
+
+  for (const value of Object.values(payload)) {
+    if (value && typeof value === 'object') {
+      const found = findArray(value, keys, depth + 1);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first scalar value stored under one of the given keys
+ */
+export function findValue(payload, keys, depth = 0) {
+  if (!payload || typeof payload !== 'object' || depth > 6) {
+    return undefined;
+  }
+
+  for (const key of keys) {
+    if (payload[key] !== undefined && typeof payload[key] !== 'object') {
+      return payload[key];
+    }
+  }
+
+  for (const value of Object.values(payload)) {
+    if (value && typeof value === 'object') {
+      const found = findValue(value, keys, depth + 1);
+      if (found !== undefined) return found;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Create a stable identifier from a display name ("Max Verstappen" -> "max_verstappen")
+ */
+export function toId(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+function toNumber(value, fallback = null) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function driverFields(entry) {
+  const driver = entry.Driver || entry.driver || entry;
+
+  if (typeof driver === 'string') {
+    return { id: toId(driver), name: driver, code: null };
+  }
+
+  const name = driver.givenName
+    ? `${driver.givenName} ${driver.familyName}`
+    : driver.name || driver.fullName || driver.driverName || entry.driverName || '';
+
+  return {
+    id: driver.driverId || driver.id || entry.driverId || toId(name),
+    name,
+    code: driver.code || null
+  };
+}
+
+// Own property lookup: every plain object inherits a `constructor` function
+function ownField(entry, key) {
+  return Object.prototype.hasOwnProperty.call(entry, key) ? entry[key] : undefined;
+}
+
+function constructorFields(entry) {
+  const constructors = entry.Constructors;
+  const team = entry.Constructor ||
+    (Array.isArray(constructors) ? constructors[constructors.length - 1] : null) ||
+    entry.team ||
+    entry.constructorName ||
+    ownField(entry, 'constructor');
+
+  if (!team) {
+    return { constructorId: null, constructorName: null };
+  }
+
+  if (typeof team === 'string') {
+    return { constructorId: toId(team), constructorName: team };
+  }
+
+  return {
+    constructorId: team.constructorId || team.id || toId(team.name),
+    constructorName: team.name || null
+  };
+}
+
+/**
+ * Normalise a driver standings payload
+ */
+export function normaliseDriverStandings(payload) {
+  const rows = findArray(payload, ['DriverStandings', 'driverStandings', 'standings']) || [];
+
+  return rows.map((entry, index) => ({
+    ...driverFields(entry),
+    ...constructorFields(entry),
+    position: toNumber(entry.position, index + 1),
+    points: toNumber(entry.points, 0),
+    wins: toNumber(entry.wins, 0)
+  }));
+}
+
+/**
+ * Normalise a constructor standings payload
+ */
+export function normaliseConstructorStandings(payload) {
+  const rows = findArray(payload, ['ConstructorStandings', 'constructorStandings', 'standings']) || [];
+
+  return rows.map((entry, index) => {
+    const constructor = entry.Constructor || ownField(entry, 'constructor');
+    const team = typeof constructor === 'string' ? { name: constructor } : constructor;
+    const name = team?.name || entry.name || entry.team || entry.constructorName || '';
+
+    return {
+      id: team?.constructorId || entry.constructorId || entry.id || toId(name),
+      name,
+      position: toNumber(entry.position, index + 1),
+      points: toNumber(entry.points, 0),
+      wins: toNumber(entry.wins, 0)
+    };
+  });
+}
+
+/**
+ * Round number a standings payload was computed after (null if not stated)
+ */
+export function standingsRound(payload) {
+  return toNumber(findValue(payload, ['round']), null);
+}
+
+/**
+ * Normalise a season drivers payload
+ */
+export function normaliseDrivers(payload) {
+  const rows = findArray(payload, ['Drivers', 'drivers']) || [];
+
+  return rows.map(entry => {
+    const fields = driverFields(entry);
+    const [givenName, ...familyParts] = fields.name.split(' ');
+
+    return {
+      ...fields,
+      ...constructorFields(entry),
+      givenName: entry.givenName || givenName || '',
+      familyName: entry.familyName || familyParts.join(' '),
+      number: toNumber(entry.permanentNumber ?? entry.number, null)
+    };
+  });
+}
+
+/**
+ * Normalise a season constructors payload
+ */
+export function normaliseConstructors(payload) {
+  const rows = findArray(payload, ['Constructors', 'constructors']) || [];
+
+  return rows.map(entry => {
+    const name = typeof entry === 'string' ? entry : entry.name || entry.constructorName || '';
+
+    return {
+      id: entry.constructorId || entry.id || toId(name),
+      name,
+      nationality: entry.nationality || null
+    };
+  });
+}
+
+/**
+ * Normalise a race schedule payload
+ */
+export function normaliseRaces(payload) {
+  const rows = findArray(payload, ['Races', 'races', 'schedule']) || [];
+
+  return rows.map((race, index) => ({
+    season: toNumber(race.season, null),
+    round: toNumber(race.round, index + 1),
+    name: race.raceName || race.name || '',
+    date: race.date || null,
+    circuitId: race.Circuit?.circuitId || race.circuitId || null,
+    circuitName: race.Circuit?.circuitName || race.circuit || null,
+    // Ergast lists a Sprint session on sprint weekends
+    sprint: Boolean(race.Sprint || race.sprint)
+  }));
+}
+
+/**
+ * Normalise a race (or qualifying) results payload
+ */
+export function normaliseRaceResults(payload) {
+  const rows = findArray(payload, ['Results', 'results', 'QualifyingResults', 'qualifyingResults']) || [];
+
+  return rows.map((entry, index) => {
+    const positionText = entry.positionText ?? entry.position ?? index + 1;
+
+    return {
+      ...driverFields(entry),
+      ...constructorFields(entry),
+      position: toNumber(entry.position, index + 1),
+      grid: toNumber(entry.grid, null),
+      points: toNumber(entry.points, 0),
+      fastestLapRank: toNumber(entry.FastestLap?.rank ?? entry.fastestLapRank, null),
+      status: entry.status || entry.Status || null,
+      // Ergast gives every classified car a numeric positionText, retirements
+      // included (status "Engine", "Accident", ...); R, D, W, ... are not classified
+      classified: /^\d+$/.test(String(positionText))
+    };
+  });
+}
+
+/**
+ * Normalise a qualifying results payload, keeping the session times
+ */
+export function normaliseQualifyingResults(payload) {
+  const rows = findArray(payload, ['QualifyingResults', 'qualifyingResults', 'Results', 'results']) || [];
+
+  return rows.map((entry, index) => ({
+    ...driverFields(entry),
+    ...constructorFields(entry),
+    position: toNumber(entry.position, index + 1),
+    q1: entry.Q1 || entry.q1 || null,
+    q2: entry.Q2 || entry.q2 || null,
+    q3: entry.Q3 || entry.q3 || null
+  }));
+}
+
+/**
+ * Season years listed in a seasons payload, ascending
+ */
+export function normaliseSeasons(payload) {
+  const rows = findArray(payload, ['Seasons', 'seasons']) || [];
+
+  return rows
+    .map(entry => toNumber(entry && typeof entry === 'object' ? entry.season ?? entry.year : entry, null))
+    .filter(Number.isInteger)
+    .sort((a, b) => a - b);
+}
+
+export default {
+  findArray,
+  findValue,
+  toId,
+  normaliseDriverStandings,
+  normaliseConstructorStandings,
+  standingsRound,
+  normaliseDrivers,
+  normaliseConstructors,
+  normaliseRaces,
+  normaliseRaceResults,
+  normaliseQualifyingResults,
+  normaliseSeasons
+};
@@ -0,0 +1,140 @@
+/**
+ * JSON Schema to Zod conversion
+ * Converts MCP tool `inputSchema` definitions into zod schemas at runtime so
+ * LangGraph tools can be built for whatever tools the MCP server advertises
+ */
+
+import { z } from 'zod';
+
+function withMetadata(schema, jsonSchema) {
+  let result = schema;
+
+  if (jsonSchema.description) {
+    result = result.describe(jsonSchema.description);
+  }
+  if (jsonSchema.default !== undefined) {
+    result = result.default(jsonSchema.default);
+  }
+
+  return result;
+}
+
+function convertString(jsonSchema) {
+  let schema = z.string();
+
+  if (jsonSchema.minLength !== undefined) schema = schema.min(jsonSchema.minLength);
+  if (jsonSchema.maxLength !== undefined) schema = schema.max(jsonSchema.maxLength);
+  if (jsonSchema.pattern) schema = schema.regex(new RegExp(jsonSchema.pattern));
+  if (jsonSchema.format === 'date-time') schema = schema.datetime();
+  if (jsonSchema.format === 'email') schema = schema.email();
+  if (jsonSchema.format === 'uri') schema = schema.url();
+
+  return schema;
+}
+
+function convertNumber(jsonSchema, integer) {
+  let schema = z.number();
+
+  if (integer) schema = schema.int();
+  if (jsonSchema.minimum !== undefined) schema = schema.min(jsonSchema.minimum);
+  if (jsonSchema.maximum !== undefined) schema = schema.max(jsonSchema.maximum);
+  if (typeof jsonSchema.exclusiveMinimum === 'number') schema = schema.gt(jsonSchema.exclusiveMinimum);
+  if (typeof jsonSchema.exclusiveMaximum === 'number') schema = schema.lt(jsonSchema.exclusiveMaximum);
+
+  return schema;
+}
+
+function convertObject(jsonSchema) {
+  const required = new Set(jsonSchema.required || []);
+  const shape = {};
+
+  Object.entries(jsonSchema.properties || {}).forEach(([key, propertySchema]) => {
+    const property = jsonSchemaToZod(propertySchema);
+    // A default already makes the property optional; wrapping it again would skip the default
+    const optional = !required.has(key) && propertySchema?.default === undefined;
+    shape[key] = optional ? property.optional() : property;
+  });
+
+  const schema = z.object(shape);
+
+  // Servers that allow extra arguments get them passed through untouched
+  return jsonSchema.additionalProperties === false ? schema.strict() : schema.passthrough();
+}
+
+function convertType(jsonSchema, type) {
+  switch (type) {
+    case 'string':
+      return convertString(jsonSchema);
+    case 'number':
+      return convertNumber(jsonSchema, false);
+    case 'integer':
+      return convertNumber(jsonSchema, true);
+    case 'boolean':
+      return z.boolean();
+    case 'null':
+      return z.null();
+    case 'array': {
+      let schema = z.array(jsonSchema.items ? jsonSchemaToZod(jsonSchema.items) : z.any());
+      if (jsonSchema.minItems !== undefined) schema = schema.min(jsonSchema.minItems);
+      if (jsonSchema.maxItems !== undefined) schema = schema.max(jsonSchema.maxItems);
+      return schema;
+    }
+    case 'object':
+      return convertObject(jsonSchema);
+    default:
+      return z.any();
+  }
+}
+
+function union(schemas) {
+  if (schemas.length === 0) return z.any();
+  if (schemas.length === 1) return schemas[0];
+  return z.union(schemas);
+}
+
+/**
+ * Convert a JSON Schema (draft 7 subset used by MCP servers) into a zod schema
+ */
+export function jsonSchemaToZod(jsonSchema = {}) {
+  if (!jsonSchema || typeof jsonSchema !== 'object') {
+    return z.any();
+  }
+
+  let schema;
+
+  if (jsonSchema.const !== undefined) {
+    schema = z.literal(jsonSchema.const);
+  } else if (Array.isArray(jsonSchema.enum)) {
+    schema = jsonSchema.enum.every(value => typeof value === 'string')
+      ? z.enum(jsonSchema.enum)
+      : union(jsonSchema.enum.map(value => z.literal(value)));
+  } else if (Array.isArray(jsonSchema.anyOf) || Array.isArray(jsonSchema.oneOf)) {
+    schema = union((jsonSchema.anyOf || jsonSchema.oneOf).map(option => jsonSchemaToZod(option)));
+  } else if (Array.isArray(jsonSchema.type)) {
+    // ["integer", "null"] style nullable types
+    const types = jsonSchema.type.filter(type => type !== 'null');
+    schema = union(types.map(type => convertType(jsonSchema, type)));
+    if (types.length < jsonSchema.type.length) schema = schema.nullable();
+  } else if (jsonSchema.type) {
+    schema = convertType(jsonSchema, jsonSchema.type);
+  } else if (jsonSchema.properties) {
+    schema = convertObject(jsonSchema);
+  } else {
+    schema = z.any();
+  }
+
+  return withMetadata(schema, jsonSchema);
+}
+
+/**
+ * Convert an MCP tool input schema; tools always take an object of arguments
+ */
+export function toolInputSchemaToZod(inputSchema) {
+  if (!inputSchema || (inputSchema.type && inputSchema.type !== 'object')) {
+    return z.object({}).passthrough();
+  }
+
+  return convertObject(inputSchema).describe(inputSchema.description || '');
+}
+
+export default jsonSchemaToZod;
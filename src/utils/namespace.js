@@ -0,0 +1,11 @@
+/**
+ * MCP Tool Namespacing
+ * Separator between a server namespace and a tool or prompt name
+ * in the registry's exposed names ("weather__get_f1_seasons")
+ */
+
+export const NAMESPACE_SEPARATOR = '__';
+
+export default {
+  NAMESPACE_SEPARATOR
+};
@@ -0,0 +1,94 @@
+/**
+ * F1 Season Bounds
+ * The range of seasons the F1 data source can answer for, derived from the
+ * get_f1_seasons and get_current_f1_season tools instead of hard-coded years
+ */
+
+import { z } from 'zod';
+import { findArray, findValue } from './f1Data.js';
+
+export const FIRST_F1_SEASON = 1950;
+
+/**
+ * Bounds used before the data source has been asked
+ */
+export function defaultSeasonBounds(now = new Date()) {
+  const year = now.getFullYear();
+
+  return {
+    min: FIRST_F1_SEASON,
+    max: year,
+    current: year,
+    source: 'default',
+    refreshedAt: null
+  };
+}
+
+function toSeason(value) {
+  const season = Number(value && typeof value === 'object' ? value.season ?? value.year : value);
+  return Number.isInteger(season) && season >= FIRST_F1_SEASON ? season : null;
+}
+
+/**
+ * Derive bounds from get_f1_seasons and get_current_f1_season payloads
+ * (null when neither payload names a season)
+ */
+export function parseSeasonBounds(seasonsPayload, currentPayload) {
+  const listed = (findArray(seasonsPayload, ['Seasons', 'seasons']) || [])
+    .map(toSeason)
+    .filter(season => season !== null);
+  const current = toSeason(findValue(currentPayload, ['season', 'year', 'currentSeason']));
+
+  const seasons = current !== null ? [...listed, current] : listed;
+  if (seasons.length === 0) {
+    return null;
+  }
+
+  const max = Math.max(...seasons);
+
+  return {
+    min: Math.min(FIRST_F1_SEASON, ...seasons),
+    max,
+    current: current ?? max
+  };
+}
+
+/**
+ * Message for a season outside the bounds
+ */
+export function seasonRangeMessage(season, bounds) {
+  if (season > bounds.max) {
+    return `Season ${season} does not exist yet: F1 data is available for ${bounds.min}-${bounds.max} (current season ${bounds.current})`;
+  }
+  return `Season ${season} is out of range: F1 data is available for ${bounds.min}-${bounds.max}`;
+}
+
+/**
+ * Zod schema for a season parameter that checks the bounds at validation time,
+ * so refreshed bounds apply to tools that were already built
+ */
+export function seasonSchema(getBounds, description = 'F1 season year') {
+  return z.number().int().superRefine((season, ctx) => {
+    const bounds = getBounds();
+    if (season < bounds.min || season > bounds.max) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: seasonRangeMessage(season, bounds) });
+    }
+  }).describe(description);
+}
+
+/**
+ * Prompt line telling agents which seasons exist
+ */
+export function describeSeasonBounds(bounds) {
+  return `Available F1 seasons: ${bounds.min}-${bounds.max} (current season: ${bounds.current}). ` +
+    `Seasons after ${bounds.max} have not happened yet, so do not request F1 data for them.`;
+}
+
+export default {
+  FIRST_F1_SEASON,
+  defaultSeasonBounds,
+  parseSeasonBounds,
+  seasonRangeMessage,
+  seasonSchema,
+  describeSeasonBounds
+};
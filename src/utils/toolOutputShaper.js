@@ -0,0 +1,253 @@
+/**
+ * Token-aware Tool Output Shaping
+ * Keeps MCP payloads within a token budget before they reach the model:
+ * payloads are flattened to rows, projected to the fields the query needs,
+ * and summarised as a table when that is still too large
+ */
+
+import { getEncoding } from 'js-tiktoken';
+import logger from './logger.js';
+
+// Fields that identify a row or carry the headline result; always kept when projecting
+const KEY_FIELDS = new Set([
+  'tool', 'year', 'season', 'round', 'racename', 'date',
+  'position', 'points', 'wins', 'grid', 'laps', 'status', 'time',
+  'driverid', 'code', 'givenname', 'familyname',
+  'constructorid', 'name', 'circuitname'
+]);
+
+// Words too common in F1 questions to pick out fields
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'who', 'what', 'which', 'how', 'did', 'was', 'were', 'race', 'season', 'driver', 'drivers', 'f1']);
+
+const MAX_DEPTH = 8;
+
+let encoder = null;
+
+/**
+ * Token count of a tool output as the model would see it (cl100k_base).
+ * Text far beyond any budget is estimated rather than encoded.
+ */
+export function countTokens(value, { exactUpTo = 200000 } = {}) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+
+  if (text.length > exactUpTo) {
+    return Math.ceil(text.length / 4);
+  }
+
+  encoder = encoder || getEncoding('cl100k_base');
+  return encoder.encode(text).length;
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a payload into rows of dotted scalar fields. The first list of
+ * records found is expanded into one row per record, recursively, so an
+ * Ergast season (Races[].Results[]) becomes one row per race result.
+ */
+export function flattenRows(payload, prefix = '', depth = 0) {
+  if (Array.isArray(payload)) {
+    return payload.every(isRecord)
+      ? payload.flatMap(item => flattenRows(item, prefix, depth + 1))
+      : [{ [prefix || 'value']: payload.join(', ') }];
+  }
+  if (!isRecord(payload)) {
+    return [{ [prefix || 'value']: payload }];
+  }
+
+  const base = {};
+  let expanded = null;
+
+  for (const [key, value] of Object.entries(payload)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value === null || typeof value !== 'object') {
+      base[path] = value;
+    } else if (depth >= MAX_DEPTH) {
+      continue;
+    } else if (Array.isArray(value) && !value.every(isRecord)) {
+      base[path] = value.filter(item => typeof item !== 'object').join(', ');
+    } else if (Array.isArray(value) && value.length === 0) {
+      continue;
+    } else {
+      const rows = flattenRows(value, path, depth + 1);
+      if (rows.length === 1 && !Array.isArray(value)) {
+        Object.assign(base, rows[0]);
+      } else if (!expanded) {
+        expanded = rows;
+      }
+    }
+  }
+
+  return expanded ? expanded.map(row => ({ ...base, ...row })) : [base];
+}
+
+/**
+ * Shortest unique trailing path for each column
+ * ("MRData.RaceTable.Races.Results.Driver.familyName" -> "familyName")
+ */
+export function columnNames(paths) {
+  const segments = paths.map(path => path.split('.'));
+  const names = new Map();
+
+  for (let length = 1; names.size < paths.length; length++) {
+    const candidates = segments.map(parts => parts.slice(-length).join('.'));
+    candidates.forEach((candidate, index) => {
+      const unique = candidates.filter(other => other === candidate).length === 1;
+      if (!names.has(paths[index]) && (unique || length >= segments[index].length)) {
+        names.set(paths[index], candidate);
+      }
+    });
+  }
+
+  return names;
+}
+
+/**
+ * Lowercase query words that can pick out fields ("fastest lap" -> ['fastest', 'lap'])
+ */
+export function queryTerms(query = '') {
+  return [...new Set(
+    query.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+  )];
+}
+
+/**
+ * Columns worth sending to the model: key fields plus anything the query mentions
+ */
+export function relevantColumns(paths, query) {
+  const terms = queryTerms(query);
+
+  const relevant = paths.filter(path => {
+    const segments = path.toLowerCase().split('.');
+    return KEY_FIELDS.has(segments.at(-1)) ||
+      terms.some(term => segments.some(segment => segment.includes(term)));
+  });
+
+  return relevant.length > 0 ? relevant : paths;
+}
+
+/**
+ * Rows as a compact table: columns shared by every row are hoisted into
+ * `constants`, the rest become positional row arrays
+ */
+export function toTable(rows, paths) {
+  const names = columnNames(paths);
+  const constants = {};
+  const columns = [];
+
+  for (const path of paths) {
+    const first = rows[0]?.[path];
+    if (rows.length > 1 && rows.every(row => row[path] === first)) {
+      if (first !== undefined) constants[names.get(path)] = first;
+    } else {
+      columns.push(path);
+    }
+  }
+
+  return {
+    constants,
+    columns: columns.map(path => names.get(path)),
+    rows: rows.map(row => columns.map(path => row[path] ?? null))
+  };
+}
+
+function markdownTable(columns, rows) {
+  const line = cells => `| ${cells.map(cell => String(cell ?? '')).join(' | ')} |`;
+  return [line(columns), line(columns.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+export class ToolOutputShaper {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled ?? process.env.TOOL_OUTPUT_SHAPING_ENABLED !== 'false',
+      tokenBudget: options.tokenBudget || parseInt(process.env.TOOL_OUTPUT_TOKEN_BUDGET) || 2000,
+      summaryRows: options.summaryRows || parseInt(process.env.TOOL_OUTPUT_SUMMARY_ROWS) || 20
+    };
+
+    this.stats = {
+      passedThrough: 0,
+      projected: 0,
+      summarised: 0,
+      tokensIn: 0,
+      tokensOut: 0
+    };
+  }
+
+  /**
+   * Fit a tool output to the token budget. Returns the output for the model,
+   * its mode ('full', 'projected', 'summary') and whether the full payload
+   * should be kept for retrieval (summaries only).
+   */
+  shape(payload, { query = '' } = {}) {
+    const originalTokens = countTokens(payload);
+
+    if (!this.options.enabled || originalTokens <= this.options.tokenBudget) {
+      this.record('passedThrough', originalTokens, originalTokens);
+      return { output: payload, mode: 'full', originalTokens, tokens: originalTokens };
+    }
+
+    const rows = flattenRows(payload);
+    const paths = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const table = toTable(rows, relevantColumns(paths, query));
+
+    const projected = {
+      ...table,
+      totalRows: rows.length,
+      shaping: { mode: 'projected', originalTokens, droppedFields: paths.length - table.columns.length - Object.keys(table.constants).length }
+    };
+
+    const projectedTokens = countTokens(projected);
+    if (projectedTokens <= this.options.tokenBudget) {
+      this.record('projected', originalTokens, projectedTokens);
+      return { output: projected, mode: 'projected', originalTokens, tokens: projectedTokens };
+    }
+
+    const summary = this.summarise(table, rows.length, originalTokens);
+    const tokens = countTokens(summary);
+
+    this.record('summarised', originalTokens, tokens);
+    logger.debug('Tool output summarised', { originalTokens, tokens, totalRows: rows.length });
+
+    return { output: summary, mode: 'summary', originalTokens, tokens };
+  }
+
+  /**
+   * The first rows as a markdown table, halving the row count until it fits
+   */
+  summarise(table, totalRows, originalTokens) {
+    let shownRows = Math.min(this.options.summaryRows, table.rows.length);
+    let summary;
+
+    do {
+      summary = {
+        constants: table.constants,
+        table: markdownTable(table.columns, table.rows.slice(0, shownRows)),
+        shownRows,
+        totalRows,
+        shaping: { mode: 'summary', originalTokens }
+      };
+      shownRows = Math.floor(shownRows / 2);
+    } while (shownRows > 0 && countTokens(summary) > this.options.tokenBudget);
+
+    return summary;
+  }
+
+  record(mode, tokensIn, tokensOut) {
+    this.stats[mode]++;
+    this.stats.tokensIn += tokensIn;
+    this.stats.tokensOut += tokensOut;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      tokenBudget: this.options.tokenBudget,
+      tokensSaved: this.stats.tokensIn - this.stats.tokensOut
+    };
+  }
+}
+
+export default ToolOutputShaper;
@@ -0,0 +1,124 @@
+/**
+ * MCP Tool Schema Drift
+ * Snapshots the tool list advertised by the MCP server and reports which tools
+ * were added, removed or changed since the previous startup
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * JSON.stringify with sorted object keys so fingerprints ignore key order
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Snapshot of the tool list keyed by tool name
+ */
+export function snapshotTools(tools = []) {
+  return Object.fromEntries(
+    tools.map(tool => [
+      tool.name,
+      {
+        description: tool.description || '',
+        inputSchema: tool.inputSchema || null,
+        fingerprint: stableStringify({ description: tool.description || '', inputSchema: tool.inputSchema || null })
+      }
+    ])
+  );
+}
+
+/**
+ * Compare two snapshots
+ */
+export function diffToolSnapshots(previous = {}, current = {}) {
+  const added = Object.keys(current).filter(name => !(name in previous));
+  const removed = Object.keys(previous).filter(name => !(name in current));
+  const changed = Object.keys(current)
+    .filter(name => name in previous && previous[name].fingerprint !== current[name].fingerprint)
+    .map(name => ({
+      name,
+      descriptionChanged: previous[name].description !== current[name].description,
+      schemaChanged: stableStringify(previous[name].inputSchema) !== stableStringify(current[name].inputSchema)
+    }));
+
+  return {
+    added,
+    removed,
+    changed,
+    hasDrift: added.length > 0 || removed.length > 0 || changed.length > 0
+  };
+}
+
+export class ToolSchemaDriftTracker {
+  constructor(options = {}) {
+    this.options = {
+      snapshotPath: options.snapshotPath || process.env.MCP_TOOL_SNAPSHOT_PATH || './database/mcp-tool-schemas.json',
+      ...options
+    };
+  }
+
+  /**
+   * Load the previous startup's snapshot (null on first run)
+   */
+  async loadSnapshot() {
+    try {
+      const content = await fs.readFile(this.options.snapshotPath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read MCP tool schema snapshot', { error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Diff the current tool list against the stored snapshot, then store the current one
+   */
+  async check(tools) {
+    const previous = await this.loadSnapshot();
+    const current = snapshotTools(tools);
+    const diff = diffToolSnapshots(previous?.tools || {}, current);
+
+    const report = {
+      ...diff,
+      firstRun: previous === null,
+      previousSnapshotAt: previous?.recordedAt || null,
+      checkedAt: new Date().toISOString(),
+      toolCount: Object.keys(current).length
+    };
+
+    // Every tool is "added" on the first run, which is not drift
+    if (report.firstRun) {
+      report.hasDrift = false;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.options.snapshotPath), { recursive: true });
+      await fs.writeFile(
+        this.options.snapshotPath,
+        JSON.stringify({ recordedAt: report.checkedAt, tools: current }, null, 2)
+      );
+    } catch (error) {
+      logger.warn('Could not write MCP tool schema snapshot', { error: error.message });
+    }
+
+    return report;
+  }
+}
+
+export default ToolSchemaDriftTracker;
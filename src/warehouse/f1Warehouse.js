@@ -0,0 +1,557 @@
+/**
+ * Local F1 Data Warehouse
+ * Normalised SQLite tables of seasons, rounds, drivers, constructors, results,
+ * qualifying and standings, filled by the warehouse sync and read by agents
+ * through a read-only connection
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { F1Error } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS seasons (
+    season INTEGER PRIMARY KEY,
+    rounds INTEGER,
+    complete INTEGER NOT NULL DEFAULT 0,
+    synced_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS rounds (
+    season INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    race_name TEXT,
+    date TEXT,
+    circuit_id TEXT,
+    circuit_name TEXT,
+    PRIMARY KEY (season, round)
+  );
+
+  CREATE TABLE IF NOT EXISTS drivers (
+    driver_id TEXT PRIMARY KEY,
+    code TEXT,
+    given_name TEXT,
+    family_name TEXT,
+    name TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS season_drivers (
+    season INTEGER NOT NULL,
+    driver_id TEXT NOT NULL,
+    number INTEGER,
+    PRIMARY KEY (season, driver_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS constructors (
+    constructor_id TEXT PRIMARY KEY,
+    name TEXT,
+    nationality TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS results (
+    season INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    driver_id TEXT NOT NULL,
+    constructor_id TEXT,
+    position INTEGER,
+    grid INTEGER,
+    points REAL,
+    status TEXT,
+    classified INTEGER,
+    fastest_lap_rank INTEGER,
+    PRIMARY KEY (season, round, driver_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS qualifying (
+    season INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    driver_id TEXT NOT NULL,
+    constructor_id TEXT,
+    position INTEGER,
+    q1 TEXT,
+    q2 TEXT,
+    q3 TEXT,
+    PRIMARY KEY (season, round, driver_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS driver_standings (
+    season INTEGER NOT NULL,
+    driver_id TEXT NOT NULL,
+    constructor_id TEXT,
+    after_round INTEGER,
+    position INTEGER,
+    points REAL,
+    wins INTEGER,
+    PRIMARY KEY (season, driver_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS constructor_standings (
+    season INTEGER NOT NULL,
+    constructor_id TEXT NOT NULL,
+    after_round INTEGER,
+    position INTEGER,
+    points REAL,
+    wins INTEGER,
+    PRIMARY KEY (season, constructor_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    dataset TEXT NOT NULL,
+    season INTEGER NOT NULL,
+    round INTEGER NOT NULL DEFAULT 0,
+    source TEXT,
+    synced_at INTEGER NOT NULL,
+    PRIMARY KEY (dataset, season, round)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_checks (
+    dataset TEXT NOT NULL,
+    season INTEGER NOT NULL,
+    checked_at INTEGER NOT NULL,
+    PRIMARY KEY (dataset, season)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_results_driver ON results(driver_id);
+  CREATE INDEX IF NOT EXISTS idx_qualifying_driver ON qualifying(driver_id);
+`;
+
+// Table -> the sync dataset that fills it, for freshness metadata
+export const WAREHOUSE_DATASETS = {
+  seasons: 'schedule',
+  rounds: 'schedule',
+  drivers: 'drivers',
+  season_drivers: 'drivers',
+  constructors: 'constructors',
+  results: 'results',
+  qualifying: 'qualifying',
+  driver_standings: 'driver_standings',
+  constructor_standings: 'constructor_standings'
+};
+
+/**
+ * Table reference for the query tool description
+ */
+export const WAREHOUSE_TABLES = [
+  'seasons(season, rounds, complete)',
+  'rounds(season, round, race_name, date, circuit_id, circuit_name)',
+  'drivers(driver_id, code, given_name, family_name, name)',
+  'season_drivers(season, driver_id, number)',
+  'constructors(constructor_id, name, nationality)',
+  'results(season, round, driver_id, constructor_id, position, grid, points, status, classified, fastest_lap_rank)',
+  'qualifying(season, round, driver_id, constructor_id, position, q1, q2, q3)',
+  'driver_standings(season, driver_id, constructor_id, after_round, position, points, wins)',
+  'constructor_standings(season, constructor_id, after_round, position, points, wins)'
+].join('\n');
+
+/**
+ * SQL with comments replaced by spaces, leaving string literals and quoted
+ * identifiers untouched, and the offsets of the semicolons outside them
+ */
+function scanSql(sql) {
+  let text = '';
+  const semicolons = [];
+
+  for (let i = 0; i < sql.length;) {
+    const char = sql[i];
+
+    if (char === "'" || char === '"' || char === '`' || char === '[') {
+      const close = char === '[' ? ']' : char;
+      let end = i + 1;
+      // Quotes are escaped by doubling them
+      while (end < sql.length && (sql[end] !== close || (close !== ']' && sql[end + 1] === close))) {
+        end += sql[end] === close ? 2 : 1;
+      }
+      text += sql.slice(i, end + 1);
+      i = end + 1;
+    } else if (sql.startsWith('--', i)) {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline;
+      text += ' ';
+    } else if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      text += ' ';
+    } else {
+      if (char === ';') semicolons.push(text.length);
+      text += char;
+      i++;
+    }
+  }
+
+  return { text, semicolons };
+}
+
+/**
+ * A single SELECT (or WITH ... SELECT) statement with comments and the
+ * trailing semicolon removed; anything else is rejected
+ */
+export function readOnlyStatement(sql) {
+  const { text, semicolons } = scanSql(String(sql || ''));
+  let statement = text.trimEnd();
+
+  if (semicolons.at(-1) === statement.length - 1) {
+    semicolons.pop();
+    statement = statement.slice(0, -1);
+  }
+  statement = statement.trim();
+
+  if (!/^(select|with)\b/i.test(statement)) {
+    throw new F1Error('Only SELECT queries can be run against the F1 warehouse', 'INVALID_WAREHOUSE_QUERY', { sql });
+  }
+  if (semicolons.length > 0) {
+    throw new F1Error('Run one SELECT statement at a time', 'INVALID_WAREHOUSE_QUERY', { sql });
+  }
+
+  return statement;
+}
+
+function iso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+export class F1Warehouse {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled ?? process.env.F1_WAREHOUSE_ENABLED === 'true',
+      dbPath: options.dbPath || process.env.F1_WAREHOUSE_DB_PATH || './database/f1-warehouse.sqlite',
+      maxRows: options.maxRows || 200,
+      // Agent queries running longer than this are interrupted
+      queryTimeout: options.queryTimeout || parseInt(process.env.F1_WAREHOUSE_QUERY_TIMEOUT) || 5000,
+      // An incomplete season not checked by the sync for this long is reported as stale
+      staleAfter: options.staleAfter || 24 * 60 * 60 * 1000,
+      ...options
+    };
+
+    this.db = null;
+    this.readDb = null;
+    this.readQueue = Promise.resolve();
+    this.initializing = null;
+  }
+
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.open();
+    }
+    return this.initializing;
+  }
+
+  async open() {
+    await fs.mkdir(path.dirname(this.options.dbPath), { recursive: true });
+
+    this.db = await open({ filename: this.options.dbPath, driver: sqlite3.Database });
+    await this.db.exec(SCHEMA);
+
+    // Agent queries get their own connection that cannot write
+    this.readDb = await open({
+      filename: this.options.dbPath,
+      driver: sqlite3.Database,
+      mode: sqlite3.OPEN_READONLY
+    });
+
+    logger.info('F1 warehouse initialized', { dbPath: this.options.dbPath });
+  }
+
+  async transaction(work) {
+    await this.initialize();
+    await this.db.exec('BEGIN');
+    try {
+      await work(this.db);
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async saveSchedule(season, races, source) {
+    await this.transaction(async db => {
+      for (const race of races) {
+        await db.run(
+          'INSERT OR REPLACE INTO rounds (season, round, race_name, date, circuit_id, circuit_name) VALUES (?, ?, ?, ?, ?, ?)',
+          [season, race.round, race.name, race.date, race.circuitId, race.circuitName]
+        );
+      }
+      await db.run(
+        `INSERT INTO seasons (season, rounds, synced_at) VALUES (?, ?, ?)
+         ON CONFLICT(season) DO UPDATE SET rounds = excluded.rounds, synced_at = excluded.synced_at`,
+        [season, races.length, Date.now()]
+      );
+      await this.markSynced(db, 'schedule', season, 0, source);
+    });
+  }
+
+  async saveDrivers(season, drivers, source) {
+    await this.transaction(async db => {
+      for (const driver of drivers) {
+        await db.run(
+          'INSERT OR REPLACE INTO drivers (driver_id, code, given_name, family_name, name) VALUES (?, ?, ?, ?, ?)',
+          [driver.id, driver.code, driver.givenName, driver.familyName, driver.name]
+        );
+        await db.run(
+          'INSERT OR REPLACE INTO season_drivers (season, driver_id, number) VALUES (?, ?, ?)',
+          [season, driver.id, driver.number]
+        );
+      }
+      await this.markSynced(db, 'drivers', season, 0, source);
+    });
+  }
+
+  async saveConstructors(season, constructors, source) {
+    await this.transaction(async db => {
+      for (const team of constructors) {
+        await db.run(
+          'INSERT OR REPLACE INTO constructors (constructor_id, name, nationality) VALUES (?, ?, ?)',
+          [team.id, team.name, team.nationality]
+        );
+      }
+      await this.markSynced(db, 'constructors', season, 0, source);
+    });
+  }
+
+  async saveResults(season, round, results, source) {
+    await this.transaction(async db => {
+      await db.run('DELETE FROM results WHERE season = ? AND round = ?', [season, round]);
+      for (const result of results) {
+        await db.run(
+          `INSERT OR REPLACE INTO results
+           (season, round, driver_id, constructor_id, position, grid, points, status, classified, fastest_lap_rank)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [season, round, result.id, result.constructorId, result.position, result.grid, result.points,
+            result.status, result.classified ? 1 : 0, result.fastestLapRank]
+        );
+      }
+      await this.markSynced(db, 'results', season, round, source);
+    });
+  }
+
+  async saveQualifying(season, round, results, source) {
+    await this.transaction(async db => {
+      await db.run('DELETE FROM qualifying WHERE season = ? AND round = ?', [season, round]);
+      for (const result of results) {
+        await db.run(
+          `INSERT OR REPLACE INTO qualifying (season, round, driver_id, constructor_id, position, q1, q2, q3)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [season, round, result.id, result.constructorId, result.position, result.q1, result.q2, result.q3]
+        );
+      }
+      await this.markSynced(db, 'qualifying', season, round, source);
+    });
+  }
+
+  async saveDriverStandings(season, afterRound, standings, source) {
+    await this.transaction(async db => {
+      await db.run('DELETE FROM driver_standings WHERE season = ?', [season]);
+      for (const entry of standings) {
+        await db.run(
+          `INSERT OR REPLACE INTO driver_standings (season, driver_id, constructor_id, after_round, position, points, wins)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [season, entry.id, entry.constructorId, afterRound, entry.position, entry.points, entry.wins]
+        );
+      }
+      await this.markSynced(db, 'driver_standings', season, 0, source);
+    });
+  }
+
+  async saveConstructorStandings(season, afterRound, standings, source) {
+    await this.transaction(async db => {
+      await db.run('DELETE FROM constructor_standings WHERE season = ?', [season]);
+      for (const entry of standings) {
+        await db.run(
+          `INSERT OR REPLACE INTO constructor_standings (season, constructor_id, after_round, position, points, wins)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [season, entry.id, afterRound, entry.position, entry.points, entry.wins]
+        );
+      }
+      await this.markSynced(db, 'constructor_standings', season, 0, source);
+    });
+  }
+
+  async markSynced(db, dataset, season, round, source = 'live') {
+    await db.run(
+      'INSERT OR REPLACE INTO sync_state (dataset, season, round, source, synced_at) VALUES (?, ?, ?, ?, ?)',
+      [dataset, season, round, source, Date.now()]
+    );
+  }
+
+  /**
+   * Record that the sync checked a season's datasets against the source,
+   * whether or not anything had changed
+   */
+  async markChecked(season, datasets) {
+    await this.transaction(async db => {
+      for (const dataset of datasets) {
+        await db.run(
+          'INSERT OR REPLACE INTO sync_checks (dataset, season, checked_at) VALUES (?, ?, ?)',
+          [dataset, season, Date.now()]
+        );
+      }
+    });
+  }
+
+  /**
+   * Flag a past season as fully synced so the history sync skips it
+   */
+  async markSeasonComplete(season) {
+    await this.initialize();
+    await this.db.run('UPDATE seasons SET complete = 1 WHERE season = ?', [season]);
+  }
+
+  async isSeasonComplete(season) {
+    await this.initialize();
+    const row = await this.db.get('SELECT complete FROM seasons WHERE season = ?', [season]);
+    return row?.complete === 1;
+  }
+
+  /**
+   * Rounds of a season already synced for a dataset
+   */
+  async getSyncedRounds(dataset, season) {
+    await this.initialize();
+    const rows = await this.db.all('SELECT round FROM sync_state WHERE dataset = ? AND season = ? AND round > 0', [dataset, season]);
+    return new Set(rows.map(row => row.round));
+  }
+
+  /**
+   * Run an agent's SELECT on the read-only connection. Rows are capped at
+   * `limit` and come with when their tables and seasons were last synced.
+   */
+  async query(sql, { limit = 50 } = {}) {
+    const statement = readOnlyStatement(sql);
+    const rowLimit = Math.min(limit, this.options.maxRows);
+
+    await this.initialize();
+
+    const rows = await this.readAll(`SELECT * FROM (${statement}) LIMIT ?`, [rowLimit + 1], sql);
+
+    return {
+      rows: rows.slice(0, rowLimit),
+      rowCount: Math.min(rows.length, rowLimit),
+      truncated: rows.length > rowLimit,
+      freshness: await this.getFreshness(statement, rows)
+    };
+  }
+
+  /**
+   * One query at a time on the read connection, interrupted at the deadline.
+   * Queued so an interrupt only ever stops the query that overran.
+   */
+  readAll(statement, params, sql) {
+    const run = async () => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.readDb.getDatabaseInstance().interrupt();
+      }, this.options.queryTimeout);
+
+      try {
+        return await this.readDb.all(statement, params);
+      } catch (error) {
+        if (timedOut) {
+          throw new F1Error(
+            `Warehouse query took longer than ${this.options.queryTimeout}ms`,
+            'WAREHOUSE_QUERY_TIMEOUT',
+            { sql, timeout: this.options.queryTimeout }
+          );
+        }
+        throw new F1Error(`Warehouse query failed: ${error.message}`, 'WAREHOUSE_QUERY_FAILED', { sql });
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    const result = this.readQueue.then(run);
+    this.readQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Sync state of every dataset behind the tables a query reads, and of the
+   * seasons in its rows. A dataset is stale when one of its incomplete
+   * seasons has not been checked by the sync within `staleAfter`; completed
+   * past seasons never go stale.
+   */
+  async getFreshness(statement, rows = []) {
+    const tables = Object.keys(WAREHOUSE_DATASETS)
+      .filter(table => new RegExp(`\\b${table}\\b`, 'i').test(statement));
+    const datasets = [...new Set(tables.map(table => WAREHOUSE_DATASETS[table]))];
+
+    const freshness = { datasets: {}, seasons: {}, stale: false };
+
+    for (const dataset of datasets) {
+      const row = await this.db.get(
+        `SELECT MAX(synced_at) AS lastSyncedAt, MIN(season) AS fromSeason, MAX(season) AS toSeason,
+                GROUP_CONCAT(DISTINCT source) AS sources
+         FROM sync_state WHERE dataset = ?`,
+        [dataset]
+      );
+      const seasonChecks = await this.db.all(
+        `SELECT synced.season, COALESCE(seasons.complete, 0) AS complete, checks.checked_at AS checkedAt
+         FROM (SELECT DISTINCT season FROM sync_state WHERE dataset = ?) synced
+         LEFT JOIN seasons ON seasons.season = synced.season
+         LEFT JOIN sync_checks checks ON checks.dataset = ? AND checks.season = synced.season`,
+        [dataset, dataset]
+      );
+
+      const lastCheckedAt = Math.max(0, ...seasonChecks.map(check => check.checkedAt || 0)) || null;
+      const stale = seasonChecks.length === 0 || seasonChecks.some(check =>
+        check.complete !== 1 && (!check.checkedAt || Date.now() - check.checkedAt > this.options.staleAfter)
+      );
+
+      freshness.datasets[dataset] = {
+        lastSyncedAt: iso(row.lastSyncedAt),
+        lastCheckedAt: iso(lastCheckedAt),
+        seasons: row.fromSeason !== null ? { from: row.fromSeason, to: row.toSeason } : null,
+        sources: row.sources ? row.sources.split(',') : [],
+        stale
+      };
+      freshness.stale = freshness.stale || stale;
+    }
+
+    const seasons = [...new Set(rows.map(row => row.season).filter(Number.isInteger))];
+    if (seasons.length > 0) {
+      const seasonRows = await this.db.all(
+        `SELECT season, complete, synced_at FROM seasons WHERE season IN (${seasons.map(() => '?').join(', ')})`,
+        seasons
+      );
+      for (const row of seasonRows) {
+        freshness.seasons[row.season] = { complete: row.complete === 1, syncedAt: iso(row.synced_at) };
+      }
+    }
+
+    return freshness;
+  }
+
+  /**
+   * Row counts per table and the last sync time
+   */
+  async getStats() {
+    if (!this.options.enabled || !this.db) {
+      return { enabled: this.options.enabled, initialized: false };
+    }
+
+    const counts = {};
+    for (const table of Object.keys(WAREHOUSE_DATASETS)) {
+      counts[table] = (await this.db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    }
+    const { lastSyncedAt } = await this.db.get('SELECT MAX(synced_at) AS lastSyncedAt FROM sync_state');
+
+    return { enabled: true, initialized: true, dbPath: this.options.dbPath, counts, lastSyncedAt: iso(lastSyncedAt) };
+  }
+
+  async close() {
+    if (this.initializing) {
+      await this.initializing.catch(() => {});
+    }
+    for (const db of [this.readDb, this.db]) {
+      if (db) await db.close();
+    }
+    this.db = null;
+    this.readDb = null;
+    this.initializing = null;
+  }
+}
+
+export default F1Warehouse;
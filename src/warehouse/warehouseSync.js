@@ -0,0 +1,280 @@
+/**
+ * F1 Warehouse Sync
+ * Fills the warehouse through the MCP client's getF1* convenience methods:
+ * past seasons once, the current season incrementally on a cron schedule
+ */
+
+import cron from 'node-cron';
+import {
+  normaliseRaces,
+  normaliseDrivers,
+  normaliseConstructors,
+  normaliseRaceResults,
+  normaliseQualifyingResults,
+  normaliseDriverStandings,
+  normaliseConstructorStandings,
+  standingsRound
+} from '../utils/f1Data.js';
+import { F1Error } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Client methods the sync needs; qualifying is optional
+const REQUIRED_METHODS = ['getF1Races', 'getF1Drivers', 'getF1Constructors', 'getF1RaceResults',
+  'getF1DriverStandings', 'getF1ConstructorStandings'];
+
+function payloadSource(payload) {
+  return payload?._provenance?.source || 'live';
+}
+
+// Mock data, or fixtures served because a live fetch failed
+function isFallback(payload) {
+  return payload?._provenance?.fallback === true || payloadSource(payload) === 'mock';
+}
+
+/**
+ * Refuse to store a payload the data source fell back to
+ */
+function storable(payload, dataset, season, round = null) {
+  if (isFallback(payload)) {
+    throw new F1Error(
+      `F1 data source fell back to ${payloadSource(payload)} data for ${dataset}`,
+      'WAREHOUSE_FALLBACK_DATA',
+      { dataset, season, round, source: payloadSource(payload) }
+    );
+  }
+  return payload;
+}
+
+export class F1WarehouseSync {
+  constructor(warehouse, client, options = {}) {
+    this.warehouse = warehouse;
+    this.client = client;
+    this.options = {
+      schedule: options.schedule || process.env.F1_WAREHOUSE_SYNC_CRON || '0 */6 * * *',
+      historyFrom: options.historyFrom || parseInt(process.env.F1_WAREHOUSE_HISTORY_FROM) || null,
+      // Live season bounds from the adapter
+      getSeasonBounds: options.getSeasonBounds || (() => ({ min: 1950, current: new Date().getFullYear() })),
+      ...options
+    };
+
+    this.task = null;
+    this.running = null;
+    this.stopped = false;
+    this.stats = {
+      runs: 0,
+      seasonsSynced: 0,
+      roundsSynced: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  canSync() {
+    return REQUIRED_METHODS.every(method => typeof this.client[method] === 'function');
+  }
+
+  /**
+   * Sync history once in the background, then the current season on schedule
+   */
+  start() {
+    if (!this.canSync()) {
+      logger.warn('F1 warehouse sync disabled: MCP client has no getF1* convenience methods');
+      return false;
+    }
+
+    this.task = cron.schedule(this.options.schedule, () => this.run(() => this.syncCurrentSeason()), {
+      name: 'f1-warehouse-sync',
+      noOverlap: true
+    });
+
+    this.run(async () => {
+      await this.syncHistory();
+      await this.syncCurrentSeason();
+    });
+
+    logger.info('F1 warehouse sync started', { schedule: this.options.schedule });
+    return true;
+  }
+
+  /**
+   * One sync at a time; errors are recorded, not thrown
+   */
+  run(work) {
+    if (!this.running) {
+      this.running = work()
+        .catch(error => {
+          this.stats.lastError = error.message;
+          logger.error('F1 warehouse sync failed', { error: error.message });
+        })
+        .finally(() => {
+          this.stats.runs++;
+          this.stats.lastRunAt = new Date().toISOString();
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Sync every past season not yet marked complete
+   */
+  async syncHistory() {
+    const { min, current } = this.options.getSeasonBounds();
+    const from = Math.max(this.options.historyFrom || min, min);
+
+    for (let season = from; season < current && !this.stopped; season++) {
+      if (await this.warehouse.isSeasonComplete(season)) {
+        continue;
+      }
+
+      try {
+        // Complete only when every past round was stored
+        const { failed, pending } = await this.syncSeason(season);
+        if (failed === 0 && pending === 0 && !this.stopped) {
+          await this.warehouse.markSeasonComplete(season);
+        }
+      } catch (error) {
+        // Left incomplete, so the next startup retries it
+        this.stats.failures++;
+        logger.warn('F1 warehouse season sync failed', { season, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Fetch the current season's rounds that have run since the last sync
+   */
+  async syncCurrentSeason() {
+    return this.syncSeason(this.options.getSeasonBounds().current, { incremental: true });
+  }
+
+  /**
+   * Sync a season's schedule, entrants, results, qualifying and standings.
+   * Incremental syncs skip rounds already stored. Mock and fallback data is
+   * never stored: those rounds count as failed and are retried next run.
+   * Past rounds without results yet are counted as pending.
+   */
+  async syncSeason(season, { incremental = false } = {}) {
+    const summary = { season, rounds: 0, pending: 0, failed: 0 };
+
+    const racesPayload = await this.client.getF1Races(season);
+    if (isFallback(racesPayload)) {
+      logger.warn('F1 warehouse sync skipped: data source fell back to non-live data', {
+        season,
+        source: payloadSource(racesPayload)
+      });
+      return { ...summary, failed: 1 };
+    }
+
+    const races = normaliseRaces(racesPayload);
+    await this.warehouse.saveSchedule(season, races, payloadSource(racesPayload));
+
+    const driversPayload = storable(await this.client.getF1Drivers(season), 'drivers', season);
+    await this.warehouse.saveDrivers(season, normaliseDrivers(driversPayload), payloadSource(driversPayload));
+
+    const constructorsPayload = storable(await this.client.getF1Constructors(season), 'constructors', season);
+    await this.warehouse.saveConstructors(season, normaliseConstructors(constructorsPayload), payloadSource(constructorsPayload));
+
+    const synced = incremental ? await this.warehouse.getSyncedRounds('results', season) : new Set();
+    const today = new Date().toISOString().slice(0, 10);
+
+    for (const race of races) {
+      if (this.stopped) {
+        return summary;
+      }
+      if (synced.has(race.round) || (race.date && race.date > today)) {
+        continue;
+      }
+
+      try {
+        if (await this.syncRound(season, race.round)) {
+          summary.rounds++;
+        } else {
+          summary.pending++;
+        }
+      } catch (error) {
+        summary.failed++;
+        this.stats.failures++;
+        logger.warn('F1 warehouse round sync failed', { season, round: race.round, error: error.message });
+      }
+    }
+
+    if (summary.rounds > 0 || !incremental) {
+      const driverStandings = storable(await this.client.getF1DriverStandings(season), 'driver_standings', season);
+      await this.warehouse.saveDriverStandings(
+        season, standingsRound(driverStandings), normaliseDriverStandings(driverStandings), payloadSource(driverStandings)
+      );
+
+      const constructorStandings = storable(await this.client.getF1ConstructorStandings(season), 'constructor_standings', season);
+      await this.warehouse.saveConstructorStandings(
+        season, standingsRound(constructorStandings), normaliseConstructorStandings(constructorStandings), payloadSource(constructorStandings)
+      );
+    }
+
+    // Checked against the source even when nothing new was stored
+    if (summary.failed === 0 && !this.stopped) {
+      await this.warehouse.markChecked(season, this.datasets());
+    }
+
+    this.stats.seasonsSynced++;
+    this.stats.roundsSynced += summary.rounds;
+    logger.info('F1 warehouse season synced', summary);
+
+    return summary;
+  }
+
+  /**
+   * Datasets a season sync checks with this client
+   */
+  datasets() {
+    const datasets = ['schedule', 'drivers', 'constructors', 'results', 'driver_standings', 'constructor_standings'];
+    return typeof this.client.getF1QualifyingResults === 'function' ? [...datasets, 'qualifying'] : datasets;
+  }
+
+  /**
+   * Results and qualifying for one round; false when the round has no results
+   * yet. Throws when the source fell back to mock or fixture data.
+   */
+  async syncRound(season, round) {
+    const resultsPayload = storable(await this.client.getF1RaceResults(season, round), 'results', season, round);
+    const results = normaliseRaceResults(resultsPayload);
+    if (results.length === 0) {
+      return false;
+    }
+
+    if (typeof this.client.getF1QualifyingResults === 'function') {
+      const qualifyingPayload = storable(await this.client.getF1QualifyingResults(season, round), 'qualifying', season, round);
+      await this.warehouse.saveQualifying(
+        season, round, normaliseQualifyingResults(qualifyingPayload), payloadSource(qualifyingPayload)
+      );
+    }
+
+    // Results last: they mark the round as synced for incremental runs
+    await this.warehouse.saveResults(season, round, results, payloadSource(resultsPayload));
+    return true;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      schedule: this.options.schedule,
+      running: Boolean(this.running),
+      nextRunAt: this.task?.getNextRun()?.toISOString() || null
+    };
+  }
+
+  /**
+   * Stop the schedule; a sync in progress finishes its current round
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.task) {
+      await this.task.destroy();
+      this.task = null;
+    }
+    await this.running;
+  }
+}
+
+export default F1WarehouseSync;
@@ -3,13 +3,52 @@
  * Comprehensive testing suite using Node.js built-in test runner
  */
 
-import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import { test, describe, after, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
 import { setTimeout } from 'node:timers/promises';
+import { EventEmitter, once } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import ModernF1LangGraphApp from '../src/app.js';
 import ModernF1Server from '../src/server.js';
 import ModernF1StateManager from '../src/state/graphState.js';
 import ModernF1LangGraphAdapter from '../src/adapters/langGraphAdapter.js';
+import ModernDriverPerformanceAgent from '../src/agents/driverPerformanceAgent.js';
+import ModernBaseAgent from '../src/agents/baseAgent.js';
+import ModernRaceStrategyAgent from '../src/agents/raceStrategyAgent.js';
+import { StrategySimulator } from '../src/tools/strategySimulator.js';
+import { ChampionshipSimulator, simulateChampionship, maxRemainingPoints } from '../src/tools/championshipSimulator.js';
+import { ModernMultiAgentOrchestrator, parseJsonResponse, resolveAgentType } from '../src/agents/multiAgentOrchestrator.js';
+import F1EntityResolver from '../src/utils/entityResolver.js';
+import SimpleF1MCPClient from '../src/adapters/simpleMcpClient.js';
+import F1FixtureStore from '../src/adapters/fixtureStore.js';
+import { jsonSchemaToZod } from '../src/utils/jsonSchemaToZod.js';
+import { HistoricalNormaliser, normaliseSeason, pointsSystemForSeason } from '../src/tools/historicalNormaliser.js';
+import { AIMessage, ToolMessage } from '@langchain/core/messages';
+import { tool } from '@langchain/core/tools';
+import { FakeStreamingChatModel } from '@langchain/core/utils/testing';
+import express from 'express';
+import { WebSocket } from 'ws';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { SubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { F1BatchFetcher, expandBatchRequests } from '../src/tools/batchFetcher.js';
+import { ToolOutputShaper, flattenRows, countTokens } from '../src/utils/toolOutputShaper.js';
+import { F1Warehouse } from '../src/warehouse/f1Warehouse.js';
+import { normaliseRaces, normaliseRaceResults, normaliseDriverStandings } from '../src/utils/f1Data.js';
+import { F1WarehouseSync } from '../src/warehouse/warehouseSync.js';
+import ModernStreamingHandler from '../src/streaming/streamingHandler.js';
+import { StreamEventBuffer } from '../src/streaming/eventBuffer.js';
+import { STREAM_SCHEMA_VERSION, formatStreamEvent } from '../src/streaming/eventSchema.js';
+import { createWarehouseQueryTool } from '../src/tools/warehouseQuery.js';
+import { PromptLoader } from '../src/prompts/prompt-loader.js';
+import { ToolResultCache, cacheKey, cacheTtl, DEFAULT_CACHE_TTLS } from '../src/cache/toolResultCache.js';
+import ModernF1MCPClient from '../src/adapters/mcpClient.js';
+import McpServerRegistry from '../src/adapters/mcpServerRegistry.js';
+import { F1ErrorHandler, F1Error, globalErrorHandler, cancellationError } from '../src/utils/errorHandler.js';
 
 describe('Modern F1 LangGraph Application Integration Tests', () => {
   let app;
@@ -135,6 +174,19 @@ describe('Modern F1 LangGraph Application Integration Tests', () => {
       );
     });
 
+    test('should checkpoint state updates and restore from them', async () => {
+      const threadId = 'test-thread-checkpoint';
+      stateManager.createInitialState('Test query', threadId);
+      await stateManager.updateState(threadId, { currentStep: 'agent_routing' });
+
+      const checkpointId = await stateManager.createCheckpoint(threadId, stateManager.getState(threadId));
+      stateManager.activeThreads.delete(threadId);
+
+      const restored = await stateManager.restoreFromCheckpoint(threadId, checkpointId);
+      assert.strictEqual(restored.currentStep, 'agent_routing');
+      assert.strictEqual(restored.query, 'Test query');
+    });
+
     test('should add analysis results correctly', async () => {
       const query = 'Test query';
       const threadId = 'test-thread-results';
@@ -499,46 +551,2652 @@ describe('Modern F1 Server Integration Tests', () => {
   });
 });
 
-// Utility functions for testing
-export const testHelpers = {
-  createMockF1Data: () => ({
-    seasons: [
-      { year: 2023, races: 23 },
-      { year: 2022, races: 22 }
-    ],
-    drivers: [
-      { name: 'Max Verstappen', team: 'Red Bull Racing' },
-      { name: 'Lewis Hamilton', team: 'Mercedes' }
-    ],
-    constructors: [
-      { name: 'Red Bull Racing', championships: 6 },
-      { name: 'Mercedes', championships: 8 }
-    ]
-  }),
+describe('Driver Performance Agent Tests', () => {
+  let agent;
 
-  createMockAnalysisResult: (agentType = 'season_analysis') => ({
-    agentType,
-    result: `Mock ${agentType} analysis result`,
-    confidence: 0.85,
-    insights: ['insight1', 'insight2'],
-    dataSources: ['f1_seasons', 'f1_drivers'],
-    metadata: {
-      duration: 1500,
-      timestamp: Date.now()
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    agent = new ModernDriverPerformanceAgent({ enableStreaming: false });
+  });
+
+  test('should extract structured career, teammate and circuit metrics', async () => {
+    const analysisText = 'Hamilton has 105 wins, 104 pole positions and 7 championships. ' +
+      'He beat his teammate 15-7 in qualifying during 2022. ' +
+      'At Silverstone he took 9 wins, more than any other driver at the British Grand Prix.';
+
+    const processed = await agent.postProcessDriverAnalysis(
+      { success: true, result: analysisText, messages: [] },
+      'How good is Hamilton?'
+    );
+
+    const { metrics } = processed.analysis;
+    assert.strictEqual(metrics.career.wins.value, 105);
+    assert.strictEqual(metrics.career.poles.value, 104);
+    assert.strictEqual(metrics.career.championships.value, 7);
+    assert.deepStrictEqual(metrics.teammate.headToHeadTotals, { for: 15, against: 7 });
+    assert.strictEqual(metrics.teammate.comparisons[0].session, 'qualifying');
+    assert.ok(metrics.circuits.some(c => c.circuit === 'Silverstone' && c.metrics.wins === 9));
+    assert.strictEqual(processed.analysis.analysisType, 'driver_performance');
+  });
+
+  test('should route driver performance queries to the driver agent', () => {
+    const app = new ModernF1LangGraphApp({ llmProvider: 'mock' });
+
+    assert.strictEqual(app.routingCondition({ agentType: 'driver_performance', errors: [] }), 'driver_performance');
+    assert.strictEqual(app.routingCondition({ agentType: 'driver_performance', errors: ['boom'] }), 'error');
+  });
+});
+
+describe('Race Strategy Simulator Tests', () => {
+  const savedApiKey = process.env.OPENAI_API_KEY;
+
+  after(() => {
+    if (savedApiKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = savedApiKey;
     }
-  }),
+  });
 
-  createMockUserContext: () => ({
-    userId: 'test-user-123',
-    preferences: {
-      language: 'en',
-      units: 'metric'
+  test('should rank strategies deterministically', () => {
+    const simulator = new StrategySimulator();
+
+    const first = simulator.simulate({ circuit: 'silverstone' });
+    const second = simulator.simulate({ circuit: 'Silverstone Circuit' });
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.circuit.id, 'silverstone');
+    assert.deepStrictEqual(Object.keys(first.bestByStops), ['1', '2', '3']);
+    assert.strictEqual(first.rankedPlans[0].rank, 1);
+    assert.strictEqual(first.rankedPlans[0].deltaToBest, 0);
+
+    first.rankedPlans.forEach(plan => {
+      assert.ok(new Set(plan.compounds).size >= 2, 'plans must use two compounds');
+      assert.strictEqual(plan.stints.reduce((sum, stint) => sum + stint.laps, 0), 52);
+    });
+  });
+
+  test('should resolve circuits by whole-word names and aliases only', () => {
+    const simulator = new StrategySimulator();
+    const resolve = name => simulator.resolveCircuit(name).id;
+
+    assert.strictEqual(resolve('Abu Dhabi'), 'yas_marina');
+    assert.strictEqual(resolve('Marina Bay'), 'marina_bay');
+    assert.strictEqual(resolve('São Paulo Grand Prix'), 'interlagos');
+    assert.strictEqual(resolve('Circuit of the Americas'), 'americas');
+    assert.strictEqual(resolve('Red Bull Ring'), 'red_bull_ring');
+    assert.strictEqual(resolve('a'), 'generic');
+    assert.strictEqual(resolve('ma'), 'generic');
+    assert.strictEqual(resolve('Circuit'), 'generic');
+  });
+
+  test('should favour fewer stops at low-overtaking circuits and respond to pit loss', () => {
+    const simulator = new StrategySimulator();
+
+    assert.strictEqual(simulator.simulate({ circuit: 'monaco' }).recommended.stops, 1);
+
+    const cheapStops = simulator.simulate({ circuit: 'catalunya', pitLossSeconds: 10, trafficLossSeconds: 0 });
+    const dearStops = simulator.simulate({ circuit: 'catalunya', pitLossSeconds: 40 });
+    assert.ok(cheapStops.recommended.stops >= dearStops.recommended.stops);
+  });
+
+  test('should attach simulator output to race strategy results', async () => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    const agent = new ModernRaceStrategyAgent({ enableStreaming: false });
+    const simulation = new StrategySimulator().simulate({ circuit: 'monza' });
+
+    const processed = await agent.postProcessStrategyAnalysis({
+      success: true,
+      result: 'A one-stop is fastest.',
+      messages: [
+        new AIMessage({
+          content: '',
+          tool_calls: [{ id: 'call_1', name: 'simulate_race_strategy', args: { circuit: 'monza' } }]
+        }),
+        new ToolMessage({ content: JSON.stringify(simulation), tool_call_id: 'call_1', name: 'simulate_race_strategy' })
+      ]
+    }, 'Best strategy at Monza?');
+
+    assert.strictEqual(processed.analysis.grounded, true);
+    assert.deepStrictEqual(processed.analysis.recommendedPlans[0].recommended, simulation.recommended);
+    assert.deepStrictEqual(processed.analysis.dataSources, ['simulate_race_strategy']);
+  });
+});
+
+describe('Championship Simulator Tests', () => {
+  const drivers = [
+    { id: 'verstappen', name: 'Max Verstappen', constructorId: 'red_bull', points: 300, position: 1, form: [1, 1, 2, 1, 1] },
+    { id: 'norris', name: 'Lando Norris', constructorId: 'mclaren', points: 270, position: 2, form: [2, 1, 1, 3, 2] },
+    { id: 'leclerc', name: 'Charles Leclerc', constructorId: 'ferrari', points: 200, position: 3, form: [3, 4, null, 2, 3] }
+  ];
+
+  test('should reproduce identical probabilities for the same seed', () => {
+    const first = simulateChampionship({ drivers, remainingRounds: 5, iterations: 2000, seed: 7 });
+    const second = simulateChampionship({ drivers, remainingRounds: 5, iterations: 2000, seed: 7 });
+
+    assert.deepStrictEqual(first, second);
+    const total = first.drivers.reduce((sum, driver) => sum + driver.titleProbability, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    first.drivers.forEach(driver => {
+      assert.ok(driver.titleProbabilityCI95[0] <= driver.titleProbability);
+      assert.ok(driver.titleProbabilityCI95[1] >= driver.titleProbability);
+    });
+  });
+
+  test('should give a clinched title probability 1 and flag eliminated drivers', () => {
+    const result = simulateChampionship({ drivers, remainingRounds: 1, iterations: 1000, seed: 1 });
+
+    assert.strictEqual(result.drivers[0].id, 'verstappen');
+    assert.strictEqual(result.drivers[0].titleProbability, 1);
+    assert.strictEqual(result.drivers.find(d => d.id === 'leclerc').mathematicallyEliminated, true);
+  });
+
+  test('should let a team close the gap with a one-two each round', () => {
+    const result = simulateChampionship({
+      drivers: [
+        { id: 'verstappen', constructorId: 'red_bull', points: 100, position: 1, form: [1] },
+        { id: 'norris', constructorId: 'mclaren', points: 40, position: 2, form: [2] },
+        { id: 'piastri', constructorId: 'mclaren', points: 40, position: 3, form: [3] }
+      ],
+      constructors: [
+        { id: 'red_bull', name: 'Red Bull', points: 160 },
+        { id: 'mclaren', name: 'McLaren', points: 120 }
+      ],
+      remainingRounds: 1,
+      iterations: 100
+    });
+
+    assert.deepStrictEqual(result.maxPointsAvailable, { drivers: 25, constructors: 43 });
+    // 40 behind: out of reach of one win, not of one one-two
+    assert.strictEqual(result.constructors.find(team => team.id === 'mclaren').mathematicallyEliminated, false);
+    assert.strictEqual(result.drivers.find(driver => driver.id === 'norris').mathematicallyEliminated, true);
+  });
+
+  test('should count sprint and fastest-lap points still available', async () => {
+    const weekends = [{ round: 21, sprint: true }, { round: 22, sprint: false }];
+
+    assert.deepStrictEqual(maxRemainingPoints(2023, weekends), { drivers: 34 + 26, constructors: 59 + 44 });
+    assert.deepStrictEqual(maxRemainingPoints(2025, weekends), { drivers: 33 + 25, constructors: 58 + 43 });
+    assert.deepStrictEqual(maxRemainingPoints(2018, weekends), { drivers: 50, constructors: 86 });
+    // A schedule that marks no sprints could still have them
+    assert.deepStrictEqual(maxRemainingPoints(2025, weekends, undefined, { sprintsListed: false }), { drivers: 66, constructors: 116 });
+
+    // 30 behind with a sprint weekend left: out of reach of a win, not of a win, sprint win and fastest lap
+    const fetchTool = async (toolName) => {
+      if (toolName === 'get_f1_driver_standings') {
+        return { standings: [{ position: 1, points: 400, driverId: 'verstappen' }, { position: 2, points: 370, driverId: 'perez' }], round: 21 };
+      }
+      if (toolName === 'get_f1_races') {
+        return { MRData: { RaceTable: { Races: Array.from({ length: 22 }, (_, index) => ({
+          round: String(index + 1), raceName: `Race ${index + 1}`, ...(index === 21 ? { Sprint: { date: '2023-11-25' } } : {})
+        })) } } };
+      }
+      return { standings: [], results: [] };
+    };
+
+    const prediction = await new ChampionshipSimulator(fetchTool, { iterations: 1000 }).predict({ year: 2023 });
+    assert.strictEqual(prediction.remainingRounds, 1);
+    assert.deepStrictEqual(prediction.maxPointsAvailable, { drivers: 34, constructors: 59 });
+    assert.strictEqual(prediction.drivers.find(driver => driver.id === 'perez').mathematicallyEliminated, false);
+  });
+
+  test('should gather Ergast-shaped standings and results through F1 tools', async () => {
+    const standings = {
+      MRData: {
+        StandingsTable: {
+          StandingsLists: [{
+            round: '22',
+            DriverStandings: drivers.map((driver, index) => ({
+              position: String(index + 1),
+              points: String(driver.points),
+              Driver: { driverId: driver.id, givenName: 'Test', familyName: driver.id },
+              Constructors: [{ constructorId: driver.constructorId, name: driver.constructorId }]
+            }))
+          }]
+        }
+      }
+    };
+    const calls = [];
+    const fetchTool = async (toolName, params) => {
+      calls.push(toolName);
+      if (toolName === 'get_f1_driver_standings') return standings;
+      if (toolName === 'get_f1_constructor_standings') return { standings: [] };
+      if (toolName === 'get_f1_races') {
+        return { races: Array.from({ length: 24 }, (_, index) => ({ round: index + 1, name: `Race ${index + 1}` })) };
+      }
+      return { results: drivers.map((driver, index) => ({ position: index + 1, driverId: driver.id, status: 'Finished' })) };
+    };
+
+    const prediction = await new ChampionshipSimulator(fetchTool, { iterations: 1000 }).predict({ year: 2026 });
+
+    assert.strictEqual(prediction.completedRounds, 22);
+    assert.strictEqual(prediction.remainingRounds, 2);
+    assert.strictEqual(calls.filter(name => name === 'get_f1_race_results').length, 5);
+    assert.deepStrictEqual(prediction.constructors.map(team => team.id).sort(), ['ferrari', 'mclaren', 'red_bull']);
+  });
+});
+
+describe('Historical Normaliser Tests', () => {
+  const result = (id, constructorId, position, extra = {}) => ({
+    id, name: id, constructorId, position, points: 0, fastestLapRank: null, classified: true, ...extra
+  });
+
+  test('should map seasons to the points system in force', () => {
+    assert.strictEqual(pointsSystemForSeason(1955), '1950');
+    assert.strictEqual(pointsSystemForSeason(1988), '1961');
+    assert.strictEqual(pointsSystemForSeason(2008), '2003');
+    assert.strictEqual(pointsSystemForSeason(2021), '2019');
+    assert.strictEqual(pointsSystemForSeason(2026), '2025');
+  });
+
+  test('should rescore results and compute era-relative metrics', () => {
+    const races = [
+      [result('fangio', 'mercedes', 1, { fastestLapRank: 1 }), result('moss', 'mercedes', 2), result('ascari', 'lancia', 3)],
+      [result('moss', 'mercedes', 1), result('fangio', 'mercedes', 2, { classified: false, status: 'Engine' }), result('ascari', 'lancia', 2)]
+    ];
+
+    const modern = normaliseSeason(races, '2010');
+    const fangio = modern.standings.find(entry => entry.id === 'fangio');
+    assert.strictEqual(fangio.rescoredPoints, 25);
+    assert.strictEqual(fangio.winShare, 0.5);
+    assert.strictEqual(fangio.teammateBeatRate, 0.5);
+    assert.strictEqual(modern.totalPointsAwarded, 25 + 18 + 15 + 25 + 18);
+
+    // 1950s scale awards the fastest lap point
+    const classic = normaliseSeason(races, '1950');
+    assert.strictEqual(classic.standings.find(entry => entry.id === 'fangio').rescoredPoints, 9);
+  });
+
+  test('should classify results by positionText alone', () => {
+    const results = normaliseRaceResults({
+      Results: [
+        { position: '1', positionText: '1', points: '25', status: 'Finished', Driver: { driverId: 'alonso' } },
+        { position: '12', positionText: '12', points: '0', status: 'Engine', Driver: { driverId: 'stroll' } },
+        { position: '20', positionText: 'R', points: '0', status: 'Accident', Driver: { driverId: 'sargeant' } },
+        { position: '21', positionText: 'D', points: '0', status: 'Disqualified', Driver: { driverId: 'hamilton' } }
+      ]
+    });
+
+    assert.deepStrictEqual(results.map(entry => [entry.id, entry.classified]), [
+      ['alonso', true], ['stroll', true], ['sargeant', false], ['hamilton', false]
+    ]);
+  });
+
+  test('should fetch Ergast-shaped seasons and aggregate driver careers', async () => {
+    const fetchTool = async (toolName, params) => {
+      if (toolName === 'get_f1_races') {
+        return { MRData: { RaceTable: { Races: [{ round: '1', raceName: 'Race 1' }, { round: '2', raceName: 'Race 2' }] } } };
+      }
+      if (params.round === 2) {
+        return { MRData: { RaceTable: { Races: [] } } };
+      }
+      return {
+        MRData: {
+          RaceTable: {
+            Races: [{
+              Results: [
+                { position: '1', positionText: '1', points: '8', status: 'Finished', Driver: { driverId: 'fangio', givenName: 'Juan Manuel', familyName: 'Fangio' }, Constructor: { constructorId: 'mercedes', name: 'Mercedes' } },
+                { position: '2', positionText: 'R', points: '0', status: 'Engine', Driver: { driverId: 'moss', givenName: 'Stirling', familyName: 'Moss' }, Constructor: { constructorId: 'mercedes', name: 'Mercedes' } }
+              ]
+            }]
+          }
+        }
+      };
+    };
+
+    const comparison = await new HistoricalNormaliser(fetchTool).normalise({ seasons: [1955], drivers: ['fangio'] });
+
+    assert.strictEqual(comparison.rescoredUnder.id, '2010');
+    assert.strictEqual(comparison.seasons[0].races, 1);
+    assert.strictEqual(comparison.seasons[0].nativeSystem, '1950');
+    assert.strictEqual(comparison.seasons[0].standings[0].rescoredPoints, 25);
+    assert.strictEqual(comparison.careers[0].winShare, 1);
+    assert.strictEqual(comparison.careers[0].teammateBeatRate, 1);
+  });
+
+  test('should route cross-era questions to the historical comparison agent', async () => {
+    const app = new ModernF1LangGraphApp();
+    const state = await app.analyzeQuery({ query: 'Fangio vs Hamilton: who is the greatest?', errors: [], metadata: {} });
+
+    assert.strictEqual(state.agentType, 'historical_comparison');
+    assert.strictEqual(app.routingCondition(state), 'historical_comparison');
+  });
+});
+
+describe('Multi-Agent Orchestrator Tests', () => {
+  const createOrchestratedApp = async (responses) => {
+    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+    const app = new ModernF1LangGraphApp({ agentTimeout: 50, enableStreaming: false });
+
+    app.orchestrator = new ModernMultiAgentOrchestrator();
+    await app.orchestrator.initialize();
+    app.orchestrator.llm = { invoke: async () => ({ content: responses.shift() }) };
+
+    app.agents = {
+      driverPerformance: {
+        analyzeDriver: async (query) => ({ result: `Driver view: ${query}`, analysis: { confidence: 0.8 } })
+      },
+      raceStrategy: {
+        analyzeStrategy: () => new Promise(() => {})
+      }
+    };
+    await app.initializeWorkflowGraph();
+    return app;
+  };
+
+  test('should resolve agent names written by the LLM', () => {
+    assert.strictEqual(resolveAgentType('Driver Performance Agent'), 'driverPerformance');
+    assert.strictEqual(resolveAgentType('championship'), 'championshipPredictor');
+    assert.strictEqual(resolveAgentType('Historical Comparison Agent'), 'historicalComparison');
+    assert.strictEqual(resolveAgentType('weather'), null);
+    assert.deepStrictEqual(parseJsonResponse('Plan:\n```json\n{"a": 1}\n```'), { a: 1 });
+  });
+
+  test('should route multi-topic queries to the orchestrator', async () => {
+    const app = new ModernF1LangGraphApp();
+    const state = await app.analyzeQuery({ query: 'Compare driver performance with race strategy at Monza', errors: [], metadata: {} });
+
+    assert.strictEqual(state.agentType, 'multi_agent');
+    assert.deepStrictEqual(state.candidateAgents, ['driverPerformance', 'raceStrategy']);
+    assert.strictEqual(app.routingCondition(state), 'orchestrator');
+  });
+
+  test('should run planned agents in parallel and record contributors, agreements and timeouts', async () => {
+    const app = await createOrchestratedApp([
+      JSON.stringify({
+        primaryAgent: 'driver',
+        secondaryAgents: ['race'],
+        complexity: 'complex',
+        requiresMultipleAgents: true,
+        extractedEntities: { drivers: [], teams: [], seasons: [], races: [] }
+      }),
+      JSON.stringify({
+        agents: [
+          { name: 'Race Strategy Agent', should_use: true, priority: 'medium', analysis_focus: 'pit windows' },
+          { name: 'Driver Performance Agent', should_use: true, priority: 'high', analysis_focus: 'qualifying pace' },
+          { name: 'Season Analysis Agent', should_use: false }
+        ],
+        reasoning: 'Driver and strategy questions'
+      }),
+      'Combined answer.\n```json\n{"agreements": [{"topic": "pace", "agents": ["driverPerformance", "unknown"]}], "conflicts": []}\n```'
+    ]);
+
+    const state = await app.workflowGraph.invoke(
+      { query: 'Compare driver performance with race strategy', threadId: 't1', userContext: {}, errors: [], agentResults: null },
+      { configurable: { thread_id: 't1' } }
+    );
+
+    assert.strictEqual(state.agentType, 'multi_agent');
+    assert.strictEqual(state.queryAnalysis.source, 'llm');
+    assert.deepStrictEqual(state.plan.agents.map(agent => agent.agentType), ['driverPerformance', 'raceStrategy']);
+    assert.strictEqual(state.agentResults.length, 2);
+    assert.strictEqual(state.result.result, 'Combined answer.');
+    assert.deepStrictEqual(state.result.analysis.contributors, ['driverPerformance']);
+    assert.deepStrictEqual(state.result.analysis.agreements, [{ topic: 'pace', agents: ['driverPerformance'] }]);
+    assert.strictEqual(state.result.analysis.failedAgents[0].agentType, 'raceStrategy');
+    assert.strictEqual(state.result.analysis.failedAgents[0].timedOut, true);
+  });
+
+  test('should fall back to keyword candidates when planning fails', async () => {
+    const orchestrator = new ModernMultiAgentOrchestrator();
+    orchestrator.llm = { invoke: async () => { throw new Error('LLM unavailable'); } };
+
+    const plan = await orchestrator.planAgents('query', ['driverPerformance', 'raceStrategy'], ['raceStrategy']);
+    assert.strictEqual(plan.source, 'fallback');
+    assert.deepStrictEqual(plan.agents.map(agent => agent.agentType), ['raceStrategy']);
+
+    const synthesis = await orchestrator.synthesizeResults('query', [
+      { agentType: 'raceStrategy', success: true, result: 'One-stop', confidence: 0.7 }
+    ]);
+    assert.strictEqual(synthesis.success, true);
+    assert.ok(synthesis.result.includes('One-stop'));
+    assert.strictEqual(synthesis.confidence, 0.7);
+  });
+
+  test('should keep the synthesis and its consensus block out of the token stream', async () => {
+    const orchestrator = new ModernMultiAgentOrchestrator();
+    const tags = [];
+    orchestrator.llm = {
+      invoke: async (messages, options) => {
+        tags.push(options.tags);
+        return { content: 'Combined answer.\n```json\n{"agreements": [], "conflicts": []}\n```' };
+      }
+    };
+
+    const synthesis = await orchestrator.synthesizeResults('query', [
+      { agentType: 'raceStrategy', success: true, result: 'One-stop', confidence: 0.7 },
+      { agentType: 'driverPerformance', success: true, result: 'Strong pace', confidence: 0.8 }
+    ]);
+    assert.strictEqual(synthesis.result, 'Combined answer.');
+    assert.deepStrictEqual(tags, [['nostream']]);
+  });
+});
+
+describe('Query Classifier Tests', () => {
+  const createClassifyingApp = (invoke) => {
+    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+    const app = new ModernF1LangGraphApp();
+    app.agents = { seasonAnalysis: {}, driverPerformance: {}, raceStrategy: {} };
+    app.orchestrator = new ModernMultiAgentOrchestrator();
+    app.orchestrator.llm = { invoke };
+    return app;
+  };
+
+  test('should route on the classifier and keep extracted entities', async () => {
+    const app = createClassifyingApp(async () => ({
+      content: '```json\n' + JSON.stringify({
+        primaryAgent: 'driver',
+        secondaryAgents: ['season', 'weather'],
+        queryType: 'driver season review',
+        complexity: 'simple',
+        requiresMultipleAgents: false,
+        extractedEntities: { drivers: ['Lewis Hamilton'], teams: ['Mercedes'], seasons: ['2019', 2020], races: [] }
+      }) + '\n```'
+    }));
+
+    const state = await app.analyzeQuery({ query: 'How did Hamilton do in 2019?', errors: [], metadata: {} });
+
+    assert.strictEqual(state.agentType, 'driver_performance');
+    assert.strictEqual(state.queryAnalysis.source, 'llm');
+    assert.deepStrictEqual(state.queryAnalysis.secondaryAgents, ['seasonAnalysis']);
+    assert.deepStrictEqual(state.queryAnalysis.entities.drivers, ['Lewis Hamilton']);
+    assert.deepStrictEqual(state.queryAnalysis.entities.seasons, [2019, 2020]);
+  });
+
+  test('should fall back to keyword routing when the classifier output is invalid', async () => {
+    const app = createClassifyingApp(async () => ({ content: '{"primaryAgent": "weather"}' }));
+
+    const state = await app.analyzeQuery({ query: 'How did the 2019 season unfold?', errors: [], metadata: {} });
+
+    assert.strictEqual(state.agentType, 'season_analysis');
+    assert.strictEqual(state.queryAnalysis.source, 'keywords');
+    assert.deepStrictEqual(state.queryAnalysis.entities.seasons, [2019]);
+  });
+});
+
+describe('Entity Resolver Tests', () => {
+  const rosters = {
+    2001: {
+      drivers: [
+        { driverId: 'michael_schumacher', code: 'MSC', givenName: 'Michael', familyName: 'Schumacher' },
+        { driverId: 'ralf_schumacher', code: 'RSC', givenName: 'Ralf', familyName: 'Schumacher' },
+        { driverId: 'hakkinen', code: 'HAK', givenName: 'Mika', familyName: 'Häkkinen' }
+      ],
+      constructors: [{ constructorId: 'ferrari', name: 'Ferrari' }, { constructorId: 'williams', name: 'Williams' }]
     },
-    session: {
-      id: 'session-456',
-      startTime: Date.now() - 300000 // 5 minutes ago
+    2021: {
+      drivers: [
+        { driverId: 'mick_schumacher', code: 'MSC', givenName: 'Mick', familyName: 'Schumacher' },
+        { driverId: 'max_verstappen', code: 'VER', givenName: 'Max', familyName: 'Verstappen' },
+        { driverId: 'perez', code: 'PER', givenName: 'Sergio', familyName: 'Pérez' }
+      ],
+      constructors: [
+        { constructorId: 'red_bull', name: 'Red Bull' },
+        { constructorId: 'ferrari', name: 'Ferrari' },
+        { constructorId: 'mercedes', name: 'Mercedes' }
+      ]
     }
-  })
-};
+  };
+
+  const createResolver = (calls = []) => new F1EntityResolver(async (toolName, params) => {
+    calls.push(`${toolName}:${params.year}`);
+    const roster = rosters[params.year];
+    if (!roster) throw new Error(`No roster for ${params.year}`);
+    return toolName === 'get_f1_drivers'
+      ? { MRData: { DriverTable: { Drivers: roster.drivers } } }
+      : { MRData: { ConstructorTable: { Constructors: roster.constructors } } };
+  }, { defaultSeason: 2021 });
+
+  test('should resolve nicknames, given names, aliases and typos to canonical IDs', async () => {
+    const calls = [];
+    const resolver = createResolver(calls);
+    const resolved = await resolver.resolve('', {
+      drivers: ['Max', 'Checo', 'Verstapen'],
+      teams: ['RBR', 'Scuderia'],
+      seasons: [2021]
+    });
+
+    assert.deepStrictEqual(resolved.drivers.map(entry => entry.id), ['max_verstappen', 'perez']);
+    assert.strictEqual(resolved.drivers[1].matchedBy, 'nickname');
+    assert.deepStrictEqual(resolved.constructors.map(entry => entry.id), ['red_bull', 'ferrari']);
+
+    // Season rosters are fetched once and cached
+    await resolver.resolve('', { drivers: ['Perez'], seasons: [2021] });
+    assert.deepStrictEqual(calls, ['get_f1_drivers:2021', 'get_f1_constructors:2021']);
+  });
+
+  test('should use season context to resolve or flag ambiguous names', async () => {
+    const resolver = createResolver();
+
+    const modern = await resolver.resolve('', { drivers: ['Schumacher'], seasons: [2021] });
+    assert.strictEqual(modern.drivers[0].id, 'mick_schumacher');
+
+    const classic = await resolver.resolve('', { drivers: ['Schumacher', 'Hakkinen'], seasons: [2001] });
+    assert.deepStrictEqual(classic.ambiguous[0].candidates.map(c => c.id).sort(), ['michael_schumacher', 'ralf_schumacher']);
+    assert.strictEqual(classic.drivers[0].id, 'hakkinen');
+  });
+
+  test('should scan free text when no entities were extracted', async () => {
+    const resolved = await createResolver().resolve('How did Max and Perez do for Red Bull, points per race?', { seasons: [] });
+
+    assert.deepStrictEqual(resolved.seasons, [2021]);
+    assert.deepStrictEqual(resolved.drivers.map(entry => entry.id), ['max_verstappen', 'perez']);
+    assert.deepStrictEqual(resolved.constructors.map(entry => entry.id), ['red_bull']);
+  });
+
+  test('should resolve single-word nicknames only when they were extracted as entities', async () => {
+    const resolver = createResolver();
+
+    const scanned = await resolver.resolve("What's at stake for Merc if Checo pits?", { seasons: [] });
+    assert.deepStrictEqual(scanned.drivers, []);
+    assert.deepStrictEqual(scanned.constructors, []);
+
+    const extracted = await resolver.resolve('', { drivers: ['Checo'], teams: ['Merc'], seasons: [2021] });
+    assert.deepStrictEqual(extracted.drivers.map(entry => entry.id), ['perez']);
+    assert.deepStrictEqual(extracted.constructors.map(entry => entry.id), ['mercedes']);
+
+    // Multi-word nicknames are distinctive enough to scan for
+    const phrase = await resolver.resolve('Can the Silver Arrows catch the Bulls?', { seasons: [] });
+    assert.deepStrictEqual(phrase.constructors.map(entry => entry.id).sort(), ['mercedes', 'red_bull']);
+  });
+
+  test('should pass resolved IDs to agents through graph state', async () => {
+    const app = new ModernF1LangGraphApp();
+    app.isInitialized = true;
+    app.entityResolver = createResolver();
+    // The LLM classifier extracts the nickname; free-text scans skip single-word ones
+    app.options.enableLlmClassifier = true;
+    app.orchestrator = {
+      classifyQuery: async (query) => ({ ...app.classifyByKeywords(query), entities: { drivers: ['Checo'], teams: [], seasons: [] } })
+    };
+
+    const state = await app.analyzeQuery({ query: 'How is Checo performing this season?', errors: [], metadata: {}, userContext: {} });
+    assert.strictEqual(state.resolvedEntities.drivers[0].id, 'perez');
+    assert.ok(app.buildAgentContext(state).resolvedEntities.includes('Checo -> perez'));
+  });
+});
+
+describe('F1 Data Mode Tests', () => {
+  let fixturesDir;
+  // Nothing listens on port 9, so upstream calls fail immediately
+  const unreachable = { serverUrl: 'http://127.0.0.1:9', timeout: 1000 };
+
+  beforeEach(async () => {
+    fixturesDir = await mkdtemp(path.join(os.tmpdir(), 'f1-fixtures-'));
+  });
+
+  afterEach(async () => {
+    await rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('should serve recorded fixtures with provenance in fixture mode', async () => {
+    const store = new F1FixtureStore({ fixturesDir });
+    await store.save('get_f1_race_results', { year: 2023, round: 5 }, { MRData: { RaceTable: { round: '5' } } });
+
+    const client = new SimpleF1MCPClient({ dataMode: 'fixture', fixturesDir });
+    await client.initialize();
+
+    const response = await client.invokeTool('get_f1_race_results', { round: 5, year: 2023 });
+    assert.strictEqual(response.provenance.source, 'fixture');
+    assert.strictEqual(response.provenance.fallback, false);
+    assert.strictEqual(client.extractContent(response)._provenance.source, 'fixture');
+
+    await assert.rejects(() => client.invokeTool('get_f1_race_results', { year: 2023, round: 6 }), { code: 'FIXTURE_NOT_FOUND' });
+    assert.strictEqual((await client.healthCheck()).fixtures.fixtureCount, 1);
+  });
+
+  test('should answer offline from the committed sample dataset', async () => {
+    const client = new SimpleF1MCPClient({ dataMode: 'fixture', fixturesDir: './fixtures/f1' });
+    await client.initialize();
+
+    const results = normaliseRaceResults(client.extractContent(await client.invokeTool('get_f1_race_results', { year: 2023, round: 1 })));
+    assert.strictEqual(results[0].id, 'max_verstappen');
+    assert.strictEqual(results[0].constructorId, 'red_bull');
+
+    const standings = normaliseDriverStandings(client.extractContent(await client.invokeTool('get_f1_driver_standings', { year: 2023 })));
+    assert.deepStrictEqual([standings[0].id, standings[0].points], ['max_verstappen', 575]);
+    assert.strictEqual(normaliseRaces(client.extractContent(await client.invokeTool('get_f1_races', { year: 2023 }))).length, 22);
+
+    // Every tool has a sample, and each is flagged as synthetic rather than recorded
+    const samples = {
+      get_f1_seasons: {},
+      get_current_f1_season: {},
+      get_f1_races: { year: 2023 },
+      get_f1_race_details: { year: 2023, round: 1 },
+      get_current_f1_race: {},
+      get_next_f1_race: {},
+      get_f1_drivers: { year: 2023 },
+      get_f1_driver_details: { driverId: 'alonso' },
+      get_f1_constructors: { year: 2023 },
+      get_f1_constructor_details: { constructorId: 'ferrari', year: 2023 },
+      get_f1_race_results: { year: 2023, round: 1 },
+      get_f1_qualifying_results: { year: 2023, round: 1 },
+      get_f1_driver_standings: { year: 2023, round: 1 },
+      get_f1_constructor_standings: { year: 2023 }
+    };
+    assert.deepStrictEqual(Object.keys(samples).sort(), client.getAvailableTools().map(entry => entry.name).sort());
+
+    for (const [toolName, parameters] of Object.entries(samples)) {
+      const { provenance } = await client.invokeTool(toolName, parameters);
+      assert.deepStrictEqual([toolName, provenance.synthetic, provenance.recordedAt], [toolName, true, null]);
+    }
+  });
+
+  test('should surface upstream failures in strict mode', async () => {
+    const client = new SimpleF1MCPClient({ ...unreachable, dataMode: 'strict', fixturesDir });
+
+    await assert.rejects(() => client.initialize(), { code: 'DATA_SOURCE_UNAVAILABLE' });
+    client.loadF1Tools();
+    await assert.rejects(() => client.invokeTool('get_f1_seasons', {}), { code: 'UPSTREAM_UNAVAILABLE' });
+    assert.strictEqual((await client.healthCheck()).status, 'unhealthy');
+  });
+
+  test('should flag live-mode fallbacks and report them per query', async () => {
+    const store = new F1FixtureStore({ fixturesDir });
+    await store.save('get_f1_drivers', { year: 2024 }, { drivers: [] });
+
+    const adapter = new ModernF1LangGraphAdapter({ ...unreachable, dataMode: 'live', fixturesDir, enableRetry: false });
+    adapter.mcpClient.loadF1Tools();
+
+    const { provenance } = await adapter.trackProvenance(async () => {
+      await adapter.invokeWithRetry('get_f1_drivers', { year: 2024 });
+      await adapter.invokeWithRetry('get_f1_seasons', {});
+    });
+
+    assert.deepStrictEqual(provenance.sources, ['fixture', 'mock']);
+    assert.strictEqual(provenance.nonLive, true);
+    assert.strictEqual((await adapter.mcpClient.healthCheck()).status, 'degraded');
+
+    const app = new ModernF1LangGraphApp();
+    assert.strictEqual(app.buildDataWarnings(provenance).length, 2);
+    assert.deepStrictEqual(app.buildDataWarnings({ sources: ['live'] }), []);
+  });
+});
+
+describe('Dynamic MCP Tool Schema Tests', () => {
+  let snapshotDir;
+
+  const serverTools = (overrides = {}) => [
+    {
+      name: 'get_f1_races',
+      description: 'List races',
+      inputSchema: {
+        type: 'object',
+        properties: { year: { type: 'integer', minimum: 1950, description: 'Season year' } },
+        required: ['year']
+      }
+    },
+    {
+      name: 'get_f1_pit_stops',
+      description: 'Pit stops for a race',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          year: { type: 'integer' },
+          round: { type: 'integer', minimum: 1 },
+          driverId: { type: ['string', 'null'] },
+          unit: { type: 'string', enum: ['ms', 's'], default: 's' }
+        },
+        required: ['year', 'round']
+      }
+    },
+    ...(overrides.extra || [])
+  ];
+
+  const adapterWithTools = (tools) => {
+    const adapter = new ModernF1LangGraphAdapter({ toolSnapshotPath: path.join(snapshotDir, 'tools.json') });
+    adapter.mcpClient.getAvailableTools = () => tools;
+    return adapter;
+  };
+
+  beforeEach(async () => {
+    snapshotDir = await mkdtemp(path.join(os.tmpdir(), 'f1-tool-schemas-'));
+  });
+
+  afterEach(async () => {
+    await rm(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('should convert JSON Schema to zod', () => {
+    const schema = jsonSchemaToZod(serverTools()[1].inputSchema);
+
+    assert.deepStrictEqual(schema.parse({ year: 2024, round: 3 }), { year: 2024, round: 3, unit: 's' });
+    assert.strictEqual(schema.safeParse({ year: 2024, round: 0 }).success, false);
+    assert.strictEqual(schema.safeParse({ year: 2024.5, round: 1 }).success, false);
+    assert.strictEqual(schema.safeParse({ year: 2024, round: 1, driverId: null }).success, true);
+    assert.strictEqual(schema.safeParse({ year: 2024, round: 1, unit: 'h' }).success, false);
+  });
+
+  test('should build tools for every server tool with local description overrides', async () => {
+    const adapter = adapterWithTools(serverTools());
+    const tools = await adapter.createLangGraphTools();
+
+    assert.deepStrictEqual(tools.map(t => t.name), ['get_f1_races', 'get_f1_pit_stops']);
+    assert.strictEqual(adapter.getTool('get_f1_races').description, 'Get race schedule for a specific F1 season');
+    assert.strictEqual(adapter.getTool('get_f1_pit_stops').description, 'Pit stops for a race');
+    assert.strictEqual(adapter.getTool('get_f1_pit_stops').schema.safeParse({ year: 2024 }).success, false);
+  });
+
+  test('should report schema drift since the last startup', async () => {
+    await adapterWithTools(serverTools()).createLangGraphTools();
+
+    const changed = serverTools({ extra: [{ name: 'get_f1_sprint_results', inputSchema: { type: 'object' } }] })
+      .filter(t => t.name !== 'get_f1_races');
+    changed[0] = { ...changed[0], inputSchema: { ...changed[0].inputSchema, required: ['year'] } };
+
+    const adapter = adapterWithTools(changed);
+    await adapter.createLangGraphTools();
+
+    assert.deepStrictEqual(adapter.schemaDrift.added, ['get_f1_sprint_results']);
+    assert.deepStrictEqual(adapter.schemaDrift.removed, ['get_f1_races']);
+    assert.deepStrictEqual(adapter.schemaDrift.changed, [
+      { name: 'get_f1_pit_stops', descriptionChanged: false, schemaChanged: true }
+    ]);
+    assert.strictEqual(adapter.schemaDrift.hasDrift, true);
+  });
+});
+
+describe('Season Bounds Tests', () => {
+  let fixturesDir;
+
+  beforeEach(async () => {
+    fixturesDir = await mkdtemp(path.join(os.tmpdir(), 'f1-seasons-'));
+    const store = new F1FixtureStore({ fixturesDir });
+    await store.save('get_f1_seasons', {}, { MRData: { SeasonTable: { Seasons: [{ season: '1950' }, { season: '2025' }] } } });
+    await store.save('get_current_f1_season', {}, { season: '2026', races: 24 });
+  });
+
+  afterEach(async () => {
+    await rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('should take the season range from the data source and reject future seasons', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ dataMode: 'fixture', fixturesDir });
+    adapter.mcpClient.loadF1Tools();
+
+    const bounds = await adapter.refreshSeasonBounds();
+    assert.strictEqual(bounds.min, 1950);
+    assert.strictEqual(bounds.max, 2026);
+    assert.strictEqual(bounds.source, 'fixture');
+    assert.match(adapter.describeSeasonBounds(), /1950-2026/);
+
+    const racesTool = adapter.createTool('get_f1_races', adapter.getToolDefinitions().get_f1_races);
+    await assert.rejects(() => racesTool.invoke({ year: 2027 }), /Season 2027 does not exist yet/);
+    await assert.rejects(() => adapter.invokeWithRetry('get_f1_races', { year: 2027 }), { code: 'SEASON_OUT_OF_RANGE' });
+    assert.strictEqual(adapter.getToolDefinitions().get_f1_races.schema.safeParse({ year: 2026 }).success, true);
+  });
+
+  test('should keep the previous range when only mock data is available', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ serverUrl: 'http://127.0.0.1:9', timeout: 1000, dataMode: 'live', fixturesDir: os.tmpdir() });
+    adapter.mcpClient.loadF1Tools();
+
+    const bounds = await adapter.refreshSeasonBounds();
+    assert.strictEqual(bounds.source, 'default');
+    assert.strictEqual(bounds.max, new Date().getFullYear());
+  });
+
+  test('should return a validation error for queries about future seasons', () => {
+    const app = new ModernF1LangGraphApp();
+    app.f1Adapter.seasonBounds = { min: 1950, max: 2026, current: 2026 };
+
+    const analysis = app.classifyByKeywords('Analyze the 2030 season');
+    assert.match(app.validateQuerySeasons(analysis), /Season 2030 does not exist yet/);
+    assert.strictEqual(app.validateQuerySeasons(app.classifyByKeywords('Who will win the 2030 championship?')), null);
+    assert.strictEqual(app.validateQuerySeasons(app.classifyByKeywords('Analyze the 2026 season')), null);
+  });
+});
+
+describe('MCP Transport Tests', () => {
+  let mcpServer;
+  let client;
+
+  const fastReconnect = { reconnectBaseDelay: 10, reconnectAttempts: 3, timeout: 5000 };
+
+  afterEach(async () => {
+    await client?.disconnect();
+    await mcpServer?.close();
+    client = null;
+    mcpServer = null;
+  });
+
+  test('should negotiate Streamable HTTP when the server supports it', async () => {
+    mcpServer = await startTestMcpServer();
+    client = new ModernF1MCPClient({ serverUrl: mcpServer.url, ...fastReconnect });
+    await client.initialize();
+
+    assert.strictEqual(client.transportType, 'streamable-http');
+    assert.ok(client.getAvailableTools().find(t => t.name === 'get_f1_seasons').inputSchema);
+    assert.deepStrictEqual(client.extractContent(await client.invokeTool('get_f1_seasons')), { seasons: [{ season: '2026' }] });
+    assert.strictEqual((await client.healthCheck()).status, 'healthy');
+  });
+
+  test('should fall back to SSE for servers without Streamable HTTP', async () => {
+    mcpServer = await startTestMcpServer({ streamable: false });
+    client = new ModernF1MCPClient({ serverUrl: mcpServer.url, ...fastReconnect });
+    await client.initialize();
+
+    assert.strictEqual(client.transportType, 'sse');
+    assert.deepStrictEqual(client.extractContent(await client.invokeTool('get_f1_seasons')), { seasons: [{ season: '2026' }] });
+  });
+
+  for (const streamable of [true, false]) {
+    test(`should reconnect and replay safe in-flight calls (${streamable ? 'streamable-http' : 'sse'})`, async () => {
+      mcpServer = await startTestMcpServer({ streamable });
+      client = new ModernF1MCPClient({ serverUrl: mcpServer.url, ...fastReconnect });
+      await client.initialize();
+
+      // Drop every connection while the first call is in flight
+      mcpServer.state.onCall = (toolName, count) => {
+        if (count === 1) mcpServer.dropConnections();
+      };
+
+      const result = await client.invokeTool('get_f1_seasons');
+      assert.deepStrictEqual(client.extractContent(result), { seasons: [{ season: '2026' }] });
+      assert.strictEqual(mcpServer.state.calls.get_f1_seasons, 2);
+      assert.strictEqual(client.connectionStats.replayedCalls, 1);
+      assert.ok(client.connectionStats.reconnects >= 1);
+    });
+  }
+
+  test('should report a lost connection without waiting for the reconnect', async () => {
+    client = new ModernF1MCPClient({ serverUrl: 'http://127.0.0.1:9', reconnectBaseDelay: 500, reconnectAttempts: 2, timeout: 1000 });
+
+    const startTime = Date.now();
+    const health = await client.healthCheck();
+
+    assert.strictEqual(health.status, 'unhealthy');
+    assert.strictEqual(health.reconnecting, true);
+    // Answered before the first backoff delay is over
+    assert.ok(Date.now() - startTime < 500);
+    await assert.rejects(client.reconnecting, { code: 'MCP_RECONNECT_FAILED' });
+  });
+
+  test('should not replay calls that are not safe to repeat', async () => {
+    mcpServer = await startTestMcpServer();
+    client = new ModernF1MCPClient({ serverUrl: mcpServer.url, ...fastReconnect });
+    await client.initialize();
+
+    mcpServer.state.onCall = () => mcpServer.dropConnections();
+
+    await assert.rejects(() => client.invokeTool('set_f1_note', { note: 'x' }), { code: 'MCP_CONNECTION_LOST' });
+    assert.strictEqual(mcpServer.state.calls.set_f1_note, 1);
+    assert.strictEqual(client.isReplaySafe('get_f1_seasons'), true);
+  });
+});
+
+describe('MCP Server Registry Tests', () => {
+  let servers = [];
+  let registry;
+
+  afterEach(async () => {
+    await registry?.disconnect();
+    await Promise.all(servers.map(server => server.close()));
+    servers = [];
+    registry = null;
+  });
+
+  test('should namespace tools across servers and route calls to their owner', async () => {
+    servers = await Promise.all([startTestMcpServer(), startTestMcpServer(), startTestMcpServer()]);
+    const [f1, weather, notes] = servers;
+
+    registry = new McpServerRegistry({
+      servers: [
+        { name: 'f1', url: f1.url, primary: true },
+        { name: 'weather', url: weather.url },
+        { name: 'notes', url: notes.url, namespace: '' },
+        { name: 'offline', url: 'http://127.0.0.1:9', options: { reconnectAttempts: 1 } }
+      ]
+    }, { timeout: 5000 });
+    await registry.initialize();
+
+    assert.deepStrictEqual(registry.getAvailableTools().map(t => t.name).sort(), [
+      'get_f1_seasons', 'notes__get_f1_seasons', 'notes__set_f1_note',
+      'set_f1_note', 'weather__get_f1_seasons', 'weather__set_f1_note'
+    ]);
+    assert.strictEqual(registry.collisions.length, 2);
+    assert.match(registry.getAvailableTools().find(t => t.name === 'weather__get_f1_seasons').description, /^\[weather\]/);
+
+    const result = await registry.invokeTool('weather__get_f1_seasons');
+    assert.deepStrictEqual(registry.extractContent(result), { seasons: [{ season: '2026' }] });
+    assert.strictEqual(weather.state.calls.get_f1_seasons, 1);
+    assert.strictEqual(f1.state.calls.get_f1_seasons, undefined);
+
+    const health = await registry.healthCheck();
+    assert.strictEqual(health.status, 'degraded');
+    assert.strictEqual(health.servers.f1.status, 'healthy');
+    assert.strictEqual(health.servers.offline.status, 'unhealthy');
+    assert.strictEqual(health.servers.weather.toolCount, 2);
+  });
+
+  test('should reject collisions under the error policy', async () => {
+    servers = await Promise.all([startTestMcpServer(), startTestMcpServer()]);
+
+    registry = new McpServerRegistry({
+      onCollision: 'error',
+      servers: [
+        { name: 'f1', url: servers[0].url },
+        { name: 'mirror', url: servers[1].url, namespace: '' }
+      ]
+    }, { timeout: 5000 });
+
+    await assert.rejects(() => registry.initialize(), { code: 'MCP_TOOL_COLLISION' });
+  });
+
+  test('should retry a server that was down at startup and register its tools', async () => {
+    servers = await Promise.all([startTestMcpServer(), startTestMcpServer()]);
+
+    registry = new McpServerRegistry({
+      servers: [
+        { name: 'f1', url: servers[0].url, primary: true },
+        { name: 'weather', url: servers[1].url }
+      ]
+    }, { timeout: 5000 });
+
+    // The weather server is down for the first connection attempt only
+    const weather = registry.servers.get('weather');
+    const connect = weather.client.initialize.bind(weather.client);
+    weather.client.initialize = async () => {
+      weather.client.initialize = connect;
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    await registry.initialize();
+    assert.strictEqual(registry.getToolServer('weather__get_f1_seasons'), null);
+
+    const changes = [];
+    registry.on('toolListChanged', event => changes.push(event.server));
+
+    const health = await registry.healthCheck();
+    assert.strictEqual(health.servers.weather.status, 'unhealthy');
+    assert.strictEqual(health.servers.weather.retrying, true);
+
+    await weather.retrying;
+    assert.strictEqual(weather.status, 'connected');
+    assert.strictEqual(registry.getToolServer('weather__get_f1_seasons'), 'weather');
+    assert.strictEqual((await registry.healthCheck()).status, 'healthy');
+
+    // A reconnect or tools/list_changed reload re-registers the server's tools
+    weather.client.availableTools.set('get_f1_forecast', { name: 'get_f1_forecast', description: 'Race forecast' });
+    weather.client.emit('toolsLoaded', { toolCount: weather.client.availableTools.size });
+
+    assert.strictEqual(registry.getToolServer('weather__get_f1_forecast'), 'weather');
+    assert.deepStrictEqual(changes, ['weather', 'weather']);
+  });
+});
+
+describe('MCP Resources and Prompts Tests', () => {
+  let mcpServer;
+  let client;
+
+  afterEach(async () => {
+    await client?.disconnect();
+    await mcpServer?.close();
+    client = null;
+    mcpServer = null;
+  });
+
+  test('should cache resources until the server reports a change', async () => {
+    mcpServer = await startTestMcpServer({ streamable: false });
+    client = new ModernF1MCPClient({ serverUrl: mcpServer.url, timeout: 5000 });
+    await client.initialize();
+
+    const uri = 'f1://seasons/2026/summary';
+    assert.deepStrictEqual((await client.listResources()).map(r => r.uri), [uri]);
+    assert.strictEqual((await client.readResource(uri))[0].text, '2026 season summary v1');
+    assert.ok(client.subscriptions.has(uri));
+
+    mcpServer.state.summary = '2026 season summary v2';
+    assert.strictEqual((await client.readResource(uri))[0].text, '2026 season summary v1');
+    assert.strictEqual(mcpServer.state.reads, 1);
+
+    const updated = new Promise(resolve => client.once('resourceUpdated', resolve));
+    await mcpServer.state.notifyResourceUpdated(uri);
+    assert.deepStrictEqual(await updated, { uri });
+
+    assert.strictEqual((await client.readResource(uri))[0].text, '2026 season summary v2');
+    assert.strictEqual(mcpServer.state.reads, 2);
+  });
+
+  test('should select server prompts through the prompt loader', async () => {
+    mcpServer = await startTestMcpServer();
+    client = new ModernF1MCPClient({ serverUrl: mcpServer.url, timeout: 5000 });
+    await client.initialize();
+
+    const loader = new PromptLoader();
+    await loader.registerPromptSource(client);
+    assert.deepStrictEqual(loader.listServerPrompts().map(p => p.name), ['season_analyst']);
+
+    const localPrompt = await loader.getSystemPrompt('seasonAnalysis', 'executiveAnalyst');
+    loader.selectServerPrompt('seasonAnalysis', 'executiveAnalyst', 'season_analyst', { season: 2026 });
+    assert.strictEqual(await loader.getSystemPrompt('seasonAnalysis', 'executiveAnalyst'), 'You analyse the 2026 F1 season.');
+
+    loader.selectServerPrompt('seasonAnalysis', 'executiveAnalyst', 'missing_prompt');
+    assert.strictEqual(await loader.getSystemPrompt('seasonAnalysis', 'executiveAnalyst'), localPrompt);
+  });
+
+  test('should keep one prompt change listener across prompt source registrations', async () => {
+    const createSource = () => Object.assign(new EventEmitter(), { listPrompts: async () => [], getPrompt: async () => null });
+    const [first, second] = [createSource(), createSource()];
+    const loader = new PromptLoader();
+
+    await loader.registerPromptSource(first);
+    await loader.registerPromptSource(first);
+    assert.strictEqual(first.listenerCount('promptListChanged'), 1);
+
+    await loader.registerPromptSource(second);
+    assert.strictEqual(first.listenerCount('promptListChanged'), 0);
+    assert.strictEqual(second.listenerCount('promptListChanged'), 1);
+  });
+
+  test('should expose resources to agents as adapter tools', async () => {
+    mcpServer = await startTestMcpServer();
+    const snapshotDir = await mkdtemp(path.join(os.tmpdir(), 'f1-tool-schemas-'));
+    const adapter = new ModernF1LangGraphAdapter({
+      mcpClientType: 'sdk',
+      serverUrl: mcpServer.url,
+      timeout: 5000,
+      toolSnapshotPath: path.join(snapshotDir, 'tools.json')
+    });
+
+    try {
+      await adapter.initialize();
+
+      const resources = await adapter.getTool('list_mcp_resources').invoke({});
+      assert.strictEqual(resources[0].uri, 'f1://seasons/2026/summary');
+      assert.strictEqual(
+        await adapter.getTool('read_mcp_resource').invoke({ uri: 'f1://seasons/2026/summary' }),
+        '2026 season summary v1'
+      );
+    } finally {
+      await adapter.cleanup();
+      await rm(snapshotDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Tool Result Cache Tests', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'f1-tool-cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('should pick TTLs by how mutable the data is', () => {
+    assert.strictEqual(cacheTtl('get_f1_race_results', { year: 1988, round: 3 }, 2026), Infinity);
+    assert.strictEqual(cacheTtl('get_f1_race_results', { year: '2026', round: 3 }, 2026), DEFAULT_CACHE_TTLS.currentSeason);
+    assert.strictEqual(cacheTtl('get_next_f1_race', {}, 2026), DEFAULT_CACHE_TTLS.live);
+    assert.strictEqual(cacheTtl('ergast__get_current_f1_race', {}, 2026), DEFAULT_CACHE_TTLS.live);
+    assert.strictEqual(cacheTtl('ergast__get_f1_seasons', {}, 2026), DEFAULT_CACHE_TTLS.seasonList);
+    assert.strictEqual(cacheTtl('get_f1_driver_details', { driverId: 'senna' }, 2026), DEFAULT_CACHE_TTLS.undated);
+    assert.strictEqual(
+      cacheKey('get_f1_race_results', { round: '3', year: 1988, extra: undefined }),
+      cacheKey('get_f1_race_results', { year: 1988, round: 3 })
+    );
+  });
+
+  test('should serve from memory first and SQLite across restarts', async () => {
+    const dbPath = path.join(cacheDir, 'cache.sqlite');
+    const first = new ToolResultCache({ dbPath, getCurrentSeason: () => 2026 });
+    await first.set('get_f1_race_results', { year: 1988, round: 3 }, { winner: 'senna' }, { source: 'live' });
+    assert.deepStrictEqual((await first.get('get_f1_race_results', { year: 1988, round: 3 })).value, { winner: 'senna' });
+    await first.close();
+
+    const second = new ToolResultCache({ dbPath, getCurrentSeason: () => 2026 });
+    assert.deepStrictEqual((await second.get('get_f1_race_results', { round: 3, year: 1988 })).value, { winner: 'senna' });
+    await second.get('get_f1_race_results', { round: 3, year: 1988 });
+    assert.strictEqual(await second.get('get_f1_race_results', { year: 1988, round: 4 }), null);
+
+    const stats = await second.getStats();
+    assert.strictEqual(stats.sqliteHits, 1);
+    assert.strictEqual(stats.memoryHits, 1);
+    assert.strictEqual(stats.misses, 1);
+    assert.strictEqual(stats.sqliteEntries, 1);
+    await second.close();
+  });
+
+  test('should cache live adapter results only and report stats in analytics', async () => {
+    const app = new ModernF1LangGraphApp({ toolCache: { backend: 'memory' } });
+    const adapter = app.f1Adapter;
+    let calls = 0;
+    let source = 'live';
+
+    adapter.mcpClient.invokeTool = async () => {
+      calls++;
+      return { data: { races: [] }, provenance: { source, fallback: source !== 'live' } };
+    };
+
+    await adapter.invokeWithRetry('get_f1_races', { year: 1988 });
+    const { provenance } = await adapter.trackProvenance(() => adapter.invokeWithRetry('get_f1_races', { year: '1988' }));
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(provenance.sources, ['live']);
+
+    source = 'mock';
+    await adapter.invokeWithRetry('get_f1_races', { year: 1990 });
+    await adapter.invokeWithRetry('get_f1_races', { year: 1990 });
+    assert.strictEqual(calls, 3);
+
+    const analytics = await app.getAnalytics();
+    assert.strictEqual(analytics.toolCache.hits, 1);
+    assert.strictEqual(analytics.toolCache.byTool.get_f1_races.misses, 3);
+  });
+
+  test('should not cache error results or tools that are unsafe to replay', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { backend: 'memory' }, enableRetry: false });
+    const calls = {};
+    let isError = true;
+
+    adapter.mcpClient.isReplaySafe = toolName => toolName !== 'save_f1_note';
+    adapter.mcpClient.invokeTool = async toolName => {
+      calls[toolName] = (calls[toolName] || 0) + 1;
+      return { data: { ok: !isError }, isError, provenance: { source: 'live' } };
+    };
+
+    // A failed past-season call would otherwise be served for good
+    assert.deepStrictEqual(await adapter.invokeWithRetry('get_f1_races', { year: 1988 }), { ok: false });
+    isError = false;
+    assert.deepStrictEqual(await adapter.invokeWithRetry('get_f1_races', { year: 1988 }), { ok: true });
+    await adapter.invokeWithRetry('get_f1_races', { year: 1988 });
+    assert.strictEqual(calls.get_f1_races, 2);
+
+    await adapter.invokeWithRetry('save_f1_note', { note: 'box' });
+    await adapter.invokeWithRetry('save_f1_note', { note: 'box' });
+    assert.strictEqual(calls.save_f1_note, 2);
+  });
+});
+
+describe('Tool Call Coalescing Tests', () => {
+  test('should share one upstream call between identical concurrent calls', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { enabled: false } });
+    let calls = 0;
+
+    adapter.mcpClient.invokeTool = async (toolName, params) => {
+      calls++;
+      await setTimeout(20);
+      return { data: { standings: params.year }, provenance: { source: 'live' } };
+    };
+
+    const { value, provenance } = await adapter.trackProvenance(() => Promise.all([
+      ...Array.from({ length: 4 }, () => adapter.invokeWithRetry('get_f1_driver_standings', { year: 1988 })),
+      adapter.invokeWithRetry('get_f1_driver_standings', { year: '1988' }),
+      adapter.invokeWithRetry('get_f1_driver_standings', { year: 1989 })
+    ]));
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(value[0], value[4]);
+    assert.strictEqual(provenance.toolCalls, 6);
+
+    const { coalescing } = adapter.getRequestStats();
+    assert.strictEqual(coalescing.calls, 6);
+    assert.strictEqual(coalescing.coalesced, 4);
+    assert.strictEqual(coalescing.inFlight, 0);
+
+    // Once settled, the next identical call goes upstream again
+    await adapter.invokeWithRetry('get_f1_driver_standings', { year: 1988 });
+    assert.strictEqual(calls, 3);
+  });
+
+  test('should not coalesce tools that are unsafe to repeat', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { enabled: false } });
+    let calls = 0;
+
+    adapter.mcpClient.isReplaySafe = toolName => toolName.startsWith('get_');
+    adapter.mcpClient.invokeTool = async () => {
+      calls++;
+      await setTimeout(10);
+      return { ok: true };
+    };
+
+    await Promise.all([
+      adapter.invokeWithRetry('set_f1_note', { note: 'box' }),
+      adapter.invokeWithRetry('set_f1_note', { note: 'box' })
+    ]);
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(adapter.getRequestStats().coalescing.coalesced, 0);
+  });
+
+  test('should limit concurrent calls per upstream server', async () => {
+    const app = new ModernF1LangGraphApp({ toolCache: { enabled: false }, maxConcurrentPerServer: 2 });
+    const adapter = app.f1Adapter;
+    let active = 0;
+    let peak = 0;
+
+    adapter.mcpClient.invokeTool = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await setTimeout(15);
+      active--;
+      return { ok: true };
+    };
+
+    await Promise.all([1988, 1989, 1990, 1991, 1992].map(year =>
+      adapter.invokeWithRetry('get_f1_races', { year })));
+
+    assert.strictEqual(peak, 2);
+
+    const analytics = await app.getAnalytics();
+    const server = analytics.toolRequests.servers.default;
+    assert.strictEqual(server.maxConcurrent, 2);
+    assert.strictEqual(server.started, 5);
+    assert.strictEqual(server.queued, 3);
+    assert.strictEqual(server.waiting, 0);
+    assert.ok(server.maxWaitMs > 0);
+  });
+
+  test('should route registry tools to their own server limits', () => {
+    const registry = new McpServerRegistry({
+      servers: [
+        { name: 'f1', url: 'http://localhost:1', client: 'simple' },
+        { name: 'circuits', url: 'http://localhost:2', maxConcurrency: 1 }
+      ]
+    });
+    registry.availableTools.set('circuits__get_circuit', { name: 'circuits__get_circuit', server: 'circuits', serverToolName: 'get_circuit' });
+
+    assert.strictEqual(registry.getToolServer('circuits__get_circuit'), 'circuits');
+    assert.strictEqual(registry.getServerConcurrency('circuits'), 1);
+    assert.strictEqual(registry.getServerConcurrency('f1'), null);
+    assert.strictEqual(registry.isReplaySafe('circuits__get_circuit'), true);
+  });
+});
+
+describe('Circuit Breaker Tests', () => {
+  test('should short-circuit to the fallback once a breaker opens', async () => {
+    const handler = new F1ErrorHandler({ baseDelay: 1, failureThreshold: 2 });
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw new Error('fetch failed');
+    };
+    const context = { operation: 'tool:get_f1_races', useCircuitBreaker: true, retries: 5, fallbackFn: async () => ({ cached: true }) };
+
+    const first = await handler.executeWithResilience(failing, context);
+    assert.strictEqual(first.isFallback, true);
+    assert.strictEqual(calls, 2);
+
+    await handler.executeWithResilience(failing, context);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(handler.getStats().circuitBreakers[0].state, 'OPEN');
+  });
+
+  test('should answer a lost upstream connection from the fallback without retrying', async () => {
+    const handler = new F1ErrorHandler({ baseDelay: 1, failureThreshold: 5 });
+    let calls = 0;
+    const dropped = async () => {
+      calls++;
+      throw new F1Error('MCP connection lost during get_f1_races: socket hang up', 'MCP_CONNECTION_LOST');
+    };
+
+    const answer = await handler.executeWithResilience(dropped, {
+      operation: 'tool:get_f1_races',
+      useCircuitBreaker: true,
+      fallbackFn: async () => ({ cached: true })
+    });
+    assert.deepStrictEqual([answer.cached, answer.isFallback, calls], [true, true, 1]);
+    assert.strictEqual(handler.getCircuitBreakerStatus('tool:get_f1_races').failures, 1);
+
+    await assert.rejects(
+      handler.executeWithResilience(dropped, { operation: 'tool:get_f1_races' }),
+      { code: 'MCP_CONNECTION_LOST' }
+    );
+  });
+
+  test('should rethrow non-retryable errors without tripping the breaker', async () => {
+    const handler = new F1ErrorHandler({ baseDelay: 1, failureThreshold: 1 });
+    let calls = 0;
+
+    await assert.rejects(
+      () => handler.executeWithResilience(async () => {
+        calls++;
+        throw new F1Error('Tool not found', 'TOOL_NOT_FOUND');
+      }, { operation: 'tool:missing', useCircuitBreaker: true }),
+      { code: 'TOOL_NOT_FOUND' }
+    );
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(handler.getCircuitBreakerStatus('tool:missing').state, 'CLOSED');
+  });
+
+  test('should serve the last cached tool result while the source is failing', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { backend: 'memory', ttls: { pastSeason: 1 } } });
+    adapter.errorHandler = new F1ErrorHandler({ baseDelay: 1, failureThreshold: 2 });
+    let calls = 0;
+    let failing = false;
+
+    adapter.mcpClient.invokeTool = async () => {
+      calls++;
+      if (failing) throw new Error('fetch failed');
+      return { data: { races: ['monaco'] }, provenance: { source: 'live' } };
+    };
+
+    await adapter.invokeWithRetry('get_f1_races', { year: 1988 });
+    await setTimeout(5);
+    failing = true;
+
+    const { value, provenance } = await adapter.trackProvenance(() => adapter.invokeWithRetry('get_f1_races', { year: 1988 }));
+    assert.deepStrictEqual(value, { races: ['monaco'] });
+    assert.deepStrictEqual(provenance.sources, ['cache']);
+    assert.strictEqual(calls, 3);
+
+    // The breaker is open now, so the next call does not reach the server
+    await adapter.invokeWithRetry('get_f1_races', { year: 1988 });
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(adapter.getCircuitBreakers()[0].state, 'OPEN');
+
+    await assert.rejects(() => adapter.invokeWithRetry('get_f1_races', { year: 1990 }), { code: 'OPERATION_AND_FALLBACK_FAILED' });
+  });
+
+  test('should expose breaker state through the admin endpoint', async () => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: false });
+    server.setupMiddleware();
+    server.setupAdminRoutes();
+
+    globalErrorHandler.getCircuitBreaker('llm:test');
+    for (let i = 0; i < globalErrorHandler.options.failureThreshold; i++) {
+      globalErrorHandler.recordFailure('llm:test');
+    }
+
+    const listener = server.app.listen(0);
+    const url = `http://127.0.0.1:${listener.address().port}/admin/circuit-breakers`;
+
+    try {
+      const body = await (await fetch(url)).json();
+      assert.ok(body.open.includes('llm:test'));
+      assert.strictEqual(body.breakers.find(breaker => breaker.operation === 'llm:test').state, 'OPEN');
+
+      // Breaker state is read-only over HTTP
+      const reset = await fetch(`${url}/reset`, { method: 'POST' });
+      assert.strictEqual(reset.status, 404);
+    } finally {
+      await new Promise(resolve => listener.close(resolve));
+      globalErrorHandler.circuitBreakers.delete('llm:test');
+    }
+  });
+});
+
+describe('Cancellation Tests', () => {
+  const untilAborted = signal => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+  });
+
+  test('should abort a shared upstream call only when every caller has gone', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { enabled: false } });
+    let upstreamSignal;
+
+    adapter.mcpClient.invokeTool = async (toolName, params, { signal }) => {
+      upstreamSignal = signal;
+      await untilAborted(signal);
+    };
+
+    const first = new AbortController();
+    const second = new AbortController();
+    const calls = [first, second].map(controller =>
+      adapter.invokeWithRetry('get_f1_races', { year: 1988 }, { signal: controller.signal }));
+
+    first.abort('client disconnected');
+    await assert.rejects(calls[0], { code: 'REQUEST_CANCELLED' });
+    await setTimeout(5);
+    assert.strictEqual(upstreamSignal.aborted, false);
+
+    second.abort('client disconnected');
+    await assert.rejects(calls[1], { code: 'REQUEST_CANCELLED' });
+    assert.strictEqual(upstreamSignal.aborted, true);
+
+    // Cancellation is not a failure of the tool
+    assert.strictEqual(adapter.getCircuitBreakers().find(breaker => breaker.operation === 'tool:get_f1_races')?.failures ?? 0, 0);
+  });
+
+  test('should start a fresh upstream call for a caller arriving after the shared one was aborted', async () => {
+    const adapter = new ModernF1LangGraphAdapter({ toolCache: { enabled: false } });
+    let calls = 0;
+
+    // The aborted call takes a while to settle, as an HTTP request does
+    adapter.mcpClient.invokeTool = async (toolName, params, { signal }) => {
+      calls++;
+      if (calls === 1) {
+        await untilAborted(signal).catch(() => setTimeout(50));
+        throw cancellationError(signal);
+      }
+      return { data: { races: params.year }, provenance: { source: 'live' } };
+    };
+
+    const disconnected = new AbortController();
+    const first = adapter.invokeWithRetry('get_f1_races', { year: 1988 }, { signal: disconnected.signal });
+    await setTimeout(5);
+    disconnected.abort('client disconnected');
+    await assert.rejects(first, { code: 'REQUEST_CANCELLED' });
+
+    const retry = await adapter.invokeWithRetry('get_f1_races', { year: 1988 }, { signal: new AbortController().signal });
+    assert.deepStrictEqual(retry, { races: 1988 });
+    assert.strictEqual(calls, 2);
+  });
+
+  test('should record a run stopped by its signal as cancelled', async () => {
+    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+    const app = new ModernF1LangGraphApp({ enableStreaming: false, enableLlmClassifier: false });
+    let agentSignal;
+    let agentStarted;
+    const started = new Promise(resolve => { agentStarted = resolve; });
+
+    app.entityResolver = null;
+    app.agents = {
+      driverPerformance: {
+        analyzeDriver: async (query, threadId, userContext, { signal }) => {
+          agentSignal = signal;
+          agentStarted();
+          return untilAborted(signal);
+        }
+      }
+    };
+    await app.initializeWorkflowGraph();
+    app.isInitialized = true;
+
+    const controller = new AbortController();
+    const pending = app.processQuery('How is driver performance for Alonso?', 'cancel-thread', {}, { signal: controller.signal });
+    await started;
+    controller.abort('client disconnected');
+
+    const result = await pending;
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(agentSignal.aborted, true);
+
+    const { state } = await app.getAnalytics();
+    assert.strictEqual(state.cancelledThreads, 1);
+    assert.deepStrictEqual(state.cancelReasons, { 'client disconnected': 1 });
+  });
+
+  test('should abort a specialist branch when it times out', async () => {
+    const app = new ModernF1LangGraphApp({ agentTimeout: 20 });
+    let agentSignal;
+
+    app.agents = {
+      raceStrategy: {
+        analyzeStrategy: async (query, threadId, userContext, { signal }) => {
+          agentSignal = signal;
+          return untilAborted(signal);
+        }
+      }
+    };
+
+    const { agentResults } = await app.runSpecialistAgent({
+      query: 'Monza strategy',
+      threadId: 't-timeout',
+      userContext: {},
+      task: { agentType: 'raceStrategy', focus: '', priority: 'high' }
+    });
+
+    assert.strictEqual(agentResults[0].timedOut, true);
+    assert.strictEqual(agentSignal.reason.code, 'AGENT_TIMEOUT');
+  });
+
+  test('should abort the query when the HTTP client disconnects', async () => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: false });
+    let querySignal;
+    let resolveAborted;
+    const aborted = new Promise(resolve => { resolveAborted = resolve; });
+
+    server.f1App.processQuery = async (query, threadId, userContext, { signal }) => {
+      querySignal = signal;
+      signal.addEventListener('abort', resolveAborted, { once: true });
+      await untilAborted(signal).catch(() => {});
+      return { success: false, cancelled: true };
+    };
+    server.setupMiddleware();
+    server.setupQueryRoutes();
+
+    const listener = server.app.listen(0);
+    const client = new AbortController();
+
+    try {
+      const request = fetch(`http://127.0.0.1:${listener.address().port}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 'Who won Monaco 1988?' }),
+        signal: client.signal
+      }).catch(() => null);
+
+      await setTimeout(50);
+      client.abort();
+      await request;
+      await aborted;
+
+      assert.strictEqual(querySignal.reason, 'client disconnected');
+    } finally {
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+    }
+  });
+});
+
+describe('Batch Fetch Tests', () => {
+  let snapshotDir;
+
+  const batchAdapter = async (options = {}) => {
+    const adapter = new ModernF1LangGraphAdapter({
+      toolSnapshotPath: path.join(snapshotDir, 'tools.json'),
+      toolCache: { enabled: false },
+      ...options
+    });
+    adapter.mcpClient.loadF1Tools();
+    await adapter.createLangGraphTools();
+    adapter.createBatchTools();
+    return adapter;
+  };
+
+  beforeEach(async () => {
+    snapshotDir = await mkdtemp(path.join(os.tmpdir(), 'f1-batch-'));
+  });
+
+  afterEach(async () => {
+    await rm(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('should expand round and season ranges', () => {
+    const requests = expandBatchRequests({
+      requests: [{ tool: 'get_f1_drivers', parameters: { year: 2023 } }],
+      range: { tool: 'get_f1_race_results', seasons: { from: 2022, to: 2023 }, rounds: { from: 3, to: 1 } }
+    });
+
+    assert.strictEqual(requests.length, 7);
+    assert.deepStrictEqual(requests[0], { tool: 'get_f1_drivers', parameters: { year: 2023 } });
+    assert.deepStrictEqual(requests[1], { tool: 'get_f1_race_results', parameters: { year: 2022, round: 1 } });
+    assert.deepStrictEqual(requests[6], { tool: 'get_f1_race_results', parameters: { year: 2023, round: 3 } });
+  });
+
+  test('should fetch a round range with bounded concurrency', async () => {
+    const adapter = await batchAdapter({ batchConcurrency: 3 });
+    let active = 0;
+    let peak = 0;
+
+    adapter.mcpClient.invokeTool = async (toolName, params) => {
+      active++;
+      peak = Math.max(peak, active);
+      await setTimeout(10);
+      active--;
+      return { data: { round: params.round }, provenance: { source: 'live' } };
+    };
+
+    const result = await adapter.getTool('fetch_f1_batch').invoke({
+      range: { tool: 'get_f1_race_results', parameters: { year: 2023 }, rounds: { from: 1, to: 8 } }
+    });
+
+    assert.strictEqual(result.requested, 8);
+    assert.strictEqual(result.succeeded, 8);
+    assert.strictEqual(result.errors, undefined);
+    assert.deepStrictEqual(result.results[7], { tool: 'get_f1_race_results', parameters: { year: 2023, round: 8 }, data: { round: 8 } });
+    assert.strictEqual(peak, 3);
+  });
+
+  test('should report failed entries without failing the batch', async () => {
+    const adapter = await batchAdapter({ enableRetry: false });
+
+    adapter.mcpClient.invokeTool = async (toolName, params) => {
+      if (params.round === 2) {
+        throw new F1Error('Race not found', 'RACE_NOT_FOUND');
+      }
+      return { data: { round: params.round } };
+    };
+
+    const result = await adapter.batchFetcher.fetch({
+      requests: [
+        { tool: 'get_f1_race_results', parameters: { year: 2023, round: 1 } },
+        { tool: 'get_f1_race_results', parameters: { year: 2023, round: 2 } },
+        { tool: 'get_f1_race_results', parameters: { year: 1900, round: 1 } },
+        { tool: 'fetch_f1_batch', parameters: {} }
+      ]
+    });
+
+    assert.strictEqual(result.succeeded, 1);
+    assert.strictEqual(result.failed, 3);
+    assert.match(result.errors[0].error, /Race not found/);
+    assert.match(result.errors[1].error, /out of range/);
+    assert.match(result.errors[2].error, /cannot be batched/);
+  });
+
+  test('should serve repeated entries from the cache and cap batch size', async () => {
+    const adapter = await batchAdapter({ toolCache: { backend: 'memory' }, maxBatchRequests: 5 });
+    let calls = 0;
+
+    adapter.mcpClient.invokeTool = async (toolName, params) => {
+      calls++;
+      return { data: { year: params.year }, provenance: { source: 'live' } };
+    };
+
+    const range = { tool: 'get_f1_driver_standings', seasons: { from: 2010, to: 2012 } };
+    await adapter.batchFetcher.fetch({ range });
+    await adapter.batchFetcher.fetch({ range });
+    assert.strictEqual(calls, 3);
+
+    await assert.rejects(
+      adapter.batchFetcher.fetch({ range: { ...range, seasons: { from: 2000, to: 2010 } } }),
+      error => error.code === 'INVALID_BATCH_REQUEST'
+    );
+  });
+
+  test('should reject oversized ranges before expanding them', async () => {
+    const adapter = await batchAdapter();
+    adapter.mcpClient.invokeTool = async () => assert.fail('no call should be made');
+
+    await assert.rejects(
+      adapter.batchFetcher.fetch({ range: { tool: 'get_f1_race_results', seasons: { from: 1, to: 1e9 }, rounds: { from: 1, to: 1e9 } } }),
+      error => error.code === 'INVALID_BATCH_REQUEST' && error.details.requested === 1e18
+    );
+    await assert.rejects(
+      adapter.getTool('fetch_f1_batch').invoke({ range: { tool: 'get_f1_race_results', rounds: { from: 1, to: 1e9 } } }),
+      /schema/i
+    );
+  });
+
+  test('should report a batch cancelled after every call finished as cancelled', async () => {
+    const controller = new AbortController();
+    const fetcher = new F1BatchFetcher(async () => {
+      controller.abort('client disconnected');
+      return { ok: true };
+    });
+
+    await assert.rejects(
+      fetcher.fetch({ requests: [{ tool: 'get_f1_drivers', parameters: {} }] }, { signal: controller.signal }),
+      { code: 'REQUEST_CANCELLED' }
+    );
+  });
+});
+
+describe('Tool Output Shaping Tests', () => {
+  let snapshotDir;
+
+  // Ergast-style season results: one race per round, one result per driver
+  const seasonResults = (rounds, drivers) => ({
+    MRData: {
+      xmlns: 'http://ergast.com/mrd/1.5',
+      series: 'f1',
+      RaceTable: {
+        season: '2023',
+        Races: Array.from({ length: rounds }, (_, r) => ({
+          season: '2023',
+          round: String(r + 1),
+          raceName: `Grand Prix ${r + 1}`,
+          url: `https://en.wikipedia.org/wiki/Grand_Prix_${r + 1}`,
+          Circuit: { circuitId: `circuit_${r + 1}`, circuitName: `Circuit ${r + 1}`, Location: { lat: '26.03', long: '50.51', locality: 'Sakhir', country: 'Bahrain' } },
+          Results: Array.from({ length: drivers }, (_, d) => ({
+            position: String(d + 1),
+            points: String(Math.max(0, 25 - d * 3)),
+            Driver: { driverId: `driver_${d}`, code: `D${d}`, givenName: 'Test', familyName: `Driver ${d}`, nationality: 'British', dateOfBirth: '1990-01-01' },
+            Constructor: { constructorId: `team_${d % 5}`, name: `Team ${d % 5}`, nationality: 'British' },
+            grid: String(d + 2),
+            laps: '57',
+            status: 'Finished',
+            FastestLap: { rank: String(d + 1), lap: '44', Time: { time: `1:3${d % 10}.000` } }
+          }))
+        }))
+      }
+    }
+  });
+
+  const shapingApp = async (tokenBudget) => {
+    const app = new ModernF1LangGraphApp({
+      toolSnapshotPath: path.join(snapshotDir, 'tools.json'),
+      toolCache: { enabled: false },
+      toolOutput: { tokenBudget, summaryRows: 5 }
+    });
+    const adapter = app.f1Adapter;
+    adapter.mcpClient.loadF1Tools();
+    await adapter.createLangGraphTools();
+    adapter.createPayloadTools();
+    adapter.mcpClient.invokeTool = async () => ({ data: seasonResults(3, 20) });
+    return { app, adapter };
+  };
+
+  beforeEach(async () => {
+    snapshotDir = await mkdtemp(path.join(os.tmpdir(), 'f1-shaping-'));
+  });
+
+  afterEach(async () => {
+    await rm(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('should flatten nested results into rows', () => {
+    const rows = flattenRows(seasonResults(2, 3));
+
+    assert.strictEqual(rows.length, 6);
+    assert.strictEqual(rows[4]['MRData.RaceTable.Races.round'], '2');
+    assert.strictEqual(rows[4]['MRData.RaceTable.Races.Results.Driver.familyName'], 'Driver 1');
+    assert.ok(countTokens(rows) > 0);
+  });
+
+  test('should pass small outputs through and project large ones to relevant fields', () => {
+    const shaper = new ToolOutputShaper({ tokenBudget: 1000 });
+
+    const small = seasonResults(1, 2);
+    assert.strictEqual(shaper.shape(small).output, small);
+
+    const { output, mode, tokens, originalTokens } = shaper.shape(seasonResults(1, 20), { query: 'Who set the fastest lap?' });
+    assert.strictEqual(mode, 'projected');
+    assert.ok(tokens <= 1000 && originalTokens > 1000);
+    assert.strictEqual(output.totalRows, 20);
+    assert.ok(output.columns.includes('familyName'));
+    assert.ok(output.columns.includes('rank'));
+    assert.ok(!output.columns.some(column => column.endsWith('nationality')));
+    assert.strictEqual(output.constants.raceName, 'Grand Prix 1');
+  });
+
+  test('should summarise over-budget outputs and store the full payload in thread state', async () => {
+    const { app, adapter } = await shapingApp(600);
+    app.stateManager.createInitialState('How did the 2023 season go?', 'shape-thread');
+
+    await adapter.runInThread({ threadId: 'shape-thread', query: 'How did the 2023 season go?' }, async () => {
+      const summary = await adapter.getTool('get_f1_races').invoke({ year: 2023 });
+
+      assert.strictEqual(summary.shaping.mode, 'summary');
+      assert.strictEqual(summary.totalRows, 60);
+      assert.ok(summary.shownRows <= 5);
+      assert.ok(countTokens(summary) <= 600);
+      assert.strictEqual(summary.ref, 'get_f1_races:{"year":2023}');
+
+      const stored = app.stateManager.getState('shape-thread').f1Data[summary.ref];
+      assert.strictEqual(stored.MRData.RaceTable.Races.length, 3);
+
+      const page = await adapter.getTool('get_f1_tool_payload').invoke({ ref: summary.ref, offset: 40, limit: 3, fields: ['round', 'familyName', 'points'] });
+      assert.strictEqual(page.totalRows, 60);
+      assert.deepStrictEqual(page.columns, ['familyName', 'points']);
+      assert.deepStrictEqual(page.constants, { round: '3' });
+      assert.deepStrictEqual(page.rows[0], ['Driver 0', '25']);
+    });
+
+    assert.strictEqual(adapter.outputShaper.getStats().summarised, 1);
+    assert.ok(adapter.outputShaper.getStats().tokensSaved > 0);
+  });
+
+  test('should summarise without a ref outside a query thread', async () => {
+    const { adapter } = await shapingApp(600);
+
+    const summary = await adapter.getTool('get_f1_races').invoke({ year: 2023 });
+    assert.strictEqual(summary.ref, undefined);
+    assert.match(summary.note, /narrow the request/);
+
+    await assert.rejects(
+      adapter.readStoredPayload('get_f1_races:{"year":2023}'),
+      error => error.code === 'PAYLOAD_NOT_FOUND'
+    );
+  });
+});
+
+describe('F1 Warehouse Tests', () => {
+  let warehouseDir;
+  let warehouse;
+
+  // Two drivers, three rounds a season; dates in `future` rounds have not run yet
+  const warehouseClient = ({ future = [] } = {}) => {
+    const calls = [];
+    const track = (name, payload) => (...args) => {
+      calls.push([name, ...args]);
+      return payload(...args);
+    };
+    const drivers = [
+      { driverId: 'max_verstappen', code: 'VER', givenName: 'Max', familyName: 'Verstappen', permanentNumber: '1' },
+      { driverId: 'hamilton', code: 'HAM', givenName: 'Lewis', familyName: 'Hamilton', permanentNumber: '44' }
+    ];
+    const constructors = [
+      { constructorId: 'red_bull', name: 'Red Bull', nationality: 'Austrian' },
+      { constructorId: 'mercedes', name: 'Mercedes', nationality: 'German' }
+    ];
+
+    return {
+      calls,
+      future,
+      getF1Races: track('races', season => ({
+        MRData: { RaceTable: { Races: [1, 2, 3].map(round => ({
+          season: String(season),
+          round: String(round),
+          raceName: `Grand Prix ${round}`,
+          date: future.includes(round) ? '2999-01-01' : `${season}-0${round}-01`,
+          Circuit: { circuitId: `circuit_${round}`, circuitName: `Circuit ${round}` }
+        })) } }
+      })),
+      getF1Drivers: track('drivers', () => ({ MRData: { DriverTable: { Drivers: drivers } } })),
+      getF1Constructors: track('constructors', () => ({ MRData: { ConstructorTable: { Constructors: constructors } } })),
+      getF1RaceResults: track('results', (season, round) => ({
+        MRData: { RaceTable: { Races: [{ season: String(season), round: String(round), Results: drivers.map((driver, index) => ({
+          position: String(index + 1),
+          points: index === 0 ? '25' : '18',
+          grid: String(2 - index),
+          status: 'Finished',
+          Driver: driver,
+          Constructor: constructors[index]
+        })) }] } }
+      })),
+      getF1QualifyingResults: track('qualifying', () => ({
+        MRData: { RaceTable: { Races: [{ QualifyingResults: drivers.map((driver, index) => ({
+          position: String(2 - index),
+          Driver: driver,
+          Constructor: constructors[index],
+          Q1: '1:30.000',
+          Q3: index === 1 ? '1:29.000' : '1:29.500'
+        })) }] } }
+      })),
+      getF1DriverStandings: track('driverStandings', () => ({
+        MRData: { StandingsTable: { StandingsLists: [{ round: '3', DriverStandings: drivers.map((driver, index) => ({
+          position: String(index + 1), points: String(75 - index * 21), wins: index === 0 ? '3' : '0', Driver: driver, Constructors: [constructors[index]]
+        })) }] } }
+      })),
+      getF1ConstructorStandings: track('constructorStandings', () => ({
+        MRData: { StandingsTable: { StandingsLists: [{ round: '3', ConstructorStandings: constructors.map((constructor, index) => ({
+          position: String(index + 1), points: String(75 - index * 21), wins: index === 0 ? '3' : '0', Constructor: constructor
+        })) }] } }
+      }))
+    };
+  };
+
+  const syncFor = (client, bounds = { min: 2021, current: 2023 }) =>
+    new F1WarehouseSync(warehouse, client, { getSeasonBounds: () => bounds });
+
+  beforeEach(async () => {
+    warehouseDir = await mkdtemp(path.join(os.tmpdir(), 'f1-warehouse-'));
+    warehouse = new F1Warehouse({ enabled: true, dbPath: path.join(warehouseDir, 'warehouse.sqlite') });
+  });
+
+  afterEach(async () => {
+    await warehouse.close();
+    await rm(warehouseDir, { recursive: true, force: true });
+  });
+
+  test('should sync past seasons once into normalised tables', async () => {
+    const client = warehouseClient();
+    await syncFor(client).syncHistory();
+
+    const stats = await warehouse.getStats();
+    assert.deepStrictEqual(stats.counts, {
+      seasons: 2,
+      rounds: 6,
+      drivers: 2,
+      season_drivers: 4,
+      constructors: 2,
+      results: 12,
+      qualifying: 12,
+      driver_standings: 4,
+      constructor_standings: 4
+    });
+    assert.strictEqual(await warehouse.isSeasonComplete(2022), true);
+
+    const calls = client.calls.length;
+    await syncFor(client).syncHistory();
+    assert.strictEqual(client.calls.length, calls);
+  });
+
+  test('should sync the current season incrementally', async () => {
+    const client = warehouseClient({ future: [3] });
+    const sync = syncFor(client, { min: 2023, current: 2023 });
+
+    assert.deepStrictEqual(await sync.syncCurrentSeason(), { season: 2023, rounds: 2, pending: 0, failed: 0 });
+
+    client.future.length = 0;
+    assert.deepStrictEqual(await sync.syncCurrentSeason(), { season: 2023, rounds: 1, pending: 0, failed: 0 });
+    assert.deepStrictEqual(client.calls.filter(([name]) => name === 'results').map(([, , round]) => round), [1, 2, 3]);
+    assert.strictEqual(await warehouse.isSeasonComplete(2023), false);
+  });
+
+  test('should answer read-only queries with freshness metadata', async () => {
+    await syncFor(warehouseClient()).syncHistory();
+    const queryTool = createWarehouseQueryTool(warehouse);
+
+    const answer = await queryTool.invoke({
+      sql: `SELECT r.season, d.family_name, SUM(r.points) AS points
+            FROM results r JOIN drivers d ON d.driver_id = r.driver_id
+            WHERE r.season = 2022 GROUP BY r.season, d.family_name ORDER BY points DESC;`
+    });
+
+    assert.deepStrictEqual(answer.rows, [
+      { season: 2022, family_name: 'Verstappen', points: 75 },
+      { season: 2022, family_name: 'Hamilton', points: 54 }
+    ]);
+    assert.deepStrictEqual(Object.keys(answer.freshness.datasets), ['drivers', 'results']);
+    assert.deepStrictEqual(answer.freshness.datasets.results.seasons, { from: 2021, to: 2022 });
+    assert.deepStrictEqual(answer.freshness.datasets.results.sources, ['live']);
+    assert.strictEqual(answer.freshness.stale, false);
+    assert.strictEqual(answer.freshness.seasons[2022].complete, true);
+
+    const page = await warehouse.query('SELECT * FROM qualifying', { limit: 5 });
+    assert.strictEqual(page.rowCount, 5);
+    assert.strictEqual(page.truncated, true);
+  });
+
+  test('should report incomplete seasons stale only when the sync has not checked them', async () => {
+    const client = warehouseClient();
+    const sync = syncFor(client);
+    await sync.syncHistory();
+    await sync.syncCurrentSeason();
+
+    // Rows written long ago, but the sync checked every season just now
+    await warehouse.db.run('UPDATE sync_state SET synced_at = ?', [Date.now() - 7 * 24 * 60 * 60 * 1000]);
+    await sync.syncCurrentSeason();
+    let { freshness } = await warehouse.query('SELECT * FROM results');
+    assert.strictEqual(freshness.stale, false);
+    assert.ok(freshness.datasets.results.lastCheckedAt > freshness.datasets.results.lastSyncedAt);
+
+    // Once unchecked, the current season makes the dataset stale
+    await warehouse.db.run('UPDATE sync_checks SET checked_at = ?', [Date.now() - 7 * 24 * 60 * 60 * 1000]);
+    ({ freshness } = await warehouse.query('SELECT * FROM results'));
+    assert.strictEqual(freshness.datasets.results.stale, true);
+
+    // Completed past seasons alone never do
+    await warehouse.db.run('DELETE FROM sync_checks WHERE season = 2023');
+    await warehouse.db.run('DELETE FROM sync_state WHERE season = 2023');
+    ({ freshness } = await warehouse.query('SELECT * FROM results'));
+    assert.strictEqual(freshness.stale, false);
+  });
+
+  test('should reject queries that write', async () => {
+    await warehouse.initialize();
+
+    for (const sql of ['DELETE FROM results', 'SELECT 1; DROP TABLE results', "SELECT 'a'; -- ;\nDROP TABLE results"]) {
+      await assert.rejects(warehouse.query(sql), error => error.code === 'INVALID_WAREHOUSE_QUERY');
+    }
+
+    // Passes the statement check, but the connection is read-only
+    await assert.rejects(
+      warehouse.query('WITH doomed AS (SELECT 1) DELETE FROM results'),
+      error => error.code === 'WAREHOUSE_QUERY_FAILED'
+    );
+  });
+
+  test('should leave string literals alone when stripping comments', async () => {
+    await warehouse.initialize();
+
+    const { rows } = await warehouse.query(`SELECT 'a;b' AS semi, '--' AS dashes, '/* x */' AS quoted -- trailing comment
+      /* block; comment */ ;`);
+    assert.deepStrictEqual(rows, [{ semi: 'a;b', dashes: '--', quoted: '/* x */' }]);
+  });
+
+  test('should interrupt queries that run past the deadline', async () => {
+    await warehouse.close();
+    warehouse = new F1Warehouse({ enabled: true, dbPath: path.join(warehouseDir, 'warehouse.sqlite'), queryTimeout: 100 });
+
+    await assert.rejects(
+      warehouse.query('WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT count(*) FROM c'),
+      error => error.code === 'WAREHOUSE_QUERY_TIMEOUT'
+    );
+
+    // The read connection is free again
+    assert.deepStrictEqual((await warehouse.query('SELECT 1 AS one')).rows, [{ one: 1 }]);
+  });
+
+  test('should not complete a season whose results fell back to mock data', async () => {
+    const client = warehouseClient();
+    const getResults = client.getF1RaceResults;
+    client.getF1RaceResults = (season, round) => round === 2
+      ? { message: 'Mock data for get_f1_race_results', _provenance: { source: 'mock', fallback: true } }
+      : getResults(season, round);
+
+    const sync = syncFor(client, { min: 2022, current: 2023 });
+    await sync.syncHistory();
+    assert.strictEqual(await warehouse.isSeasonComplete(2022), false);
+    assert.deepStrictEqual([...await warehouse.getSyncedRounds('results', 2022)].sort(), [1, 3]);
+
+    client.getF1RaceResults = getResults;
+    await sync.syncHistory();
+    assert.strictEqual(await warehouse.isSeasonComplete(2022), true);
+  });
+
+  test('should not store mock data', async () => {
+    const client = warehouseClient();
+    client.getF1Races = async () => ({ races: [{ round: 1, raceName: 'Sample' }], _provenance: { source: 'mock' } });
+
+    await warehouse.initialize();
+    const summary = await syncFor(client, { min: 2023, current: 2024 }).syncSeason(2023);
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual((await warehouse.getStats()).counts.rounds, 0);
+  });
+
+  test('should fetch qualifying results through the simple client', async () => {
+    const client = new SimpleF1MCPClient();
+    const invoked = [];
+    client.invokeTool = async (toolName, params) => {
+      invoked.push([toolName, params]);
+      return { data: { QualifyingResults: [] }, provenance: { source: 'live' } };
+    };
+
+    assert.deepStrictEqual(await client.getF1QualifyingResults(2023, 5), { QualifyingResults: [] });
+    assert.deepStrictEqual(invoked, [['get_f1_qualifying_results', { year: 2023, round: 5 }]]);
+  });
+});
+
+// App with a stub driver agent that calls one tool and streams one model reply
+const createStreamingApp = async (options = {}, analyzeDriver = null) => {
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+  const app = new ModernF1LangGraphApp({ enableStreaming: true, enableLlmClassifier: false, enableCheckpointing: false, ...options });
+  const lapTimes = tool(async () => 'ALO 1:14.260', {
+    name: 'get_f1_lap_times',
+    description: 'Lap times',
+    schema: z.object({})
+  });
+
+  app.entityResolver = null;
+  app.agents = {
+    driverPerformance: {
+      analyzeDriver: analyzeDriver || (async (query, threadId, userContext, { callbacks }) => {
+        await lapTimes.invoke({}, { callbacks });
+        const llm = new FakeStreamingChatModel({ responses: [new AIMessage('Alonso')], sleep: 0 });
+        const reply = await llm.invoke('Summarise Alonso', { callbacks });
+        return { success: true, result: reply.content };
+      })
+    }
+  };
+  await app.initializeWorkflowGraph();
+  app.isInitialized = true;
+  return app;
+};
+
+describe('Streaming Tests', () => {
+  const streamingApp = () => createStreamingApp();
+
+  test('should stream node transitions, tool calls and tokens while the query runs', async () => {
+    const app = await streamingApp();
+    const events = [];
+
+    const result = await app.processQuery('How is driver performance for Alonso?', 'stream-thread', {}, {
+      onEvent: (event, data) => events.push({ event, ...data })
+    });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.ok(events.every(event => event.threadId === 'stream-thread'));
+
+    const steps = events.filter(event => event.event === 'workflow_state');
+    assert.deepStrictEqual(steps.slice(0, 2).map(step => [step.currentStep, step.state.status]),
+      [['query_analyzer', 'started'], ['query_analyzer', 'completed']]);
+    assert.ok(steps.some(step => step.currentStep === 'result_formatter' && step.state.status === 'completed'));
+
+    const tools = events.filter(event => event.event === 'tool_event');
+    assert.deepStrictEqual(tools.map(event => [event.toolName, event.eventType]),
+      [['get_f1_lap_times', 'start'], ['get_f1_lap_times', 'end']]);
+    assert.strictEqual(tools[1].data.output, 'ALO 1:14.260');
+
+    const tokens = events.filter(event => event.event === 'llm_token');
+    assert.strictEqual(tokens.map(event => event.token).join(''), 'Alonso');
+    assert.strictEqual(tokens[0].metadata.node, 'driver_performance');
+
+    // Tokens arrive while the agent's node is still running
+    const tokenIndex = events.indexOf(tokens[0]);
+    const nodeDone = events.findIndex(event => event.currentStep === 'driver_performance' && event.state.status === 'completed');
+    assert.ok(tokenIndex < nodeDone);
+  });
+
+  test('should pass graph callbacks through to the agent\'s model', async () => {
+    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+    const agent = new ModernBaseAgent('driverPerformance', { enableStreaming: false, enableCheckpointing: false });
+    const modelRuns = [];
+
+    agent.llm = new FakeStreamingChatModel({ responses: [new AIMessage('Hamilton')], sleep: 0 });
+    await agent.initialize([], 'You analyse drivers.');
+
+    const result = await agent.processQuery('Hamilton at Silverstone', 'agent-stream', {}, {
+      callbacks: [{ handleChatModelStart: (llm, messages, runId, parentRunId, extra, tags, metadata) => modelRuns.push(metadata) }]
+    });
+
+    assert.strictEqual(result.result, 'Hamilton');
+    assert.strictEqual(modelRuns.length, 1);
+    assert.strictEqual(modelRuns[0].agentType, 'driverPerformance');
+  });
+
+  test('should write events to /query/stream before the query finishes', { timeout: 10000 }, async () => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: true });
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+
+    server.f1App.processQuery = async (query, threadId, userContext, { onEvent }) => {
+      onEvent('workflow_state', { threadId: 'sse-thread', currentStep: 'query_analysis', state: { status: 'started' } });
+      onEvent('llm_token', { threadId: 'sse-thread', token: 'Prost', metadata: {} });
+      await finished;
+      return { success: true, threadId: 'sse-thread', result: 'Prost' };
+    };
+    server.setupMiddleware();
+    server.setupQueryRoutes();
+
+    const listener = server.app.listen(0);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${listener.address().port}/query/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 'Who won Monaco 1988?' })
+      });
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+
+      // Delivered through compression while processQuery is still waiting
+      let received = '';
+      while (!received.includes('event: llm_token')) {
+        received += (await reader.read()).value;
+      }
+      assert.ok(received.indexOf('event: workflow_state') < received.indexOf('event: llm_token'));
+      assert.ok(received.includes('"token":"Prost"'));
+      assert.ok(!received.includes('event: result'));
+
+      finish();
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        received += chunk.value;
+      }
+      assert.ok(received.includes('event: result'));
+    } finally {
+      finish();
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      server.streamingHandler.cleanup();
+    }
+  });
+
+  test('should stream the same events as NDJSON lines when asked for application/x-ndjson', { timeout: 10000 }, async () => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: true });
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+
+    server.f1App = await streamingApp();
+    server.f1App.setStreamingHandler(server.streamingHandler);
+    const processQuery = server.f1App.processQuery.bind(server.f1App);
+    server.f1App.processQuery = async (...args) => {
+      const result = await processQuery(...args);
+      await finished;
+      return result;
+    };
+    server.setupMiddleware();
+    server.setupQueryRoutes();
+
+    const listener = server.app.listen(0);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${listener.address().port}/query/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson', 'Accept-Encoding': 'gzip' },
+        body: JSON.stringify({ query: 'How is driver performance for Alonso?', threadId: 'ndjson-thread' })
+      });
+      assert.strictEqual(response.headers.get('content-type'), 'application/x-ndjson');
+      assert.strictEqual(response.headers.get('content-encoding'), 'gzip');
+      assert.strictEqual(response.headers.get('x-stream-schema-version'), String(STREAM_SCHEMA_VERSION));
+
+      // Whole lines arrive through compression before the query finishes
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let received = '';
+      while (!received.includes('"event":"llm_token"') || !received.endsWith('\n')) {
+        received += (await reader.read()).value;
+      }
+      assert.ok(!received.includes('"event":"result"'));
+
+      finish();
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        received += chunk.value;
+      }
+
+      const lines = received.trim().split('\n').map(line => JSON.parse(line));
+      assert.ok(lines.every(line => line.version === STREAM_SCHEMA_VERSION));
+      assert.strictEqual(lines.at(-1).event, 'result');
+      assert.strictEqual(lines.at(-1).data.success, true);
+
+      // Thread events carry the same IDs and data as their SSE frames
+      const token = lines.find(line => line.event === 'llm_token');
+      assert.ok(token.id > 0);
+      assert.strictEqual(formatStreamEvent('sse', token.event, token.data, token.id),
+        `id: ${token.id}\nevent: llm_token\ndata: ${JSON.stringify(token.data)}\n\n`);
+      assert.strictEqual(lines.filter(line => line.event === 'llm_token').map(line => line.data.token).join(''), 'Alonso');
+    } finally {
+      finish();
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      server.streamingHandler.cleanup();
+    }
+  });
+
+  test('should publish a query\'s events to subscribers of its thread', { timeout: 10000 }, async () => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: true });
+    server.f1App = await streamingApp();
+    server.f1App.setStreamingHandler(server.streamingHandler);
+    server.setupMiddleware();
+    server.setupQueryRoutes();
+    server.streamingHandler.initialize(server.app);
+
+    const listener = server.app.listen(0);
+    const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+    const watcher = new AbortController();
+
+    try {
+      const subscription = await fetch(`${baseUrl}/stream/query/watched-thread`, { signal: watcher.signal });
+      const reader = subscription.body.pipeThrough(new TextDecoderStream()).getReader();
+      let received = (await reader.read()).value;
+      assert.ok(received.includes('event: connection'));
+
+      // A plain /query from another client
+      const response = await fetch(`${baseUrl}/query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 'How is driver performance for Alonso?', threadId: 'watched-thread' })
+      });
+      assert.strictEqual((await response.json()).success, true);
+
+      while (!received.includes('"eventType":"completed"')) {
+        received += (await reader.read()).value;
+      }
+      assert.ok(received.includes('event: workflow_state'));
+      assert.ok(received.includes('"toolName":"get_f1_lap_times"'));
+      assert.ok(received.includes('event: llm_token'));
+      assert.ok(received.includes('"token":"A"'));
+      assert.ok(received.indexOf('event: llm_token') < received.indexOf('event: query_event'));
+    } finally {
+      watcher.abort();
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      server.streamingHandler.cleanup();
+    }
+  });
+
+  test('should publish agent callbacks to the agent stream', async () => {
+    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+    const agent = new ModernBaseAgent('driverPerformance', { enableStreaming: false, enableCheckpointing: false });
+    const streamAgentEvent = mock.fn();
+
+    agent.llm = new FakeStreamingChatModel({ responses: [new AIMessage('Leclerc')], sleep: 0 });
+    agent.streamingHandler = { streamAgentEvent };
+    await agent.initialize([], 'You analyse drivers.');
+    await agent.processQuery('Leclerc at Monaco', 'agent-events');
+
+    const events = streamAgentEvent.mock.calls.map(call => call.arguments);
+    assert.deepStrictEqual(events.map(([agentType, eventType]) => [agentType, eventType]),
+      [['driverPerformance', 'llm_start'], ['driverPerformance', 'llm_end']]);
+    assert.strictEqual(events[1][2].threadId, 'agent-events');
+  });
+});
+
+describe('WebSocket Tests', () => {
+  const startWebSocketServer = async (app, options = {}) => {
+    const server = new ModernF1Server({ enableRateLimit: false, enableStreaming: true, enableWebSocket: true, ...options });
+    server.f1App = app;
+    app.setStreamingHandler(server.streamingHandler);
+    server.streamingHandler.initialize(server.app);
+
+    const listener = server.app.listen(0);
+    server.streamingHandler.attachWebSocketServer(listener);
+
+    return {
+      server,
+      url: `ws://127.0.0.1:${listener.address().port}/ws`,
+      close: async () => {
+        server.streamingHandler.cleanup();
+        listener.closeAllConnections();
+        await new Promise(resolve => listener.close(resolve));
+      }
+    };
+  };
+
+  const connect = async url => {
+    const socket = new WebSocket(url);
+    const messages = [];
+    socket.on('message', raw => messages.push(JSON.parse(raw.toString())));
+    await once(socket, 'open');
+
+    return {
+      socket,
+      messages,
+      send: message => socket.send(JSON.stringify(message)),
+      // First message with this event name after the first `from` messages
+      waitFor: async (event, from = 0) => {
+        while (!messages.slice(from).some(message => message.event === event)) {
+          await setTimeout(5);
+        }
+        return messages.slice(from).find(message => message.event === event);
+      }
+    };
+  };
+
+  test('should run a query and stream its events over one socket', { timeout: 10000 }, async () => {
+    const { url, close } = await startWebSocketServer(await createStreamingApp());
+
+    try {
+      const session = await connect(url);
+      assert.strictEqual((await session.waitFor('connection')).data.streamType, 'query');
+
+      session.send({ type: 'query', query: 'How is driver performance for Alonso?', requestId: 'r1' });
+      const accepted = await session.waitFor('accepted');
+      const result = await session.waitFor('result');
+
+      assert.strictEqual(accepted.data.requestId, 'r1');
+      assert.strictEqual(result.data.success, true);
+      assert.strictEqual(result.data.threadId, accepted.data.threadId);
+
+      const events = session.messages.map(message => message.event);
+      assert.ok(events.includes('workflow_state'));
+      assert.ok(events.includes('tool_event'));
+      assert.strictEqual(session.messages.filter(message => message.event === 'llm_token').map(message => message.data.token).join(''), 'Alonso');
+      assert.ok(events.lastIndexOf('llm_token') < events.indexOf('result'));
+
+      session.send({ type: 'unknown' });
+      assert.match((await session.waitFor('error')).data.error, /Unknown message type/);
+      session.socket.close();
+    } finally {
+      await close();
+    }
+  });
+
+  test('should cancel a run on request and when the socket closes', { timeout: 10000 }, async () => {
+    const signals = [];
+    const app = await createStreamingApp({}, async (query, threadId, userContext, { signal }) => {
+      signals.push(signal);
+      return new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true }));
+    });
+    const { url, close } = await startWebSocketServer(app);
+
+    try {
+      const session = await connect(url);
+      session.send({ type: 'query', query: 'How is driver performance for Alonso?', threadId: 'ws-cancel' });
+      while (signals.length === 0) await setTimeout(5);
+
+      session.send({ type: 'cancel', threadId: 'ws-cancel' });
+      const cancelled = await session.waitFor('cancelled');
+      assert.strictEqual(cancelled.data.threadId, 'ws-cancel');
+      assert.strictEqual(cancelled.data.reason, 'client cancelled');
+
+      session.send({ type: 'query', query: 'How is driver performance for Alonso?', threadId: 'ws-dropped' });
+      while (signals.length === 1) await setTimeout(5);
+      session.socket.close();
+      while (!signals[1].aborted) await setTimeout(5);
+
+      let cancelReasons = {};
+      while (!cancelReasons['client disconnected']) {
+        await setTimeout(5);
+        cancelReasons = (await app.getAnalytics()).state.cancelReasons;
+      }
+      assert.deepStrictEqual(cancelReasons, { 'client cancelled': 1, 'client disconnected': 1 });
+    } finally {
+      await close();
+    }
+  });
+
+  test('should pause on an ambiguous name and resume with the user\'s answer', { timeout: 10000 }, async () => {
+    let agentContext;
+    const app = await createStreamingApp({ enableHumanInLoop: true, enableCheckpointing: true }, async (query, threadId, userContext) => {
+      agentContext = userContext;
+      return { success: true, result: 'Schumacher won' };
+    });
+    app.options.enableLlmClassifier = true;
+    app.orchestrator = { classifyQuery: mock.fn(async query => app.classifyByKeywords(query)) };
+    app.entityResolver = {
+      resolve: async () => ({
+        seasons: [2001],
+        drivers: [],
+        constructors: [],
+        ambiguous: [{
+          mention: 'Schumacher',
+          type: 'driver',
+          candidates: [{ id: 'michael_schumacher', name: 'Michael Schumacher' }, { id: 'ralf_schumacher', name: 'Ralf Schumacher' }]
+        }],
+        unresolved: []
+      })
+    };
+    const { url, close } = await startWebSocketServer(app);
+
+    try {
+      const session = await connect(url);
+      session.send({ type: 'query', query: 'How did driver Schumacher perform in 2001?', threadId: 'ws-hitl' });
+
+      const question = await session.waitFor('human_input');
+      assert.strictEqual(question.data.request.type, 'clarification');
+      assert.deepStrictEqual(question.data.request.options[0].candidates.map(candidate => candidate.id), ['michael_schumacher', 'ralf_schumacher']);
+
+      const paused = await session.waitFor('result');
+      assert.strictEqual(paused.data.awaitingInput.type, 'clarification');
+      assert.strictEqual(agentContext, undefined);
+
+      const from = session.messages.length;
+      session.send({ type: 'human_input', threadId: 'ws-hitl', answer: 'michael_schumacher' });
+      const resumed = await session.waitFor('result', from);
+
+      assert.strictEqual(resumed.data.success, true);
+      assert.strictEqual(resumed.data.awaitingInput, undefined);
+      assert.ok(agentContext.resolvedEntities.includes('Schumacher -> michael_schumacher'));
+      // Resuming continues from the clarification, not from classification
+      assert.strictEqual(app.orchestrator.classifyQuery.mock.callCount(), 1);
+
+      session.send({ type: 'human_input', threadId: 'ws-hitl', answer: 'ralf_schumacher' });
+      assert.strictEqual((await session.waitFor('error', from)).data.code, 'NO_PENDING_INPUT');
+      session.socket.close();
+    } finally {
+      await close();
+    }
+  });
+
+  test('should share the SSE connection limit and drop sockets that stop answering pings', { timeout: 10000 }, async () => {
+    const { server, url, close } = await startWebSocketServer(await createStreamingApp(), { maxConnections: 1 });
+    const handler = server.streamingHandler;
+
+    try {
+      const session = await connect(url);
+
+      const rejected = new WebSocket(url);
+      const [, response] = await once(rejected, 'unexpected-response');
+      assert.strictEqual(response.statusCode, 503);
+
+      const [connection] = handler.activeConnections.values();
+      handler.pingWebSockets();
+      while (!connection.isAlive) await setTimeout(5);
+
+      // No pong since the last ping: the socket is dropped
+      connection.isAlive = false;
+      handler.pingWebSockets();
+      await once(session.socket, 'close');
+      assert.strictEqual(handler.connectionCount, 0);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('Stream Replay Tests', () => {
+  test('should number thread events and replay those after an ID from the ring buffer', async () => {
+    const buffer = new StreamEventBuffer({ bufferSize: 3, persist: false });
+    const entries = ['a', 'b', 'c', 'd'].map(token => buffer.append('replay-thread', 'llm_token', { token }));
+
+    assert.ok(entries.every((entry, index) => index === 0 || entry.id > entries[index - 1].id));
+
+    const recent = await buffer.since('replay-thread', entries[1].id);
+    assert.deepStrictEqual(recent.events.map(entry => entry.data.token), ['c', 'd']);
+    assert.strictEqual(recent.complete, true);
+
+    // 'a' was dropped from the ring and there is no store to read it from
+    const older = await buffer.since('replay-thread', entries[0].id - 1);
+    assert.deepStrictEqual(older.events.map(entry => entry.data.token), ['b', 'c', 'd']);
+    assert.strictEqual(older.complete, false);
+    assert.strictEqual(buffer.getStats().evicted, 1);
+
+    await buffer.close();
+  });
+
+  test('should replay persisted events after a restart', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'f1-stream-events-'));
+    const dbPath = path.join(dir, 'stream-events.sqlite');
+
+    try {
+      const first = new StreamEventBuffer({ persist: true, dbPath });
+      const [start] = [1, 2, 3].map(lap => first.append('persisted-thread', 'tool_event', { lap }));
+      await first.close();
+
+      const second = new StreamEventBuffer({ persist: true, dbPath });
+      const { events, complete } = await second.since('persisted-thread', start.id);
+      assert.deepStrictEqual(events.map(entry => entry.data.lap), [2, 3]);
+      assert.strictEqual(complete, true);
+
+      // Later IDs stay ahead of the stored ones
+      assert.ok(second.append('persisted-thread', 'tool_event', { lap: 4 }).id > events[1].id);
+      await second.close();
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should replay missed events to an SSE client reconnecting with Last-Event-ID', { timeout: 10000 }, async () => {
+    const handler = new ModernStreamingHandler({ eventBuffer: { persist: false } });
+    const app = express();
+    handler.initialize(app);
+
+    const listener = app.listen(0);
+    const watcher = new AbortController();
+
+    try {
+      const [seen, missed, alsoMissed] = ['Ver', 'stap', 'pen'].map(token => handler.streamLLMToken('resume-thread', token));
+
+      const response = await fetch(`http://127.0.0.1:${listener.address().port}/stream/query/resume-thread`, {
+        headers: { 'Last-Event-ID': String(seen.id) },
+        signal: watcher.signal
+      });
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+
+      let received = '';
+      while (!received.includes('event: replay')) {
+        received += (await reader.read()).value;
+      }
+      handler.streamLLMToken('resume-thread', '!');
+      while (!received.includes('"token":"!"')) {
+        received += (await reader.read()).value;
+      }
+
+      assert.ok(!received.includes('"token":"Ver"'));
+      assert.ok(received.indexOf(`id: ${missed.id}\nevent: llm_token`) < received.indexOf(`id: ${alsoMissed.id}\n`));
+      assert.ok(received.indexOf(`id: ${alsoMissed.id}\n`) < received.indexOf('event: replay'));
+      assert.ok(received.includes('"replayed":2,"complete":true'));
+      assert.ok(received.indexOf('event: replay') < received.indexOf('"token":"!"'));
+    } finally {
+      watcher.abort();
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      handler.cleanup();
+    }
+  });
+});
+
+// Utility functions for testing
+export const testHelpers = {
+  createMockF1Data: () => ({
+    seasons: [
+      { year: 2023, races: 23 },
+      { year: 2022, races: 22 }
+    ],
+    drivers: [
+      { name: 'Max Verstappen', team: 'Red Bull Racing' },
+      { name: 'Lewis Hamilton', team: 'Mercedes' }
+    ],
+    constructors: [
+      { name: 'Red Bull Racing', championships: 6 },
+      { name: 'Mercedes', championships: 8 }
+    ]
+  }),
+
+  createMockAnalysisResult: (agentType = 'season_analysis') => ({
+    agentType,
+    result: `Mock ${agentType} analysis result`,
+    confidence: 0.85,
+    insights: ['insight1', 'insight2'],
+    dataSources: ['f1_seasons', 'f1_drivers'],
+    metadata: {
+      duration: 1500,
+      timestamp: Date.now()
+    }
+  }),
+
+  createMockUserContext: () => ({
+    userId: 'test-user-123',
+    preferences: {
+      language: 'en',
+      units: 'metric'
+    },
+    session: {
+      id: 'session-456',
+      startTime: Date.now() - 300000 // 5 minutes ago
+    }
+  })
+};
+
+/**
+ * In-process MCP server speaking Streamable HTTP (stateless) and/or legacy SSE
+ */
+async function startTestMcpServer({ streamable = true, sse = true } = {}) {
+  const state = { calls: {}, onCall: null, reads: 0, summary: '2026 season summary v1', servers: [] };
+  const sockets = new Set();
+
+  const createServer = () => {
+    const server = new McpServer({ name: 'test-f1-mcp', version: '1.0.0' });
+    const handle = (toolName, data) => async () => {
+      state.calls[toolName] = (state.calls[toolName] || 0) + 1;
+      await state.onCall?.(toolName, state.calls[toolName]);
+      await setTimeout(20);
+      return { content: [{ type: 'text', text: JSON.stringify(data) }] };
+    };
+
+    server.tool('get_f1_seasons', 'Get all available F1 seasons', {}, handle('get_f1_seasons', { seasons: [{ season: '2026' }] }));
+    server.tool('set_f1_note', 'Store a note', { note: z.string() }, { readOnlyHint: false }, handle('set_f1_note', { ok: true }));
+
+    server.resource('season-summary', 'f1://seasons/2026/summary', { mimeType: 'text/plain' }, async (uri) => {
+      state.reads++;
+      return { contents: [{ uri: uri.href, text: state.summary }] };
+    });
+    server.prompt('season_analyst', 'F1 season analyst', { season: z.string() }, ({ season }) => ({
+      messages: [{ role: 'user', content: { type: 'text', text: `You analyse the ${season} F1 season.` } }]
+    }));
+    server.server.registerCapabilities({ resources: { subscribe: true } });
+    server.server.setRequestHandler(SubscribeRequestSchema, async () => ({}));
+
+    state.servers.push(server);
+    return server;
+  };
+
+  state.notifyResourceUpdated = (uri) => Promise.all(
+    state.servers.map(server => server.server.sendResourceUpdated({ uri }).catch(() => {}))
+  );
+
+  const app = express();
+  const sseTransports = new Map();
+
+  if (streamable) {
+    app.post('/mcp', express.json(), async (req, res) => {
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+      res.on('close', () => {
+        transport.close();
+        server.close();
+      });
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    });
+    app.get('/mcp', (req, res) => res.status(405).end());
+  }
+
+  if (sse) {
+    app.get('/sse', async (req, res) => {
+      const transport = new SSEServerTransport('/messages', res);
+      sseTransports.set(transport.sessionId, transport);
+      res.on('close', () => sseTransports.delete(transport.sessionId));
+      await createServer().connect(transport);
+    });
+    app.post('/messages', async (req, res) => {
+      const transport = sseTransports.get(req.query.sessionId);
+      if (!transport) return res.status(404).end();
+      await transport.handlePostMessage(req, res);
+    });
+  }
+
+  const httpServer = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  httpServer.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    url: `http://127.0.0.1:${httpServer.address().port}`,
+    state,
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      httpServer.close(resolve);
+    })
+  };
+}
 
 export default testHelpers;
\ No newline at end of file